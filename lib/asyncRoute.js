@@ -0,0 +1,11 @@
+// lib/asyncRoute.js
+
+/**
+ * Wrap an async Express handler so rejected promises reach the error
+ * middleware instead of becoming unhandled rejections.
+ */
+function asyncRoute(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
+
+module.exports = asyncRoute;
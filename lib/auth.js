@@ -0,0 +1,74 @@
+// lib/auth.js
+
+const SESSION_COOKIE = 'zylae_session';
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '')
+    .split(';')
+    .forEach(part => {
+      const idx = part.indexOf('=');
+      if (idx === -1) return;
+      const name = part.slice(0, idx).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(idx + 1).trim());
+      } catch (err) {
+        // Ignore cookies that aren't ours and aren't URI encoded
+      }
+    });
+  return cookies;
+}
+
+/**
+ * Middleware setting `req.user` ({ id, username, role }) from the session
+ * cookie or an `Authorization: Bearer <API token>` header. Requests without
+ * valid credentials carry on anonymously; `requireUser` turns them away.
+ */
+function authenticate(userStore) {
+  return async (req, res, next) => {
+    try {
+      const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1];
+      const session = parseCookies(req.get('cookie'))[SESSION_COOKIE];
+      if (bearer) req.user = await userStore.userForApiToken(bearer.trim());
+      if (!req.user && session) {
+        req.user = await userStore.userForSession(session);
+        if (req.user) req.sessionToken = session;
+      }
+      if (!req.user) req.user = null;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+function requireUser(req, res, next) {
+  if (req.user) return next();
+  res.status(401).json({ success: false, message: 'Sign in to continue' });
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user) return requireUser(req, res, next);
+  if (req.user.role === 'admin') return next();
+  res.status(403).json({ success: false, message: 'Admins only' });
+}
+
+// Set-Cookie options for a session; Secure whenever the request came over HTTPS
+function sessionCookieOptions(req, expiresAt) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+    expires: expiresAt ? new Date(expiresAt) : undefined
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  parseCookies,
+  authenticate,
+  requireUser,
+  requireAdmin,
+  sessionCookieOptions
+};
@@ -0,0 +1,276 @@
+// lib/embeddings.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Song embeddings for the browser recommender (TfjsRecommender in
+ * public/player.js), built from the listening history without an ML runtime.
+ *
+ * Random indexing: every token (a song, an artist, a language, a decade...)
+ * has a fixed sparse random vector, and a song's embedding adds up the vectors
+ * of its metadata and of the songs it was played next to. Songs that share
+ * artists, eras or listening sessions end up close to each other.
+ *
+ * Co-occurrence counts are kept in a state file between builds, so new plays
+ * are folded in without re-reading the whole history.
+ */
+
+const DEFAULT_DIM = 128;
+// Non-zero entries per token vector
+const TOKEN_NONZEROS = 8;
+// Plays further apart than this belong to different listening sessions
+const SESSION_GAP_MS = 30 * 60 * 1000;
+// Plays up to this many positions apart in a session count as neighbours
+const WINDOW = 3;
+// Skipped plays say less about taste than complete ones
+const SKIP_WEIGHT = 0.3;
+// Mix of listening context vs. metadata in the final vector
+const CONTEXT_WEIGHT = 0.6;
+const METADATA_WEIGHT = 0.4;
+// Plays may be reported late (keepalive on page close); re-scan this far back
+const LATE_PLAY_MS = 60 * 60 * 1000;
+
+const tokenVectors = new Map();
+
+/**
+ * Sparse ±1 vector for `token` as [[index, sign], ...], derived from its hash
+ * so every build (and the CLI) agrees on it.
+ */
+function tokenVector(token, dim) {
+  const key = `${dim}:${token}`;
+  if (!tokenVectors.has(key)) {
+    const digest = crypto.createHash('sha256').update(token).digest();
+    const entries = [];
+    for (let k = 0; k < TOKEN_NONZEROS; k++) {
+      entries.push([digest.readUInt16BE(k * 3) % dim, digest[k * 3 + 2] & 1 ? 1 : -1]);
+    }
+    tokenVectors.set(key, entries);
+  }
+  return tokenVectors.get(key);
+}
+
+function addToken(vector, token, weight) {
+  tokenVector(token, vector.length).forEach(([i, sign]) => {
+    vector[i] += sign * weight;
+  });
+}
+
+function normalize(vector) {
+  const norm = Math.hypot(...vector);
+  return norm ? vector.map(v => v / norm) : vector;
+}
+
+// [token, weight] pairs describing a history song snapshot
+function metadataTokens(song = {}) {
+  const tokens = [];
+  (song.artists?.primary || []).forEach(a => {
+    if (a.id || a.name) tokens.push([`artist:${a.id || a.name}`, 1]);
+  });
+  if (song.album?.id) tokens.push([`album:${song.album.id}`, 0.8]);
+  if (song.language) tokens.push([`language:${song.language.toLowerCase()}`, 0.7]);
+
+  const year = parseInt(song.year, 10);
+  if (year > 1900) {
+    tokens.push([`decade:${Math.floor(year / 10) * 10}`, 0.5]);
+    tokens.push([`year:${year}`, 0.3]);
+  }
+  return tokens;
+}
+
+function emptyState() {
+  return { processedUntil: null, recentIds: [], tail: [], songs: {} };
+}
+
+/**
+ * Fold history entries (oldest first) into `state`: latest metadata per song
+ * and weighted co-occurrence with the songs played around it.
+ * Returns how many entries were new.
+ */
+function accumulate(state, entries) {
+  const recentIds = new Set(state.recentIds);
+  // The end of the previous build, so sessions continue across builds
+  const window = [...state.tail];
+  let added = 0;
+
+  entries.forEach(entry => {
+    if (recentIds.has(entry.id)) return;
+    recentIds.add(entry.id);
+    added += 1;
+
+    const song = state.songs[entry.songId] || (state.songs[entry.songId] = { plays: 0, meta: [], cooc: {} });
+    song.plays += 1;
+    const meta = metadataTokens(entry.song);
+    if (meta.length) song.meta = meta;
+
+    const time = Date.parse(entry.playedAt);
+    const weight = entry.completed ? 1 : SKIP_WEIGHT;
+    const last = window[window.length - 1];
+    if (last && time - last.time > SESSION_GAP_MS) window.length = 0;
+
+    window.forEach((prev, i) => {
+      if (prev.songId === entry.songId) return;
+      const distance = window.length - i;
+      const amount = (weight * prev.weight) / distance;
+      const other = state.songs[prev.songId];
+      song.cooc[prev.songId] = (song.cooc[prev.songId] || 0) + amount;
+      if (other) other.cooc[entry.songId] = (other.cooc[entry.songId] || 0) + amount;
+    });
+
+    window.push({ songId: entry.songId, time, weight });
+    if (window.length > WINDOW) window.shift();
+
+    if (!state.processedUntil || entry.playedAt > state.processedUntil) {
+      state.processedUntil = entry.playedAt;
+    }
+  });
+
+  state.tail = window;
+  // Only ids the next re-scan can still see need remembering; all of them are in `entries`
+  if (entries.length) {
+    const cutoff = new Date(Date.parse(state.processedUntil) - LATE_PLAY_MS).toISOString();
+    state.recentIds = entries.filter(e => e.playedAt >= cutoff).map(e => e.id);
+  }
+  return added;
+}
+
+/**
+ * `{ ids, embeddings }` (what TfjsRecommender loads) for every song in `state`.
+ */
+function computeEmbeddings(state, dim = DEFAULT_DIM) {
+  const ids = Object.keys(state.songs);
+  const embeddings = ids.map(id => {
+    const song = state.songs[id];
+
+    const context = new Array(dim).fill(0);
+    addToken(context, `song:${id}`, 1);
+    const maxCount = Math.max(0, ...Object.values(song.cooc));
+    Object.entries(song.cooc).forEach(([other, count]) => {
+      addToken(context, `song:${other}`, count / maxCount);
+    });
+
+    const metadata = new Array(dim).fill(0);
+    song.meta.forEach(([token, weight]) => addToken(metadata, token, weight));
+
+    const contextUnit = normalize(context);
+    const metadataUnit = normalize(metadata);
+    const mixed = contextUnit.map((v, i) => CONTEXT_WEIGHT * v + METADATA_WEIGHT * metadataUnit[i]);
+    return normalize(mixed).map(v => Math.round(v * 1e4) / 1e4);
+  });
+  return { ids, embeddings };
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`Failed to read ${file}, starting over:`, err.message);
+    return fallback;
+  }
+}
+
+// Temp file + rename, so readers never see a half-written file
+async function writeJson(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data));
+  await fs.promises.rename(tmp, file);
+}
+
+/**
+ * Builds `outputFile` from a HistoryStore, keeping co-occurrence counts in
+ * `stateFile`. Builds never overlap; `scheduleBuild()` batches bursts of
+ * plays into one build after `delayMs`.
+ */
+class EmbeddingBuilder {
+  constructor({ historyStore, stateFile, outputFile, dim = DEFAULT_DIM, delayMs = 60 * 1000 }) {
+    this.historyStore = historyStore;
+    this.stateFile = stateFile;
+    this.outputFile = outputFile;
+    this.dim = dim;
+    this.delayMs = delayMs;
+    this.running = null;
+    this.timer = null;
+    this.lastBuild = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Fold in plays since the last build (all of them with `full`) and rewrite
+   * the output. Resolves to a summary of the build.
+   */
+  build({ full = false } = {}) {
+    // A build in progress may have missed the newest plays; queue one after it
+    const previous = this.running || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this.runBuild(full));
+    this.running = run;
+    run.then(
+      () => {
+        if (this.running === run) this.running = null;
+      },
+      () => {
+        if (this.running === run) this.running = null;
+      }
+    );
+    return run;
+  }
+
+  async runBuild(full) {
+    const started = Date.now();
+    try {
+      // Read from disk each time: the CLI may have built in between
+      const state = full ? emptyState() : await readJson(this.stateFile, emptyState());
+      const from = state.processedUntil
+        ? new Date(Date.parse(state.processedUntil) - LATE_PLAY_MS)
+        : null;
+      const entries = await this.historyStore.between({ from });
+      const added = accumulate(state, entries);
+
+      const { ids, embeddings } = computeEmbeddings(state, this.dim);
+      const builtAt = new Date().toISOString();
+      await writeJson(this.stateFile, state);
+      await writeJson(this.outputFile, { ids, embeddings, dim: this.dim, builtAt });
+
+      this.lastBuild = { builtAt, full, songs: ids.length, newPlays: added, durationMs: Date.now() - started };
+      this.lastError = null;
+      return this.lastBuild;
+    } catch (err) {
+      this.lastError = { at: new Date().toISOString(), message: err.message };
+      throw err;
+    }
+  }
+
+  scheduleBuild() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.build().catch(err => console.warn('Embedding build failed:', err.message));
+    }, this.delayMs);
+    // Don't keep the process (or the CLI) alive just for this
+    this.timer.unref?.();
+  }
+
+  // Cancel a scheduled build (a running one still finishes)
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  status() {
+    return {
+      building: !!this.running,
+      scheduled: !!this.timer,
+      dim: this.dim,
+      lastBuild: this.lastBuild,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_DIM,
+  metadataTokens,
+  accumulate,
+  computeEmbeddings,
+  EmbeddingBuilder
+};
@@ -0,0 +1,126 @@
+// lib/feedbackStore.js
+const JsonStore = require('./jsonStore');
+const { snapshotSong } = require('./songSnapshot');
+
+const SONG_RATINGS = ['like', 'dislike'];
+const ARTIST_RATINGS = ['dislike'];
+
+/**
+ * Likes, dislikes and skips, persisted to a JSON file.
+ *
+ * songs:   id -> { rating, skips, song (snapshot), ratedAt, lastSkippedAt }
+ * artists: id -> { rating, name, ratedAt }
+ *
+ * A song without a rating or skips, or an artist without a rating, is dropped.
+ * Both maps are keyed by ids straight from requests, so they're kept without
+ * a prototype (see ownMaps()) and looked up with Object.hasOwn.
+ */
+class FeedbackStore {
+  constructor(file) {
+    this.store = new JsonStore(file, { songs: {}, artists: {} });
+  }
+
+  /**
+   * What the player needs to shape autoplay, without song metadata:
+   * { songs: { id: { rating, skips } }, artists: { id: { rating, name } },
+   *   likedArtists: { id: number of liked songs by them } }
+   */
+  summary() {
+    return this.store.read(data => {
+      const songs = Object.create(null);
+      const likedArtists = Object.create(null);
+      Object.entries(ownMaps(data).songs).forEach(([id, entry]) => {
+        songs[id] = { rating: entry.rating, skips: entry.skips };
+        if (entry.rating !== 'like') return;
+        entry.song.artists.primary.forEach(artist => {
+          if (artist.id) likedArtists[artist.id] = (likedArtists[artist.id] || 0) + 1;
+        });
+      });
+      return { songs, artists: { ...data.artists }, likedArtists };
+    });
+  }
+
+  // Liked songs, most recently liked first: [{ song, likedAt }]
+  liked() {
+    return this.store.read(data =>
+      Object.values(data.songs)
+        .filter(entry => entry.rating === 'like')
+        .sort((a, b) => b.ratedAt.localeCompare(a.ratedAt))
+        .map(entry => ({ song: entry.song, likedAt: entry.ratedAt }))
+    );
+  }
+
+  /**
+   * Set (or with `rating` null, clear) a song's rating; `song` refreshes the
+   * stored metadata. Resolves to the entry, or null once nothing is left of it.
+   */
+  rateSong(id, rating, song) {
+    return this.store.update(data => {
+      const entry = songEntry(ownMaps(data), id, song);
+      entry.rating = rating;
+      entry.ratedAt = rating ? new Date().toISOString() : null;
+      return pruneSong(data, id);
+    });
+  }
+
+  addSkip(id, song) {
+    return this.store.update(data => {
+      const entry = songEntry(ownMaps(data), id, song);
+      entry.skips += 1;
+      entry.lastSkippedAt = new Date().toISOString();
+      return entry;
+    });
+  }
+
+  rateArtist(id, rating, name) {
+    return this.store.update(data => {
+      const { artists } = ownMaps(data);
+      if (!rating) {
+        delete artists[id];
+        return null;
+      }
+      const previous = Object.hasOwn(artists, id) ? artists[id] : null;
+      const entry = {
+        rating,
+        name: typeof name === 'string' ? name.slice(0, 300) : previous?.name || '',
+        ratedAt: new Date().toISOString()
+      };
+      artists[id] = entry;
+      return entry;
+    });
+  }
+}
+
+// `data` with `songs` and `artists` moved to prototype-less objects (once per load)
+function ownMaps(data) {
+  ['songs', 'artists'].forEach(key => {
+    if (Object.getPrototypeOf(data[key]) !== null) data[key] = Object.assign(Object.create(null), data[key]);
+  });
+  return data;
+}
+
+function songEntry(data, id, song) {
+  const entry = Object.hasOwn(data.songs, id) ? data.songs[id] : (data.songs[id] = {
+    rating: null,
+    skips: 0,
+    song: snapshotSong(id, song),
+    ratedAt: null,
+    lastSkippedAt: null
+  });
+  // Keep the richest metadata we've been sent
+  if (song?.name) entry.song = snapshotSong(id, song);
+  return entry;
+}
+
+function pruneSong(data, id) {
+  const entry = data.songs[id];
+  if (!entry.rating && !entry.skips) {
+    delete data.songs[id];
+    return null;
+  }
+  return entry;
+}
+
+module.exports = FeedbackStore;
+module.exports.SONG_RATINGS = SONG_RATINGS;
+module.exports.ARTIST_RATINGS = ARTIST_RATINGS;
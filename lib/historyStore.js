@@ -0,0 +1,122 @@
+// lib/historyStore.js
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const JsonStore = require('./jsonStore');
+const { snapshotSong, roundSeconds } = require('./songSnapshot');
+
+/**
+ * Listening history persisted to a JSON file, oldest entry first.
+ *
+ * Each entry is one play: when it started, how long was listened, whether it
+ * played to the end or was skipped, and a snapshot of the song's metadata so
+ * the history renders without asking the upstream API again.
+ *
+ * Emits `add` with each new entry and `clear` when the history is wiped.
+ */
+class HistoryStore extends EventEmitter {
+  constructor(file, { maxEntries = 5000 } = {}) {
+    super();
+    this.store = new JsonStore(file, { entries: [] });
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Newest first. `query` matches title, artists and album; `unique` keeps
+   * only the latest play of each song.
+   * Resolves to { total, entries }.
+   */
+  list({ query = '', limit = 50, offset = 0, unique = false } = {}) {
+    return this.store.read(data => {
+      const needle = query.trim().toLowerCase();
+      const seen = new Set();
+      const matches = [];
+
+      for (let i = data.entries.length - 1; i >= 0; i--) {
+        const entry = data.entries[i];
+        if (needle && !searchText(entry).includes(needle)) continue;
+        if (unique) {
+          if (seen.has(entry.songId)) continue;
+          seen.add(entry.songId);
+        }
+        matches.push(entry);
+      }
+
+      return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+    });
+  }
+
+  /**
+   * Entries played in [from, to), oldest first. Either bound may be omitted.
+   */
+  between({ from = null, to = null } = {}) {
+    return this.store.read(data => {
+      const fromIso = from ? from.toISOString() : '';
+      const toIso = to ? to.toISOString() : null;
+      return data.entries.filter(
+        e => e.playedAt >= fromIso && (toIso === null || e.playedAt < toIso)
+      );
+    });
+  }
+
+  async add({ songId, song, playedAt, listenedSeconds, durationSeconds, completed, source }) {
+    const entry = await this.store.update(data => {
+      const entry = {
+        id: crypto.randomUUID(),
+        songId,
+        playedAt: validDate(playedAt) || new Date().toISOString(),
+        listenedSeconds: roundSeconds(listenedSeconds),
+        durationSeconds: roundSeconds(durationSeconds ?? song?.duration),
+        completed: !!completed,
+        skipped: !completed,
+        source: SOURCES.includes(source) ? source : 'manual',
+        song: snapshotSong(songId, song)
+      };
+
+      data.entries.push(entry);
+      // Plays can be reported late (keepalive on page close), keep them ordered
+      data.entries.sort((a, b) => a.playedAt.localeCompare(b.playedAt));
+      if (data.entries.length > this.maxEntries) {
+        data.entries.splice(0, data.entries.length - this.maxEntries);
+      }
+      return entry;
+    });
+    this.emit('add', entry);
+    return entry;
+  }
+
+  remove(id) {
+    return this.store.update(data => {
+      const idx = data.entries.findIndex(e => e.id === id);
+      if (idx === -1) return false;
+      data.entries.splice(idx, 1);
+      return true;
+    });
+  }
+
+  async clear() {
+    const removed = await this.store.update(data => {
+      const removed = data.entries.length;
+      data.entries = [];
+      return removed;
+    });
+    this.emit('clear');
+    return removed;
+  }
+}
+
+// How the song was started (see playSong in player.js)
+const SOURCES = ['manual', 'queue', 'autoplay', 'history'];
+
+function searchText(entry) {
+  const { song } = entry;
+  return [song.name, song.album?.name, ...song.artists.primary.map(a => a.name)]
+    .join(' ')
+    .toLowerCase();
+}
+
+function validDate(value) {
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,207 @@
+// lib/jobQueue.js
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/**
+ * In-memory FIFO of background jobs run by `worker(job, reportProgress)`.
+ *
+ * At most `concurrency` jobs run at once. A job whose worker throws is
+ * re-queued (after `retryDelay` ms, growing per attempt) until it has been
+ * tried `maxAttempts` times. Finished jobs are kept for `retainMs` so clients
+ * can still fetch their results, capped at `maxFinished`.
+ *
+ * Each job may carry an `owner` (the account that queued it) so routes can
+ * keep users to their own jobs.
+ *
+ * Emits `update` with a job snapshot whenever a job changes, and `remove`
+ * with the job id and owner when one is dropped.
+ */
+class JobQueue extends EventEmitter {
+  constructor({
+    worker,
+    concurrency = 2,
+    maxAttempts = 3,
+    retryDelay = 2000,
+    retainMs = 60 * 60 * 1000,
+    maxFinished = 100
+  }) {
+    super();
+    // Every SSE client subscribes to updates
+    this.setMaxListeners(0);
+    this.worker = worker;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.retryDelay = retryDelay;
+    this.retainMs = retainMs;
+    this.maxFinished = maxFinished;
+
+    // id -> job, in creation order
+    this.jobs = new Map();
+    // ids waiting for a slot
+    this.queue = [];
+    // id -> pending retry timeout
+    this.retryTimers = new Map();
+    this.running = 0;
+  }
+
+  /**
+   * Queue a job. `payload` is what the worker needs, `meta` is extra
+   * display info (title, ...); both show up in snapshots.
+   */
+  add(type, payload, meta = {}, { owner = null } = {}) {
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      owner,
+      payload,
+      meta,
+      status: 'queued',
+      progress: 0,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      error: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    this.emitUpdate(job);
+    this.drain();
+    return this.snapshot(job);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.snapshot(job) : null;
+  }
+
+  list() {
+    this.prune();
+    return [...this.jobs.values()].map(job => this.snapshot(job));
+  }
+
+  /**
+   * Public view of a job: payload and meta fields flattened in, plus its
+   * 1-based place in line while queued.
+   */
+  snapshot(job) {
+    const { payload, meta, ...rest } = job;
+    const index = this.queue.indexOf(job.id);
+    return { ...meta, ...payload, ...rest, position: index === -1 ? null : index + 1 };
+  }
+
+  /**
+   * Re-queue a failed job for another round of attempts.
+   * Returns the snapshot, or null when the job isn't in a failed state.
+   */
+  retry(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'failed') return null;
+
+    job.attempts = 0;
+    job.finishedAt = null;
+    this.setState(job, { status: 'queued', progress: 0, error: null });
+    this.queue.push(job.id);
+    this.drain();
+    return this.snapshot(job);
+  }
+
+  /**
+   * Drop a job that isn't running (queued jobs are cancelled).
+   * Returns false when it doesn't exist or is in progress.
+   */
+  remove(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status === 'running') return false;
+
+    const index = this.queue.indexOf(id);
+    if (index !== -1) this.queue.splice(index, 1);
+    clearTimeout(this.retryTimers.get(id));
+    this.retryTimers.delete(id);
+    this.jobs.delete(id);
+    this.emit('remove', id, job.owner);
+    this.emitPositions();
+    return true;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.queue.length) {
+      const job = this.jobs.get(this.queue.shift());
+      if (job) this.run(job);
+    }
+    this.emitPositions();
+  }
+
+  async run(job) {
+    this.running++;
+    job.attempts++;
+    this.setState(job, { status: 'running', progress: 0 });
+
+    const reportProgress = percent => {
+      const progress = Math.max(0, Math.min(100, Math.round(percent)));
+      if (progress !== job.progress && job.status === 'running') {
+        this.setState(job, { progress });
+      }
+    };
+
+    try {
+      const result = await this.worker(job, reportProgress);
+      job.finishedAt = Date.now();
+      this.setState(job, { status: 'done', progress: 100, result, error: null });
+    } catch (err) {
+      if (job.attempts < this.maxAttempts) {
+        this.setState(job, { status: 'retrying', error: err.message });
+        this.retryTimers.set(job.id, setTimeout(() => {
+          this.retryTimers.delete(job.id);
+          if (!this.jobs.has(job.id)) return;
+          this.setState(job, { status: 'queued', progress: 0 });
+          this.queue.push(job.id);
+          this.drain();
+        }, this.retryDelay * job.attempts));
+      } else {
+        job.finishedAt = Date.now();
+        this.setState(job, { status: 'failed', error: err.message });
+      }
+    } finally {
+      this.running--;
+      this.prune();
+      this.drain();
+    }
+  }
+
+  setState(job, changes) {
+    Object.assign(job, changes, { updatedAt: Date.now() });
+    this.emitUpdate(job);
+  }
+
+  emitUpdate(job) {
+    this.emit('update', this.snapshot(job));
+  }
+
+  // Queued jobs move up when one ahead of them starts or is removed
+  emitPositions() {
+    this.queue.forEach(id => {
+      const job = this.jobs.get(id);
+      if (job) this.emitUpdate(job);
+    });
+  }
+
+  prune() {
+    const now = Date.now();
+    const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+    finished.forEach((job, idx) => {
+      const expired = now - job.finishedAt > this.retainMs;
+      const overCap = idx < finished.length - this.maxFinished;
+      if (expired || overCap) {
+        this.jobs.delete(job.id);
+        this.emit('remove', job.id, job.owner);
+      }
+    });
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,69 @@
+// lib/jsonStore.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Tiny JSON-file backed store.
+ *
+ * The whole document is kept in memory; `update()` calls are serialized and
+ * each one rewrites the file atomically (temp file + rename), so a crash
+ * mid-write never leaves a truncated file behind.
+ */
+class JsonStore {
+  constructor(file, defaults = {}) {
+    this.file = file;
+    this.defaults = defaults;
+    this.data = null;
+    this.loading = null;
+    this.queue = Promise.resolve();
+  }
+
+  // Concurrent first calls share one read, so none replaces data another already changed
+  load() {
+    if (!this.loading) this.loading = this.readFile();
+    return this.loading;
+  }
+
+  async readFile() {
+    try {
+      const raw = await fs.promises.readFile(this.file, 'utf8');
+      this.data = { ...structuredClone(this.defaults), ...JSON.parse(raw) };
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn(`Failed to read ${this.file}, starting empty:`, err.message);
+      }
+      this.data = structuredClone(this.defaults);
+    }
+    return this.data;
+  }
+
+  async read(fn) {
+    const data = await this.load();
+    return fn(data);
+  }
+
+  /**
+   * Run `fn(data)` against the document and persist it afterwards.
+   * Resolves to whatever `fn` returns.
+   */
+  update(fn) {
+    const run = this.queue.then(async () => {
+      const data = await this.load();
+      const result = await fn(data);
+      await this.save();
+      return result;
+    });
+    // Keep the chain alive even if this update fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async save() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(this.data, null, 2));
+    await fs.promises.rename(tmp, this.file);
+  }
+}
+
+module.exports = JsonStore;
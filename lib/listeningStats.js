@@ -0,0 +1,230 @@
+// lib/listeningStats.js
+
+// Named ranges for ?range=, as rolling windows ending now
+const RANGE_DAYS = { week: 7, month: 30, year: 365 };
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Column order of the CSV export
+const CSV_COLUMNS = [
+  'playedAt',
+  'songId',
+  'title',
+  'artists',
+  'album',
+  'language',
+  'year',
+  'listenedSeconds',
+  'durationSeconds',
+  'completed',
+  'source'
+];
+
+/**
+ * { from, to } Dates for a named range ('week', 'month', 'year', 'all') or
+ * explicit ISO bounds; `from`/`to` win over `range`. Null bounds are open.
+ * Returns null when a bound doesn't parse.
+ */
+function resolveRange({ range = 'all', from, to } = {}, now = new Date()) {
+  const parse = value => {
+    if (value === undefined || value === '') return null;
+    const time = Date.parse(value);
+    return Number.isFinite(time) ? new Date(time) : undefined;
+  };
+
+  const start = parse(from);
+  const end = parse(to);
+  if (start === undefined || end === undefined) return null;
+
+  if (start || end) return { from: start, to: end };
+  if (RANGE_DAYS[range]) return { from: new Date(now.getTime() - RANGE_DAYS[range] * DAY_MS), to: null };
+  return range === 'all' ? { from: null, to: null } : null;
+}
+
+/**
+ * `timeZone` if the runtime knows it (an IANA name like "Asia/Kolkata"),
+ * otherwise UTC. Used to bucket plays into the listener's days and hours.
+ */
+function resolveTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (err) {
+    return 'UTC';
+  }
+}
+
+// Local calendar day, weekday and hour of a timestamp in `timeZone`
+function localTimeParts(timeZone) {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  return iso => {
+    const parts = {};
+    format.formatToParts(new Date(iso)).forEach(p => {
+      parts[p.type] = p.value;
+    });
+    return {
+      day: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: WEEKDAYS.indexOf(parts.weekday),
+      hour: parseInt(parts.hour, 10)
+    };
+  };
+}
+
+// Count plays and minutes per key, then sort by plays (minutes break ties)
+function tally() {
+  const rows = new Map();
+  return {
+    add(key, make, minutes) {
+      if (!key) return;
+      const row = rows.get(key) || { ...make(), plays: 0, minutes: 0 };
+      row.plays += 1;
+      row.minutes += minutes;
+      rows.set(key, row);
+    },
+    top(limit = Infinity) {
+      return [...rows.values()]
+        .map(row => ({ ...row, minutes: Math.round(row.minutes * 10) / 10 }))
+        .sort((a, b) => b.plays - a.plays || b.minutes - a.minutes)
+        .slice(0, limit);
+    },
+    get size() {
+      return rows.size;
+    }
+  };
+}
+
+// Longest run of consecutive days, and the run ending today (or yesterday)
+function computeStreaks(days, today) {
+  const sorted = [...days].sort();
+  const dayNumber = day => Date.parse(`${day}T00:00:00Z`) / DAY_MS;
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  sorted.forEach(day => {
+    const n = dayNumber(day);
+    run = previous !== null && n - previous === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = n;
+  });
+
+  // The streak is still alive if the last listening day was today or yesterday
+  const last = sorted.length ? dayNumber(sorted[sorted.length - 1]) : null;
+  const current = last !== null && dayNumber(today) - last <= 1 ? run : 0;
+  return { current, longest, activeDays: sorted.length };
+}
+
+/**
+ * Aggregate history entries (see HistoryStore) into the Stats view's numbers:
+ * totals, top songs / artists / albums, languages, release decades, a
+ * weekday × hour heatmap of listening minutes, and daily streaks.
+ */
+function computeStats(entries, { timeZone = 'UTC', limit = 10, now = new Date() } = {}) {
+  const localTime = localTimeParts(timeZone);
+  const songs = tally();
+  const artists = tally();
+  const albums = tally();
+  const languages = tally();
+  const decades = tally();
+  // heatmap[weekday][hour] = minutes, weekday 0 = Sunday
+  const heatmap = WEEKDAYS.map(() => new Array(24).fill(0));
+  const days = new Set();
+
+  let seconds = 0;
+  let completed = 0;
+
+  entries.forEach(entry => {
+    const { song } = entry;
+    const minutes = entry.listenedSeconds / 60;
+    seconds += entry.listenedSeconds;
+    if (entry.completed) completed += 1;
+
+    songs.add(entry.songId, () => ({
+      id: entry.songId,
+      name: song.name,
+      artists: song.artists.primary.map(a => a.name).join(', '),
+      image: song.image[song.image.length - 1]?.url || ''
+    }), minutes);
+
+    song.artists.primary.forEach(artist => {
+      artists.add(artist.id || artist.name, () => ({ id: artist.id, name: artist.name }), minutes);
+    });
+    albums.add(song.album.id || song.album.name, () => ({
+      id: song.album.id,
+      name: song.album.name,
+      image: song.image[song.image.length - 1]?.url || ''
+    }), minutes);
+    languages.add(song.language, () => ({ language: song.language }), minutes);
+
+    const year = parseInt(song.year, 10);
+    if (year > 1900) {
+      const decade = `${Math.floor(year / 10) * 10}s`;
+      decades.add(decade, () => ({ decade }), minutes);
+    }
+
+    const local = localTime(entry.playedAt);
+    heatmap[local.weekday][local.hour] += minutes;
+    days.add(local.day);
+  });
+
+  return {
+    timeZone,
+    totals: {
+      plays: entries.length,
+      completed,
+      skipped: entries.length - completed,
+      minutes: Math.round(seconds / 60),
+      songs: songs.size,
+      artists: artists.size
+    },
+    topSongs: songs.top(limit),
+    topArtists: artists.top(limit),
+    topAlbums: albums.top(limit),
+    languages: languages.top(),
+    decades: decades.top().sort((a, b) => a.decade.localeCompare(b.decade)),
+    heatmap: heatmap.map(hours => hours.map(m => Math.round(m))),
+    streaks: computeStreaks(days, localTime(now.toISOString()).day)
+  };
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * History entries as CSV (one row per play, header first).
+ */
+function toCsv(entries) {
+  const rows = entries.map(entry => [
+    entry.playedAt,
+    entry.songId,
+    entry.song.name,
+    entry.song.artists.primary.map(a => a.name).join('; '),
+    entry.song.album.name,
+    entry.song.language,
+    entry.song.year,
+    entry.listenedSeconds,
+    entry.durationSeconds,
+    entry.completed,
+    entry.source
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  resolveRange,
+  resolveTimeZone,
+  computeStats,
+  toCsv
+};
@@ -0,0 +1,106 @@
+// lib/loudness.js
+const ffmpeg = require('fluent-ffmpeg');
+
+// Streaming services normalize to about -14 LUFS
+const DEFAULT_TARGET_LUFS = -14;
+// Accepted targets: EBU R128 broadcast (-23) up to "loud" (-9)
+const MIN_TARGET_LUFS = -23;
+const MAX_TARGET_LUFS = -9;
+// Headroom kept below 0 dBTP when boosting quiet tracks
+const MAX_TRUE_PEAK = -1;
+// Quiet masters only get this much boost; the rest would be mostly noise
+const MAX_BOOST_DB = 12;
+
+/**
+ * Target LUFS from user input, rounded and clamped to the accepted range;
+ * the default when `value` isn't a number.
+ */
+function resolveTarget(value) {
+  const target = Math.round(parseFloat(value));
+  if (!Number.isFinite(target)) return DEFAULT_TARGET_LUFS;
+  return Math.min(MAX_TARGET_LUFS, Math.max(MIN_TARGET_LUFS, target));
+}
+
+/**
+ * Pull the measurement out of loudnorm's `print_format=json` report, which
+ * FFmpeg writes to stderr after the stats. Null for silent or unparsable input.
+ */
+function parseLoudnormOutput(stderr) {
+  const text = String(stderr || '');
+  const start = text.lastIndexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+
+  let report;
+  try {
+    report = JSON.parse(text.slice(start, end + 1));
+  } catch (err) {
+    return null;
+  }
+
+  const measured = {
+    integrated: parseFloat(report.input_i),
+    truePeak: parseFloat(report.input_tp),
+    lra: parseFloat(report.input_lra),
+    threshold: parseFloat(report.input_thresh)
+  };
+  // Digital silence measures as -inf
+  return Object.values(measured).every(Number.isFinite) ? measured : null;
+}
+
+/**
+ * Measure integrated loudness (EBU R128), true peak and loudness range of
+ * `sourceUrl` with FFmpeg's loudnorm analysis pass. Decodes the whole track.
+ */
+function measureLoudness(sourceUrl) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(sourceUrl)
+      .noVideo()
+      .audioFilters('loudnorm=print_format=json')
+      .format('null')
+      .on('error', reject)
+      .on('end', (stdout, stderr) => {
+        const measured = parseLoudnormOutput(stderr);
+        if (measured) resolve(measured);
+        else reject(new Error('Could not measure loudness'));
+      })
+      .save('-');
+  });
+}
+
+/**
+ * Gain in dB that brings a measured track to `target` LUFS, limited so the
+ * true peak stays under MAX_TRUE_PEAK and boosts stay under MAX_BOOST_DB.
+ */
+function normalizationGain(measured, target = DEFAULT_TARGET_LUFS) {
+  const gain = Math.min(target - measured.integrated, MAX_TRUE_PEAK - measured.truePeak, MAX_BOOST_DB);
+  return Math.round(gain * 100) / 100;
+}
+
+/**
+ * Second-pass loudnorm filter for FFmpeg using a previous measurement, so the
+ * whole file gets one linear gain instead of dynamic compression.
+ * loudnorm resamples to 192 kHz internally, hence the aresample.
+ */
+function loudnormFilter(measured, target = DEFAULT_TARGET_LUFS) {
+  const params = [
+    `I=${target}`,
+    `TP=${MAX_TRUE_PEAK}`,
+    'LRA=11',
+    `measured_I=${measured.integrated}`,
+    `measured_TP=${measured.truePeak}`,
+    `measured_LRA=${measured.lra}`,
+    `measured_thresh=${measured.threshold}`,
+    'linear=true'
+  ];
+  return `loudnorm=${params.join(':')},aresample=44100`;
+}
+
+module.exports = {
+  DEFAULT_TARGET_LUFS,
+  resolveTarget,
+  parseLoudnormOutput,
+  measureLoudness,
+  normalizationGain,
+  loudnormFilter
+};
@@ -0,0 +1,111 @@
+// lib/loudnessStore.js
+const JsonStore = require('./jsonStore');
+const { SemaphoreFullError } = require('./semaphore');
+
+// How long a failed measurement is remembered before the song is tried again
+const FAILURE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * A measurement that failed recently; `failure` is { error, measuredAt }.
+ */
+class MeasurementFailedError extends Error {
+  constructor(failure, retryAfterMs) {
+    super(`Loudness measurement failed: ${failure.error}`);
+    this.name = 'MeasurementFailedError';
+    this.failure = failure;
+    this.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  }
+}
+
+/**
+ * Loudness measurements per song id, persisted to a JSON file.
+ * A track's loudness never changes, so entries don't expire.
+ *
+ * Failures are kept in memory for `failureTtlMs`, so a song that can't be
+ * measured isn't sent to FFmpeg again on every request. A full FFmpeg queue
+ * (SemaphoreFullError) says nothing about the song and isn't remembered.
+ */
+class LoudnessStore {
+  constructor(file, { failureTtlMs = FAILURE_TTL_MS } = {}) {
+    this.store = new JsonStore(file, { tracks: {} });
+    this.failureTtlMs = failureTtlMs;
+    // id -> Promise<measurement> for measurements in progress
+    this.pending = new Map();
+    // id -> { error, measuredAt } for recent failures
+    this.failures = new Map();
+  }
+
+  get(id) {
+    return this.store.read(data => data.tracks[id] || null);
+  }
+
+  // The remembered failure for `id` while it's fresh, or null
+  recentFailure(id) {
+    const failure = this.failures.get(id);
+    if (!failure) return null;
+    if (Date.now() - Date.parse(failure.measuredAt) < this.failureTtlMs) return failure;
+    this.failures.delete(id);
+    return null;
+  }
+
+  /**
+   * Remember a failure, first dropping the ones that expired. The Map keeps
+   * insertion order, which is oldest first, so the sweep stops at the first
+   * fresh entry.
+   */
+  rememberFailure(id, failure) {
+    for (const [oldId, old] of this.failures) {
+      if (Date.now() - Date.parse(old.measuredAt) < this.failureTtlMs) break;
+      this.failures.delete(oldId);
+    }
+    this.failures.set(id, failure);
+  }
+
+  /**
+   * Stored measurement for `id`, or the result of `measure()` (which is then
+   * stored). Concurrent callers for the same id share one `measure` run.
+   * Rejects with a MeasurementFailedError when the song failed recently.
+   */
+  getOrMeasure(id, measure) {
+    if (this.pending.has(id)) return this.pending.get(id);
+
+    const promise = (async () => {
+      const stored = await this.get(id);
+      if (stored) return stored;
+
+      const failed = this.recentFailure(id);
+      if (failed) throw this.failedError(failed);
+
+      let result;
+      try {
+        result = await measure();
+      } catch (err) {
+        if (err instanceof SemaphoreFullError) throw err;
+        const failure = { error: err.message, measuredAt: new Date().toISOString() };
+        this.rememberFailure(id, failure);
+        throw this.failedError(failure);
+      }
+
+      const measured = { ...result, measuredAt: new Date().toISOString() };
+      await this.store.update(data => {
+        data.tracks[id] = measured;
+      });
+      return measured;
+    })();
+
+    this.pending.set(id, promise);
+    promise.then(
+      () => this.pending.delete(id),
+      () => this.pending.delete(id)
+    );
+    return promise;
+  }
+
+  failedError(failure) {
+    const retryAfterMs = Date.parse(failure.measuredAt) + this.failureTtlMs - Date.now();
+    return new MeasurementFailedError(failure, retryAfterMs);
+  }
+}
+
+module.exports = LoudnessStore;
+module.exports.MeasurementFailedError = MeasurementFailedError;
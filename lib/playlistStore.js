@@ -0,0 +1,115 @@
+// lib/playlistStore.js
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+
+/**
+ * User playlists persisted to a JSON file.
+ * Playlists only keep song IDs; metadata is resolved through /api/songs/:id.
+ * The order of `playlists` is the order shown in the library.
+ */
+class PlaylistStore {
+  constructor(file) {
+    this.store = new JsonStore(file, { playlists: [] });
+  }
+
+  list() {
+    return this.store.read(data => data.playlists);
+  }
+
+  get(id) {
+    return this.store.read(data => data.playlists.find(p => p.id === id) || null);
+  }
+
+  create({ name, songs = [] }) {
+    return this.store.update(data => {
+      const now = new Date().toISOString();
+      const playlist = {
+        id: crypto.randomUUID(),
+        name,
+        songs: uniqueIds(songs),
+        createdAt: now,
+        updatedAt: now
+      };
+      data.playlists.push(playlist);
+      return playlist;
+    });
+  }
+
+  rename(id, name) {
+    return this.modify(id, playlist => {
+      playlist.name = name;
+    });
+  }
+
+  remove(id) {
+    return this.store.update(data => {
+      const idx = data.playlists.findIndex(p => p.id === id);
+      if (idx === -1) return false;
+      data.playlists.splice(idx, 1);
+      return true;
+    });
+  }
+
+  /**
+   * Reorder playlists. IDs not mentioned keep their relative order at the end.
+   */
+  reorder(ids) {
+    return this.store.update(data => {
+      const rank = new Map(ids.map((id, i) => [id, i]));
+      data.playlists.sort(
+        (a, b) => (rank.get(a.id) ?? Infinity) - (rank.get(b.id) ?? Infinity)
+      );
+      return data.playlists;
+    });
+  }
+
+  /**
+   * Insert songs at `position` (default: end). Songs already in the playlist are skipped.
+   */
+  addSongs(id, songIds, position) {
+    return this.modify(id, playlist => {
+      const fresh = uniqueIds(songIds).filter(sid => !playlist.songs.includes(sid));
+      const at =
+        Number.isInteger(position) && position >= 0
+          ? Math.min(position, playlist.songs.length)
+          : playlist.songs.length;
+      playlist.songs.splice(at, 0, ...fresh);
+    });
+  }
+
+  removeSong(id, songId) {
+    return this.modify(id, playlist => {
+      playlist.songs = playlist.songs.filter(sid => sid !== songId);
+    });
+  }
+
+  /**
+   * Replace the track order. Must be a permutation of the current songs.
+   */
+  setSongOrder(id, songIds) {
+    return this.modify(id, playlist => {
+      const next = uniqueIds(songIds);
+      const same =
+        next.length === playlist.songs.length &&
+        next.every(sid => playlist.songs.includes(sid));
+      if (!same) throw new Error('Song order must contain exactly the playlist songs');
+      playlist.songs = next;
+    });
+  }
+
+  modify(id, fn) {
+    return this.store.update(data => {
+      const playlist = data.playlists.find(p => p.id === id);
+      if (!playlist) return null;
+      fn(playlist);
+      playlist.updatedAt = new Date().toISOString();
+      return playlist;
+    });
+  }
+}
+
+function uniqueIds(ids) {
+  return [...new Set((ids || []).filter(id => typeof id === 'string' && id))];
+}
+
+module.exports = PlaylistStore;
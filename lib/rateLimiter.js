@@ -0,0 +1,90 @@
+// lib/rateLimiter.js
+
+/**
+ * Token buckets keyed by client: each key may burst up to `capacity`
+ * requests, then gets `refillPerSecond` more per second.
+ *
+ * Buckets are created on first use and dropped once they have refilled
+ * completely (an idle client costs nothing), checked every `sweepEvery` takes.
+ */
+class TokenBucketLimiter {
+  constructor({ capacity, refillPerSecond, sweepEvery = 1000 }) {
+    this.capacity = Math.max(1, capacity);
+    this.refillPerSecond = refillPerSecond;
+    this.sweepEvery = sweepEvery;
+    // key -> { tokens, updatedAt }
+    this.buckets = new Map();
+    this.takesSinceSweep = 0;
+  }
+
+  refill(bucket, now) {
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + elapsed * this.refillPerSecond);
+    bucket.updatedAt = now;
+  }
+
+  /**
+   * Take `cost` tokens for `key`.
+   * Returns { allowed, remaining, retryAfterMs } (retryAfterMs is 0 when allowed).
+   */
+  take(key, cost = 1) {
+    const now = Date.now();
+    if (++this.takesSinceSweep >= this.sweepEvery) this.sweep(now);
+
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: this.capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+    } else {
+      this.refill(bucket, now);
+    }
+
+    if (bucket.tokens >= cost) {
+      bucket.tokens -= cost;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+    }
+    const missing = cost - bucket.tokens;
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfterMs: this.refillPerSecond > 0 ? Math.ceil((missing / this.refillPerSecond) * 1000) : Infinity
+    };
+  }
+
+  sweep(now = Date.now()) {
+    this.takesSinceSweep = 0;
+    for (const [key, bucket] of this.buckets) {
+      this.refill(bucket, now);
+      if (bucket.tokens >= this.capacity) this.buckets.delete(key);
+    }
+  }
+}
+
+/**
+ * Express middleware spending one token of `limiter` per request. Requests
+ * with a `req.user` (set by authentication) get a bucket per user, so a team
+ * behind one address doesn't share a budget; everyone else is limited per
+ * IP. Answers 429 with Retry-After once the bucket is empty.
+ */
+function rateLimit(limiter, { name }) {
+  return (req, res, next) => {
+    const key = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    const { allowed, remaining, retryAfterMs } = limiter.take(key);
+
+    res.set('RateLimit-Limit', String(limiter.capacity));
+    res.set('RateLimit-Remaining', String(remaining));
+    if (allowed) return next();
+
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      message: `Too many ${name} requests. Try again in ${retryAfter}s.`
+    });
+  };
+}
+
+module.exports = {
+  TokenBucketLimiter,
+  rateLimit
+};
@@ -0,0 +1,140 @@
+// lib/responseCache.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * LRU cache for upstream JSON responses.
+ *
+ * Entries are kept in memory (bounded by `maxEntries`) and, when `dir` is
+ * set, mirrored to disk so they survive restarts. Expired entries are kept
+ * around for `staleTtl` ms so they can still be served while the upstream
+ * API is down.
+ */
+class ResponseCache {
+  constructor({ maxEntries = 500, maxDiskEntries = 5000, staleTtl = 0, dir = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxDiskEntries = maxDiskEntries;
+    this.staleTtl = staleTtl;
+    this.dir = dir;
+    this.entries = new Map();
+    this.writesSincePrune = 0;
+
+    if (this.dir) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  // Values are encoded, so one that contains "&" or "=" can't pose as other params
+  static keyFor(apiPath, params = {}) {
+    const query = new URLSearchParams();
+    Object.keys(params)
+      .sort()
+      .forEach(k => {
+        [].concat(params[k]).forEach(value => {
+          query.append(k, value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+        });
+      });
+    const encoded = query.toString();
+    return encoded ? `${apiPath}?${encoded}` : apiPath;
+  }
+
+  fileFor(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * Returns `{ value, storedAt, expiresAt, fresh }` or null when the key is
+   * unknown or past its stale window.
+   */
+  async get(key) {
+    let entry = this.entries.get(key);
+
+    if (entry) {
+      // Re-insert to mark as most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    } else if (this.dir) {
+      entry = await this.readFromDisk(key);
+      if (entry) this.remember(key, entry);
+    }
+
+    if (!entry) return null;
+
+    const now = Date.now();
+    if (now > entry.expiresAt + this.staleTtl) {
+      await this.delete(key);
+      return null;
+    }
+
+    return { ...entry, fresh: now <= entry.expiresAt };
+  }
+
+  async set(key, value, ttlMs) {
+    const storedAt = Date.now();
+    const entry = { key, value, storedAt, expiresAt: storedAt + ttlMs };
+    this.remember(key, entry);
+
+    if (this.dir) {
+      try {
+        await fs.promises.writeFile(this.fileFor(key), JSON.stringify(entry));
+        if (++this.writesSincePrune >= 50) {
+          this.writesSincePrune = 0;
+          await this.pruneDisk();
+        }
+      } catch (err) {
+        console.warn('Cache write failed:', err.message);
+      }
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+    if (this.dir) {
+      await fs.promises.unlink(this.fileFor(key)).catch(() => {});
+    }
+  }
+
+  remember(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      // Map iteration order is insertion order, so the first key is the LRU one
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async readFromDisk(key) {
+    try {
+      const raw = await fs.promises.readFile(this.fileFor(key), 'utf8');
+      const entry = JSON.parse(raw);
+      return entry.key === key ? entry : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Drop the least recently written files once the disk backend grows past
+   * `maxDiskEntries`.
+   */
+  async pruneDisk() {
+    const names = await fs.promises.readdir(this.dir);
+    if (names.length <= this.maxDiskEntries) return;
+
+    const files = await Promise.all(
+      names.map(async name => {
+        const file = path.join(this.dir, name);
+        const stat = await fs.promises.stat(file).catch(() => null);
+        return { file, mtime: stat ? stat.mtimeMs : 0 };
+      })
+    );
+    files.sort((a, b) => a.mtime - b.mtime);
+
+    const excess = files.slice(0, files.length - this.maxDiskEntries);
+    await Promise.all(excess.map(f => fs.promises.unlink(f.file).catch(() => {})));
+  }
+}
+
+module.exports = ResponseCache;
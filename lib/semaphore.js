@@ -0,0 +1,68 @@
+// lib/semaphore.js
+
+/**
+ * Counting semaphore used to cap concurrent FFmpeg processes.
+ *
+ * Callers may bound the line with `maxQueue`: when every slot is taken and
+ * that many callers already wait, `acquire()` rejects with a
+ * SemaphoreFullError instead of queueing.
+ */
+class SemaphoreFullError extends Error {
+  constructor() {
+    super('Too many tasks are waiting for a slot');
+    this.name = 'SemaphoreFullError';
+  }
+}
+
+class Semaphore {
+  constructor(max) {
+    this.max = Math.max(1, max);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Resolves to a `release()` function once a slot is free.
+   */
+  acquire({ maxQueue = Infinity } = {}) {
+    if (this.isFull(maxQueue)) return Promise.reject(new SemaphoreFullError());
+    return new Promise(resolve => {
+      const grant = () => {
+        this.active++;
+        let released = false;
+        resolve(() => {
+          if (released) return;
+          released = true;
+          this.active--;
+          const next = this.waiting.shift();
+          if (next) next();
+        });
+      };
+
+      if (this.active < this.max) grant();
+      else this.waiting.push(grant);
+    });
+  }
+
+  // Callers waiting for a slot
+  get queued() {
+    return this.waiting.length;
+  }
+
+  // Would a caller limited to `maxQueue` waiting callers be turned away?
+  isFull(maxQueue) {
+    return this.active >= this.max && this.waiting.length >= maxQueue;
+  }
+
+  async run(fn, options) {
+    const release = await this.acquire(options);
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+}
+
+module.exports = Semaphore;
+module.exports.SemaphoreFullError = SemaphoreFullError;
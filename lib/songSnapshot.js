@@ -0,0 +1,34 @@
+// lib/songSnapshot.js
+
+/**
+ * The parts of a Saavn song object that stored lists (history, liked songs)
+ * need, in the same shape, with strings trimmed so a client can't bloat the
+ * files they're stored in.
+ */
+function snapshotSong(songId, song = {}) {
+  const text = (value, max = 300) => (typeof value === 'string' ? value.slice(0, max) : '');
+  const named = item => ({ id: text(item?.id, 100), name: text(item?.name) });
+
+  return {
+    id: songId,
+    name: text(song?.name),
+    year: text(String(song?.year ?? ''), 10),
+    language: text(song?.language, 50),
+    duration: roundSeconds(song?.duration),
+    album: named(song?.album),
+    artists: {
+      primary: (Array.isArray(song?.artists?.primary) ? song.artists.primary : []).slice(0, 10).map(named)
+    },
+    image: (Array.isArray(song?.image) ? song.image : []).slice(0, 3).map(img => ({
+      quality: text(img?.quality, 20),
+      url: text(img?.url, 500)
+    }))
+  };
+}
+
+function roundSeconds(value) {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds) : 0;
+}
+
+module.exports = { snapshotSong, roundSeconds };
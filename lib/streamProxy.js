@@ -0,0 +1,152 @@
+// lib/streamProxy.js
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const axios = require('axios');
+const { pipeline } = require('stream/promises');
+
+// Request headers passed on to the CDN, so seeking and resumes work
+const FORWARDED_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+// Response headers passed back to the player
+const FORWARDED_RESPONSE_HEADERS = [
+  'content-type',
+  'content-length',
+  'content-range',
+  'accept-ranges',
+  'etag',
+  'last-modified'
+];
+
+const CONTENT_TYPES = {
+  '.mp4': 'audio/mp4',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg'
+};
+
+/**
+ * Keep-alive agents shared by every stream, so seeks and next tracks reuse
+ * open connections to the CDN instead of a new TLS handshake each time.
+ */
+function createAgents({ maxSockets = 16 } = {}) {
+  return {
+    httpAgent: new http.Agent({ keepAlive: true, maxSockets }),
+    httpsAgent: new https.Agent({ keepAlive: true, maxSockets })
+  };
+}
+
+// File extension of an audio URL (".mp4" for Saavn), used for cache keys and Content-Type
+function audioExtension(url) {
+  const ext = path.extname(new URL(url).pathname).toLowerCase();
+  return CONTENT_TYPES[ext] ? ext : '.mp4';
+}
+
+function contentTypeFor(ext) {
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+// Whether a request starts playback from the top (not a seek or a resume)
+function isPlayStart(req) {
+  const range = req.get('range');
+  return !range || /^bytes=0-$/.test(range.trim());
+}
+
+/**
+ * Relay `url` to `res`, passing Range/conditional headers through both ways
+ * so the browser can seek. The upstream request is aborted when the client
+ * goes away. Resolves once the response is done; rejects (before anything
+ * was sent) when the CDN refuses the request.
+ */
+async function relay(url, req, res, { agents, timeout = 15000 } = {}) {
+  const headers = {};
+  FORWARDED_REQUEST_HEADERS.forEach(name => {
+    const value = req.get(name);
+    if (value) headers[name] = value;
+  });
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  res.on('close', abort);
+
+  try {
+    const upstream = await axios.request({
+      url,
+      method: req.method === 'HEAD' ? 'head' : 'get',
+      headers,
+      responseType: 'stream',
+      timeout,
+      signal: controller.signal,
+      // 206, 304 and 416 are answers for the browser, not errors
+      validateStatus: status => status < 400 || status === 416,
+      ...agents
+    });
+
+    res.status(upstream.status);
+    FORWARDED_RESPONSE_HEADERS.forEach(name => {
+      if (upstream.headers[name]) res.set(name, upstream.headers[name]);
+    });
+    if (!upstream.headers['accept-ranges']) res.set('Accept-Ranges', 'bytes');
+
+    if (req.method === 'HEAD' || upstream.status === 304) {
+      upstream.data.destroy();
+      return res.end();
+    }
+    await pipeline(upstream.data, res).catch(err => {
+      // A listener skipping ahead closes the connection; that's not an error
+      if (!controller.signal.aborted) throw err;
+    });
+  } finally {
+    res.off('close', abort);
+  }
+}
+
+/**
+ * Download `url` completely into `filePath`.
+ */
+async function fetchToFile(url, filePath, { agents, timeout = 60000 } = {}) {
+  const upstream = await axios.get(url, { responseType: 'stream', timeout, ...agents });
+  await pipeline(upstream.data, fs.createWriteStream(filePath));
+}
+
+/**
+ * Counts plays per track and reports when one gets hot: `threshold` plays
+ * within `windowMs`. Only the `maxTracked` most recently played tracks are
+ * remembered.
+ */
+class HotTracks {
+  constructor({ threshold = 2, windowMs = 24 * 3600 * 1000, maxTracked = 5000 } = {}) {
+    this.threshold = threshold;
+    this.windowMs = windowMs;
+    this.maxTracked = maxTracked;
+    // key -> { count, since }, least recently played first
+    this.plays = new Map();
+  }
+
+  /**
+   * Count a play of `key`; true once it has become hot.
+   */
+  hit(key) {
+    const now = Date.now();
+    let entry = this.plays.get(key);
+    if (!entry || now - entry.since > this.windowMs) entry = { count: 0, since: now };
+    entry.count += 1;
+
+    this.plays.delete(key);
+    this.plays.set(key, entry);
+    if (this.plays.size > this.maxTracked) {
+      this.plays.delete(this.plays.keys().next().value);
+    }
+    return entry.count >= this.threshold;
+  }
+}
+
+module.exports = {
+  createAgents,
+  audioExtension,
+  contentTypeFor,
+  isPlayStart,
+  relay,
+  fetchToFile,
+  HotTracks
+};
@@ -0,0 +1,69 @@
+// lib/syncStore.js
+const EventEmitter = require('events');
+const JsonStore = require('./jsonStore');
+const { snapshotSong, roundSeconds } = require('./songSnapshot');
+
+const MAX_QUEUE_LENGTH = 500;
+
+/**
+ * What follows a listener from device to device, persisted to a JSON file:
+ *
+ * settings: { values, updatedAt, deviceId }
+ * playback: { songId, song (snapshot), position, duration, paused, queue,
+ *             updatedAt, deviceId, deviceName }
+ *
+ * `updatedAt` is stamped here, so devices with skewed clocks still agree on
+ * which version is newest. Emits `settings` and `playback` with the new state.
+ */
+class SyncStore extends EventEmitter {
+  constructor(file) {
+    super();
+    // Every open /api/sync/events stream subscribes, one per device
+    this.setMaxListeners(0);
+    this.store = new JsonStore(file, { settings: null, playback: null });
+  }
+
+  // { settings, playback }; either is null until a device has sent one
+  get() {
+    return this.store.read(data => ({ settings: data.settings, playback: data.playback }));
+  }
+
+  // Replace the synced settings (`values` is the player's settings object)
+  async setSettings(values, deviceId) {
+    const settings = await this.store.update(data => {
+      data.settings = { values, updatedAt: new Date().toISOString(), deviceId: text(deviceId, 100) };
+      return data.settings;
+    });
+    this.emit('settings', settings);
+    return settings;
+  }
+
+  // Record what a device is playing: { songId, song, position, duration, paused, queue, deviceName }
+  async setPlayback(state, deviceId) {
+    const playback = await this.store.update(data => {
+      data.playback = {
+        songId: state.songId.slice(0, 100),
+        song: snapshotSong(state.songId, state.song),
+        position: Math.max(0, Number(state.position) || 0),
+        duration: roundSeconds(state.duration),
+        paused: state.paused === true,
+        queue: (Array.isArray(state.queue) ? state.queue : [])
+          .filter(id => typeof id === 'string' && id)
+          .slice(0, MAX_QUEUE_LENGTH)
+          .map(id => id.slice(0, 100)),
+        updatedAt: new Date().toISOString(),
+        deviceId: text(deviceId, 100),
+        deviceName: text(state.deviceName, 80)
+      };
+      return data.playback;
+    });
+    this.emit('playback', playback);
+    return playback;
+  }
+}
+
+function text(value, max) {
+  return typeof value === 'string' ? value.slice(0, max) : '';
+}
+
+module.exports = SyncStore;
@@ -0,0 +1,347 @@
+// lib/transcode.js
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const ffmpeg = require('fluent-ffmpeg');
+
+// Saavn language names -> ISO 639-2 codes (ID3 TLAN)
+const LANGUAGE_CODES = {
+  assamese: 'asm',
+  bengali: 'ben',
+  bhojpuri: 'bho',
+  english: 'eng',
+  gujarati: 'guj',
+  haryanvi: 'bgc',
+  hindi: 'hin',
+  kannada: 'kan',
+  malayalam: 'mal',
+  marathi: 'mar',
+  odia: 'ori',
+  punjabi: 'pan',
+  rajasthani: 'raj',
+  sanskrit: 'san',
+  tamil: 'tam',
+  telugu: 'tel',
+  urdu: 'urd'
+};
+
+/**
+ * Pick the source URL for the requested quality, falling back to the best one.
+ */
+function pickDownloadUrl(songData, quality) {
+  const entry =
+    songData.downloadUrl?.find(d => d.quality === quality) ||
+    songData.downloadUrl?.slice(-1)[0];
+  return entry?.url || null;
+}
+
+/**
+ * Tags written into every downloaded file.
+ * `extra` can add or override tags (track, album_artist, lyrics, ...).
+ */
+function songTags(songData, extra = {}) {
+  const artist = (songData.artists?.primary || []).map(a => a.name).join(', ');
+  const language = (songData.language || '').toLowerCase();
+
+  return {
+    title: songData.name || 'Unknown Title',
+    artist,
+    album: songData.album?.name || songData.album || '',
+    album_artist: artist,
+    date: songData.year || '',
+    language: LANGUAGE_CODES[language] || language || undefined,
+    publisher: songData.label || undefined,
+    copyright: songData.copyright || undefined,
+    comment: 'Downloaded via ZYLAE',
+    ...extra
+  };
+}
+
+/**
+ * Highest resolution artwork URL (Saavn lists images smallest first).
+ */
+function bestImageUrl(songData) {
+  const images = Array.isArray(songData.image) ? songData.image : [];
+  return images.length ? images[images.length - 1].url : null;
+}
+
+/**
+ * Saavn escapes quotes and ampersands in names and lyrics.
+ */
+function decodeEntities(text) {
+  return String(text || '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#039;|&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Saavn lyrics come as HTML with <br> line breaks; ID3 USLT wants plain text.
+ */
+function lyricsToText(html) {
+  return decodeEntities(
+    String(html || '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+  ).trim();
+}
+
+/**
+ * Download cover art into `dir` so FFmpeg can embed it.
+ * Resolves to the file path, or null when the image isn't available.
+ */
+async function downloadCover(url, dir) {
+  if (!url) return null;
+  try {
+    const { data } = await axios.get(url, { responseType: 'arraybuffer', timeout: 10000 });
+    const coverPath = path.join(dir, `cover-${Date.now()}-${Math.random().toString(36).slice(2)}.jpg`);
+    await fs.promises.writeFile(coverPath, data);
+    return coverPath;
+  } catch (err) {
+    console.warn('Cover art download failed:', err.message);
+    return null;
+  }
+}
+
+function safeFilename(name) {
+  return name.replace(/[\/\\?%*:|"<>]/g, '_');
+}
+
+/**
+ * "Artist - Title (Year)" without extension
+ */
+function songFilename(songData) {
+  const { title, artist, date } = songTags(songData);
+  return safeFilename(`${artist ? artist + ' - ' : ''}${title}${date ? ' (' + date + ')' : ''}`);
+}
+
+/**
+ * Download formats. `tagging` selects how tag keys are written:
+ *  - id3:    FFmpeg maps our keys to ID3v2 frames (lyrics -> USLT)
+ *  - mp4:    iTunes-style atoms; keys the muxer doesn't know are dropped
+ *  - vorbis: Vorbis comments (Ogg, Opus, FLAC), written with canonical names
+ * `cover` is how artwork is embedded: as an attached picture stream, or as a
+ * METADATA_BLOCK_PICTURE comment for Ogg containers, which can't carry one.
+ */
+const FORMATS = {
+  mp3: {
+    ext: 'mp3',
+    contentType: 'audio/mpeg',
+    muxer: 'mp3',
+    codec: 'libmp3lame',
+    tagging: 'id3',
+    cover: 'stream'
+  },
+  m4a: {
+    ext: 'm4a',
+    contentType: 'audio/mp4',
+    muxer: 'ipod',
+    codec: 'aac',
+    // Saavn streams are already AAC in MP4, so they're remuxed as-is
+    copyAac: true,
+    tagging: 'mp4',
+    cover: 'stream'
+  },
+  opus: {
+    ext: 'opus',
+    contentType: 'audio/ogg; codecs=opus',
+    muxer: 'opus',
+    codec: 'libopus',
+    // libopus tops out at 256 kbps per channel (mono sources exist)
+    maxBitrate: 256,
+    tagging: 'vorbis',
+    cover: 'comment'
+  },
+  ogg: {
+    ext: 'ogg',
+    contentType: 'audio/ogg; codecs=vorbis',
+    muxer: 'ogg',
+    codec: 'libvorbis',
+    // libvorbis refuses very low bitrates for 44.1 kHz stereo,
+    // and very high ones for mono
+    minBitrate: 64,
+    maxBitrate: 240,
+    tagging: 'vorbis',
+    cover: 'comment'
+  },
+  flac: {
+    ext: 'flac',
+    contentType: 'audio/flac',
+    muxer: 'flac',
+    codec: 'flac',
+    lossless: true,
+    tagging: 'vorbis',
+    cover: 'stream'
+  }
+};
+
+const DEFAULT_FORMAT = 'mp3';
+
+/**
+ * Format spec for a `format` query value (case-insensitive), or null.
+ */
+function resolveFormat(name) {
+  const key = String(name || DEFAULT_FORMAT).toLowerCase();
+  return Object.prototype.hasOwnProperty.call(FORMATS, key) ? { name: key, ...FORMATS[key] } : null;
+}
+
+// Our tag keys -> Vorbis comment field names
+const VORBIS_KEYS = {
+  title: 'TITLE',
+  artist: 'ARTIST',
+  album: 'ALBUM',
+  album_artist: 'ALBUMARTIST',
+  date: 'DATE',
+  language: 'LANGUAGE',
+  publisher: 'LABEL',
+  copyright: 'COPYRIGHT',
+  comment: 'COMMENT',
+  lyrics: 'LYRICS'
+};
+
+function vorbisTags(tags) {
+  const out = {};
+  for (const [key, value] of Object.entries(tags)) {
+    if (key === 'track') {
+      // "2/12" -> TRACKNUMBER=2, TRACKTOTAL=12
+      const [number, total] = String(value).split('/');
+      out.TRACKNUMBER = number;
+      if (total) out.TRACKTOTAL = total;
+    } else {
+      out[VORBIS_KEYS[key] || key.toUpperCase()] = value;
+    }
+  }
+  return out;
+}
+
+function metadataOptions(tags) {
+  return Object.entries(tags)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+}
+
+/**
+ * Write `coverPath` as a FLAC picture block (base64, in a METADATA_BLOCK_PICTURE
+ * comment) into an FFmpeg metadata file next to it. The value is far too long
+ * for a -metadata argument, so FFmpeg reads it as an extra input instead.
+ */
+async function writePictureMetadata(coverPath) {
+  const image = await fs.promises.readFile(coverPath);
+  const mime = Buffer.from('image/jpeg');
+  const u32 = n => {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32BE(n);
+    return buf;
+  };
+
+  const block = Buffer.concat([
+    u32(3), // picture type: front cover
+    u32(mime.length), mime,
+    u32(0), // empty description
+    u32(0), u32(0), u32(0), u32(0), // width, height, depth, colours: unknown
+    u32(image.length), image
+  ]);
+
+  // ffmetadata escaping (base64 only ever needs it for '=' padding)
+  const value = block.toString('base64').replace(/[=;#\\\n]/g, ch => `\\${ch}`);
+  // Unique per call: ZIP tracks share a cover and run concurrently
+  const metaPath = `${coverPath}-${Math.random().toString(36).slice(2)}.ffmeta`;
+  await fs.promises.writeFile(metaPath, `;FFMETADATA1\nMETADATA_BLOCK_PICTURE=${value}\n`);
+  return metaPath;
+}
+
+/**
+ * FFmpeg command transcoding `sourceUrl` into `format` (see FORMATS) with
+ * `tags`, embedding `coverPath` as the front cover when given.
+ * `audioFilter` is an FFmpeg filter chain applied before encoding.
+ * The caller decides where the output goes; tagged output needs a seekable file.
+ */
+async function createTranscode(
+  sourceUrl,
+  { format = DEFAULT_FORMAT, quality = '320kbps', tags = {}, coverPath = null, audioFilter = null } = {}
+) {
+  const spec = resolveFormat(format);
+  if (!spec) throw new Error(`Unsupported format: ${format}`);
+
+  const command = ffmpeg(sourceUrl);
+  // Drop the source container's tags (major_brand, ...)
+  const options = ['-map_metadata', '-1'];
+  // ID3v2.3, which older car stereos and players still expect
+  if (spec.tagging === 'id3') options.push('-id3v2_version', '3');
+
+  if (coverPath && spec.cover === 'stream') {
+    command.input(coverPath);
+    options.push(
+      '-map', '0:a',
+      '-map', '1:v',
+      '-c:v', 'copy',
+      '-disposition:v', 'attached_pic',
+      '-metadata:s:v', 'title=Album cover',
+      '-metadata:s:v', 'comment=Cover (front)'
+    );
+  } else if (coverPath && spec.cover === 'comment') {
+    command.input(await writePictureMetadata(coverPath));
+    // Global tags from the picture file; the source stream's own tags
+    // (language=und, handler_name) would otherwise shadow ours
+    options.splice(0, 2, '-map', '0:a', '-map_metadata', '1', '-map_metadata:s:a', '-1');
+  }
+
+  // Filtered audio has to be re-encoded, even where the source could be copied
+  if (audioFilter) command.audioFilters(audioFilter);
+
+  if (spec.copyAac && !audioFilter && /\.(mp4|m4a|aac)(\?|$)/i.test(sourceUrl)) {
+    command.audioCodec('copy');
+  } else {
+    command.audioCodec(spec.codec);
+    if (!spec.lossless) {
+      const kbps = parseInt(quality, 10) || 320;
+      command.audioBitrate(Math.min(Math.max(kbps, spec.minBitrate || 0), spec.maxBitrate || kbps));
+    }
+  }
+
+  const fileTags = spec.tagging === 'vorbis' ? vorbisTags(tags) : tags;
+
+  return command
+    .format(spec.muxer)
+    // Spread so fluent-ffmpeg doesn't split values containing a space
+    .outputOptions(...options, ...metadataOptions(fileTags));
+}
+
+/**
+ * Seconds from an FFmpeg progress timemark ("00:01:23.45").
+ */
+function timemarkSeconds(timemark) {
+  return String(timemark || '')
+    .split(':')
+    .reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+}
+
+/**
+ * Run an FFmpeg command into `outPath`.
+ * Resolves when the file is complete, rejects on FFmpeg errors.
+ */
+function runToFile(command, outPath) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('error', reject)
+      .on('end', () => resolve(outPath))
+      .save(outPath);
+  });
+}
+
+module.exports = {
+  pickDownloadUrl,
+  songTags,
+  bestImageUrl,
+  decodeEntities,
+  lyricsToText,
+  downloadCover,
+  safeFilename,
+  songFilename,
+  FORMATS,
+  DEFAULT_FORMAT,
+  resolveFormat,
+  createTranscode,
+  timemarkSeconds,
+  runToFile
+};
@@ -0,0 +1,116 @@
+// lib/transcodeCache.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Disk cache of finished transcodes, bounded by total size (`maxBytes`).
+ *
+ * Files are only ever written once (tmp file + rename), so their mtime -- and
+ * with it the ETag/Last-Modified that `res.sendFile` derives from it -- stays
+ * stable and Range resumes with If-Range keep working. Recency for eviction
+ * is tracked through atime instead, which is bumped on every hit.
+ */
+class TranscodeCache {
+  constructor({ dir, maxBytes = 1024 * 1024 * 1024 } = {}) {
+    this.dir = dir;
+    this.tmpDir = path.join(dir, 'tmp');
+    this.maxBytes = maxBytes;
+    // key -> Promise<filePath> for transcodes in progress
+    this.pending = new Map();
+
+    fs.mkdirSync(this.tmpDir, { recursive: true });
+    // Leftovers from transcodes interrupted by a restart
+    for (const name of fs.readdirSync(this.tmpDir)) {
+      fs.rmSync(path.join(this.tmpDir, name), { force: true });
+    }
+  }
+
+  /**
+   * "<id>_<quality>[_<variant>].<ext>", with the id reduced to a safe file name.
+   * `variant` tells apart processed versions of the same file (normalized, ...).
+   */
+  static keyFor(id, quality, ext, variant = '') {
+    const safeId = /^[\w-]+$/.test(id) ? id : crypto.createHash('sha1').update(String(id)).digest('hex');
+    const suffix = variant ? `_${String(variant).replace(/[^\w]/g, '')}` : '';
+    return `${safeId}_${String(quality).replace(/[^\w]/g, '')}${suffix}.${ext}`;
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, key);
+  }
+
+  /**
+   * Path of the cached file for `key`, or null.
+   */
+  async get(key) {
+    const filePath = this.fileFor(key);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      // Mark as recently used without touching mtime (see above)
+      await fs.promises.utimes(filePath, new Date(), stat.mtime).catch(() => {});
+      return filePath;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Cached file for `key`, creating it with `produce(tmpPath)` on a miss.
+   * Concurrent callers for the same key share one `produce` run.
+   */
+  getOrCreate(key, produce) {
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const promise = (async () => {
+      const cached = await this.get(key);
+      if (cached) return cached;
+
+      const tmpPath = path.join(this.tmpDir, `${crypto.randomUUID()}-${key}`);
+      try {
+        await produce(tmpPath);
+        await fs.promises.rename(tmpPath, this.fileFor(key));
+      } catch (err) {
+        await fs.promises.rm(tmpPath, { force: true }).catch(() => {});
+        throw err;
+      }
+
+      await this.evict(key).catch(err => console.warn('Transcode cache eviction failed:', err.message));
+      return this.fileFor(key);
+    })();
+
+    this.pending.set(key, promise);
+    promise.then(
+      () => this.pending.delete(key),
+      () => this.pending.delete(key)
+    );
+    return promise;
+  }
+
+  /**
+   * Delete least recently used files until the cache fits in `maxBytes`.
+   * `keepKey` (the file just written) is never evicted.
+   */
+  async evict(keepKey = null) {
+    const names = await fs.promises.readdir(this.dir);
+    const files = [];
+    let total = 0;
+
+    for (const name of names) {
+      const filePath = path.join(this.dir, name);
+      const stat = await fs.promises.stat(filePath).catch(() => null);
+      if (!stat || !stat.isFile()) continue;
+      total += stat.size;
+      if (name !== keepKey) files.push({ filePath, size: stat.size, usedAt: stat.atimeMs });
+    }
+
+    files.sort((a, b) => a.usedAt - b.usedAt);
+    for (const file of files) {
+      if (total <= this.maxBytes) break;
+      await fs.promises.rm(file.filePath, { force: true });
+      total -= file.size;
+    }
+  }
+}
+
+module.exports = TranscodeCache;
@@ -0,0 +1,241 @@
+// lib/upstream.js
+const axios = require('axios');
+
+/**
+ * GET client for an upstream API served by one or more mirrors.
+ *
+ * - Idempotent GETs are retried with exponential backoff (plus jitter) on
+ *   network errors, timeouts and 5xx answers; 4xx answers are final.
+ * - Each mirror has a circuit breaker: after `breakerThreshold` failures in
+ *   a row it is skipped for `breakerCooldownMs`, then one trial request
+ *   (half-open) decides whether it is back.
+ * - Mirrors are tried in the configured order, healthy ones first; when
+ *   `healthPath` is set a periodic check keeps the health flags current and
+ *   closes breakers of mirrors that recovered.
+ *
+ * When every breaker is open, `get()` fails fast with an UpstreamUnavailableError.
+ */
+class UpstreamUnavailableError extends Error {
+  constructor(name, retryAfterMs) {
+    super(`Upstream ${name} is unavailable (all mirrors failing)`);
+    this.name = 'UpstreamUnavailableError';
+    this.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors, timeouts and 5xx are worth another try; a 4xx answer isn't
+function isRetryable(err) {
+  const status = err.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+class Upstream {
+  constructor({
+    name,
+    bases,
+    timeout = 10000,
+    retries = 2,
+    retryDelayMs = 300,
+    breakerThreshold = 5,
+    breakerCooldownMs = 30 * 1000,
+    healthPath = null,
+    healthIntervalMs = 30 * 1000
+  }) {
+    this.name = name;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.breakerThreshold = breakerThreshold;
+    this.breakerCooldownMs = breakerCooldownMs;
+    this.healthPath = healthPath;
+    this.healthIntervalMs = healthIntervalMs;
+    this.mirrors = bases.map(base => ({
+      base: base.replace(/\/+$/, ''),
+      healthy: true,
+      failures: 0,
+      openUntil: 0,
+      trialRunning: false,
+      requests: 0,
+      errors: 0,
+      lastError: null,
+      lastCheck: null
+    }));
+    this.timer = null;
+  }
+
+  /**
+   * Split a comma-separated list of base URLs (API_BASE=https://a/api,https://b/api)
+   */
+  static parseBases(value) {
+    return String(value || '')
+      .split(',')
+      .map(base => base.trim())
+      .filter(Boolean);
+  }
+
+  get primaryBase() {
+    return this.mirrors[0]?.base || '';
+  }
+
+  state(mirror) {
+    if (mirror.failures < this.breakerThreshold) return 'closed';
+    return Date.now() < mirror.openUntil ? 'open' : 'half-open';
+  }
+
+  // Mirrors that may take a request now, healthy ones first
+  available() {
+    const usable = this.mirrors.filter(m => {
+      const state = this.state(m);
+      return state === 'closed' || (state === 'half-open' && !m.trialRunning);
+    });
+    return [...usable.filter(m => m.healthy), ...usable.filter(m => !m.healthy)];
+  }
+
+  recordSuccess(mirror) {
+    mirror.failures = 0;
+    mirror.openUntil = 0;
+    mirror.healthy = true;
+  }
+
+  recordFailure(mirror, err) {
+    mirror.errors += 1;
+    mirror.failures += 1;
+    mirror.lastError = { at: new Date().toISOString(), message: err.message };
+    if (mirror.failures >= this.breakerThreshold) {
+      if (mirror.failures === this.breakerThreshold) {
+        console.warn(`Upstream ${this.name}: circuit opened for ${mirror.base}`);
+      }
+      mirror.openUntil = Date.now() + this.breakerCooldownMs;
+    }
+  }
+
+  async request(mirror, apiPath, params) {
+    const trial = this.state(mirror) === 'half-open';
+    if (trial) mirror.trialRunning = true;
+    mirror.requests += 1;
+    try {
+      const response = await axios.get(`${mirror.base}${apiPath}`, { params, timeout: this.timeout });
+      this.recordSuccess(mirror);
+      return response;
+    } catch (err) {
+      // A definitive 4xx still means the mirror is up
+      if (isRetryable(err)) this.recordFailure(mirror, err);
+      else this.recordSuccess(mirror);
+      throw err;
+    } finally {
+      if (trial) mirror.trialRunning = false;
+    }
+  }
+
+  /**
+   * GET `apiPath` from the first mirror that answers. Resolves to the axios
+   * response; rejects with the last error once retries are used up.
+   */
+  async get(apiPath, params = {}) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.retryDelayMs * 2 ** (attempt - 1);
+        await sleep(delay + Math.random() * delay * 0.25);
+      }
+
+      const mirrors = this.available();
+      if (!mirrors.length) {
+        if (lastError) throw lastError;
+        const reopensAt = Math.min(...this.mirrors.map(m => m.openUntil));
+        throw new UpstreamUnavailableError(this.name, reopensAt - Date.now());
+      }
+
+      for (const mirror of mirrors) {
+        try {
+          return await this.request(mirror, apiPath, params);
+        } catch (err) {
+          if (!isRetryable(err)) throw err;
+          lastError = err;
+          console.warn(`Upstream ${this.name}: ${mirror.base}${apiPath} failed (${err.message})`);
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  async checkHealth() {
+    await Promise.all(
+      this.mirrors.map(async mirror => {
+        const started = Date.now();
+        try {
+          await axios.get(`${mirror.base}${this.healthPath}`, { timeout: this.timeout });
+          mirror.healthy = true;
+          // Back in service without waiting out the cooldown
+          mirror.failures = 0;
+          mirror.openUntil = 0;
+          mirror.lastCheck = { at: new Date().toISOString(), ok: true, latencyMs: Date.now() - started };
+        } catch (err) {
+          // Only a mirror that's down is unhealthy; a 4xx on the check path isn't that
+          const down = isRetryable(err);
+          mirror.healthy = !down;
+          if (down) this.recordFailure(mirror, err);
+          mirror.lastCheck = {
+            at: new Date().toISOString(),
+            ok: !down,
+            latencyMs: Date.now() - started,
+            error: err.message
+          };
+        }
+      })
+    );
+  }
+
+  // Start periodic health checks (no-op without a healthPath)
+  start() {
+    if (!this.healthPath || !this.healthIntervalMs || this.timer) return;
+    const run = () => this.checkHealth().catch(err => console.warn(`Health check failed:`, err.message));
+    run();
+    this.timer = setInterval(run, this.healthIntervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  status() {
+    return {
+      name: this.name,
+      available: this.available().length > 0,
+      mirrors: this.mirrors.map(m => ({
+        base: m.base,
+        state: this.state(m),
+        healthy: m.healthy,
+        consecutiveFailures: m.failures,
+        openUntil: m.openUntil > Date.now() ? new Date(m.openUntil).toISOString() : null,
+        requests: m.requests,
+        errors: m.errors,
+        lastError: m.lastError,
+        lastCheck: m.lastCheck
+      }))
+    };
+  }
+}
+
+/**
+ * HTTP status to answer with when an upstream call failed: the upstream's own
+ * 4xx, 503 while its circuit is open, 504 on timeouts and 502 otherwise.
+ */
+function upstreamErrorStatus(err) {
+  const status = err.response?.status;
+  if (status && status < 500) return status;
+  if (err instanceof UpstreamUnavailableError) return 503;
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') return 504;
+  return 502;
+}
+
+module.exports = {
+  Upstream,
+  UpstreamUnavailableError,
+  upstreamErrorStatus
+};
@@ -0,0 +1,66 @@
+// lib/userData.js
+const fs = require('fs');
+const path = require('path');
+
+// What a new account inherits from a single-user install (see adopt())
+const ADOPTED_FILES = ['history.json', 'playlists.json', 'feedback.json', 'sync.json'];
+
+/**
+ * Server-side state per account. Every user gets a directory under
+ * `<dataDir>/users/<id>` holding the same files a single-user install keeps
+ * in `dataDir` itself; `create(dir)` builds the stores for one directory
+ * (and may give them a `close()`, called when the account is deleted).
+ *
+ * `for(null)` is that single-user state, used while accounts are turned off.
+ */
+class UserData {
+  constructor({ dataDir, create }) {
+    this.dataDir = dataDir;
+    this.create = create;
+    this.shared = create(dataDir);
+    // userId -> stores, created on first use
+    this.users = new Map();
+  }
+
+  // Where an account's files live (also used by scripts/build-embeddings.js)
+  static dirIn(dataDir, userId) {
+    if (!/^[\w-]+$/.test(userId)) throw new Error(`Invalid user id: ${userId}`);
+    return path.join(dataDir, 'users', userId);
+  }
+
+  dirFor(userId) {
+    return UserData.dirIn(this.dataDir, userId);
+  }
+
+  // Stores for `user` ({ id } or an id), or the shared stores for null
+  for(user) {
+    if (!user) return this.shared;
+    const id = typeof user === 'string' ? user : user.id;
+    if (!this.users.has(id)) this.users.set(id, this.create(this.dirFor(id)));
+    return this.users.get(id);
+  }
+
+  /**
+   * Copy the single-user files into a new account's directory, so whoever
+   * sets up accounts on an existing install keeps their history and library.
+   */
+  async adopt(userId) {
+    const dir = this.dirFor(userId);
+    await fs.promises.mkdir(dir, { recursive: true });
+    for (const name of ADOPTED_FILES) {
+      await fs.promises.copyFile(path.join(this.dataDir, name), path.join(dir, name), fs.constants.COPYFILE_EXCL)
+        .catch(err => {
+          if (err.code !== 'ENOENT' && err.code !== 'EEXIST') throw err;
+        });
+    }
+  }
+
+  // Forget a deleted account and remove its files
+  async remove(userId) {
+    this.users.get(userId)?.close?.();
+    this.users.delete(userId);
+    await fs.promises.rm(this.dirFor(userId), { recursive: true, force: true });
+  }
+}
+
+module.exports = UserData;
@@ -0,0 +1,301 @@
+// lib/userStore.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const JsonStore = require('./jsonStore');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['user', 'admin'];
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+// Prefix of API tokens, so they're recognisable in configs and logs
+const API_TOKEN_PREFIX = 'zy_';
+
+/**
+ * Accounts, login sessions and API tokens, persisted to a JSON file.
+ *
+ * users:     [{ id, username, role, passwordHash, createdAt }]
+ * sessions:  sha256(token) -> { userId, createdAt, expiresAt }
+ * apiTokens: sha256(token) -> { id, userId, name, createdAt, lastUsedAt }
+ *
+ * Only hashes of session and API tokens are stored; the tokens themselves are
+ * handed out once. Usernames are lower-cased.
+ */
+class UserStore {
+  constructor(file) {
+    this.store = new JsonStore(file, { users: [], sessions: {}, apiTokens: {} });
+  }
+
+  count() {
+    return this.store.read(data => data.users.length);
+  }
+
+  list() {
+    return this.store.read(data => data.users.map(publicUser));
+  }
+
+  get(id) {
+    return this.store.read(data => {
+      const user = data.users.find(u => u.id === id);
+      return user ? publicUser(user) : null;
+    });
+  }
+
+  /**
+   * Add an account. Rejects with a ValidationError for a bad or taken
+   * username, a short password or an unknown role.
+   */
+  async create({ username, password, role = 'user' }) {
+    const name = normalizeUsername(username);
+    validatePassword(password);
+    if (!ROLES.includes(role)) throw new ValidationError(`role must be one of ${ROLES.join(', ')}`);
+    const passwordHash = await hashPassword(password);
+    return this.store.update(data => insertUser(data, name, role, passwordHash));
+  }
+
+  /**
+   * Sign-up by the user themselves: the first account is an admin, later
+   * ones are only taken while `open`. Both are decided in the same update
+   * as the insert, so simultaneous first sign-ups can't all become admins.
+   * Resolves to { user, first }, or null when sign-ups are closed.
+   */
+  async register({ username, password, open }) {
+    const name = normalizeUsername(username);
+    validatePassword(password);
+    const passwordHash = await hashPassword(password);
+
+    return this.store.update(data => {
+      const first = data.users.length === 0;
+      if (!first && !open) return null;
+      return { user: insertUser(data, name, first ? 'admin' : 'user', passwordHash), first };
+    });
+  }
+
+  // The user for a username/password pair, or null
+  async verify(username, password) {
+    const name = String(username || '').trim().toLowerCase();
+    const user = await this.store.read(data => data.users.find(u => u.username === name));
+    // Hash anyway, so unknown usernames take as long as wrong passwords
+    const ok = await verifyPassword(String(password || ''), user?.passwordHash || DUMMY_HASH);
+    return ok && user ? publicUser(user) : null;
+  }
+
+  async setPassword(id, password) {
+    validatePassword(password);
+    const passwordHash = await hashPassword(password);
+    return this.store.update(data => {
+      const user = data.users.find(u => u.id === id);
+      if (!user) return false;
+      user.passwordHash = passwordHash;
+      // Other devices have to sign in again
+      Object.entries(data.sessions).forEach(([hash, s]) => {
+        if (s.userId === id) delete data.sessions[hash];
+      });
+      return true;
+    });
+  }
+
+  // Resolves to the updated user, or null when there's no such user
+  setRole(id, role) {
+    if (!ROLES.includes(role)) return Promise.reject(new ValidationError(`role must be one of ${ROLES.join(', ')}`));
+    return this.store.update(data => {
+      const user = data.users.find(u => u.id === id);
+      if (!user) return null;
+      if (user.role === 'admin' && role !== 'admin' && adminCount(data) === 1) {
+        throw new ValidationError('The last admin cannot be demoted');
+      }
+      user.role = role;
+      return publicUser(user);
+    });
+  }
+
+  // Delete an account with its sessions and tokens; false when there's no such user
+  remove(id) {
+    return this.store.update(data => {
+      const user = data.users.find(u => u.id === id);
+      if (!user) return false;
+      if (user.role === 'admin' && adminCount(data) === 1) {
+        throw new ValidationError('The last admin cannot be deleted');
+      }
+      data.users = data.users.filter(u => u.id !== id);
+      dropWhere(data.sessions, s => s.userId === id);
+      dropWhere(data.apiTokens, t => t.userId === id);
+      return true;
+    });
+  }
+
+  /**
+   * Start a session lasting `ttlMs`. Resolves to { token, expiresAt }.
+   */
+  createSession(userId, ttlMs) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return this.store.update(data => {
+      const now = Date.now();
+      // Expired sessions are dropped whenever someone signs in
+      dropWhere(data.sessions, s => Date.parse(s.expiresAt) <= now);
+      const expiresAt = new Date(now + ttlMs).toISOString();
+      data.sessions[hashToken(token)] = { userId, createdAt: new Date(now).toISOString(), expiresAt };
+      return { token, expiresAt };
+    });
+  }
+
+  // The user a session token belongs to, or null when it's unknown or expired
+  userForSession(token) {
+    return this.store.read(data => {
+      const session = data.sessions[hashToken(token)];
+      if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+      const user = data.users.find(u => u.id === session.userId);
+      return user ? publicUser(user) : null;
+    });
+  }
+
+  deleteSession(token) {
+    return this.store.update(data => {
+      delete data.sessions[hashToken(token)];
+    });
+  }
+
+  /**
+   * New API token for `userId`. Resolves to { token, ...metadata }; the token
+   * can't be read back later.
+   */
+  createApiToken(userId, name) {
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    return this.store.update(data => {
+      const entry = {
+        id: crypto.randomUUID(),
+        userId,
+        name: String(name || '').trim().slice(0, 100) || 'API token',
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+      };
+      data.apiTokens[hashToken(token)] = entry;
+      return { token, ...entry };
+    });
+  }
+
+  listApiTokens(userId) {
+    return this.store.read(data =>
+      Object.values(data.apiTokens)
+        .filter(t => t.userId === userId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    );
+  }
+
+  deleteApiToken(userId, id) {
+    return this.store.update(data => {
+      const before = Object.keys(data.apiTokens).length;
+      dropWhere(data.apiTokens, t => t.userId === userId && t.id === id);
+      return Object.keys(data.apiTokens).length < before;
+    });
+  }
+
+  // The user an API token belongs to, or null
+  async userForApiToken(token) {
+    if (!String(token).startsWith(API_TOKEN_PREFIX)) return null;
+    const hash = hashToken(token);
+    const user = await this.store.read(data => {
+      const entry = data.apiTokens[hash];
+      const owner = entry && data.users.find(u => u.id === entry.userId);
+      return owner ? publicUser(owner) : null;
+    });
+    if (user) this.touchApiToken(hash);
+    return user;
+  }
+
+  // Note when a token was last used, at most once a minute per token
+  touchApiToken(hash) {
+    this.store
+      .update(data => {
+        const entry = data.apiTokens[hash];
+        if (entry && (!entry.lastUsedAt || Date.now() - Date.parse(entry.lastUsedAt) > 60 * 1000)) {
+          entry.lastUsedAt = new Date().toISOString();
+        }
+      })
+      .catch(err => console.warn('Could not update API token:', err.message));
+  }
+}
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.expose = true;
+  }
+}
+
+function publicUser({ id, username, role, createdAt }) {
+  return { id, username, role, createdAt };
+}
+
+// Push a new account into `data` (inside an update); the public user
+function insertUser(data, username, role, passwordHash) {
+  if (data.users.some(u => u.username === username)) throw new ValidationError('That username is taken');
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    role,
+    passwordHash,
+    createdAt: new Date().toISOString()
+  };
+  data.users.push(user);
+  return publicUser(user);
+}
+
+function adminCount(data) {
+  return data.users.filter(u => u.role === 'admin').length;
+}
+
+function dropWhere(map, predicate) {
+  Object.keys(map).forEach(key => {
+    if (predicate(map[key])) delete map[key];
+  });
+}
+
+function normalizeUsername(username) {
+  const name = String(username || '').trim().toLowerCase();
+  if (!USERNAME_PATTERN.test(name)) {
+    throw new ValidationError('Usernames are 3-32 characters: letters, digits, "_", "." or "-"');
+  }
+  return name;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// "scrypt$N$r$p$salt$hash" (salt and hash in base64)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p, keylen } = SCRYPT;
+  const hash = await scrypt(password, salt, keylen, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt') return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the username doesn't exist; never matches a real password
+const DUMMY_HASH = ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, 'AAAAAAAAAAAAAAAAAAAAAA==', Buffer.alloc(SCRYPT.keylen).toString('base64')].join('$');
+
+module.exports = UserStore;
+module.exports.ROLES = ROLES;
+module.exports.ValidationError = ValidationError;
@@ -3,8 +3,21 @@
 // ---- Global settings object shared with player.js ----
 window.ZY_SETTINGS = window.ZY_SETTINGS || {
   bitrate: '320kbps',
+  downloadFormat: 'mp3',
   autoplay: true,
+  crossfade: 0,
+  gaplessAlbums: true,
+  streamViaServer: false,
+  normalizeVolume: false,
+  loudnessTarget: -14,
+  eqEnabled: false,
+  eqPreset: 'flat',
+  eqGains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  eqUserPresets: {},
+  playbackSpeed: 1,
+  speedChangesPitch: false,
   downloadsEnabled: true,
+  skipThreshold: 30,
   theme: 'dark',
   saveVolume: true,
   viewportMode: 'default'
@@ -65,9 +78,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Settings elements
   const bitrateSelect = $('#bitrate-select');
+  const formatSelect = $('#format-select');
   const downloadsEnable = $('#downloads-enable');
   const autoplayToggle = $('#autoplay-toggle');
   const saveVolumeToggle = $('#save-volume-toggle');
+  const crossfadeRange = $('#crossfade-range');
+  const crossfadeValue = $('#crossfade-value');
+  const gaplessToggle = $('#gapless-toggle');
+  const streamViaServerToggle = $('#stream-via-server-toggle');
+  const normalizeToggle = $('#normalize-toggle');
+  const loudnessTargetSelect = $('#loudness-target-select');
   const themeToggle = $('#theme-toggle');
   const themeRadioInputs = $all('input[name="theme-mode"]');
   const viewportSelect = $('#viewport-select');
@@ -85,17 +105,22 @@ document.addEventListener('DOMContentLoaded', () => {
   const npFsNext = $('#np-fs-next');
   const npFsPlayPause = $('#np-fs-play-pause');
 
-  const audioEl = $('#audio-player');
+  // Playback engine (engine.js); same surface as the <audio> element
+  const audioEl = window._engine || $('#audio-player');
   const recentlyPlayedList = $('#recently-played-list');
 
   // ------------- SPA View handling -------------
-  function setActiveView(viewId) {
+  // Sections below register a callback here to refresh their view on open
+  const viewEnterHandlers = {};
+
+  function setActiveView(viewId, label) {
     views.forEach(v => v.classList.toggle('active', v.id === `view-${viewId}`));
     navItems.forEach(btn =>
       btn.classList.toggle('active', btn.dataset.view === viewId)
     );
     breadcrumbs.textContent =
-      viewId.charAt(0).toUpperCase() + viewId.slice(1).toLowerCase();
+      label || viewId.charAt(0).toUpperCase() + viewId.slice(1).toLowerCase();
+    viewEnterHandlers[viewId]?.();
   }
 
   navItems.forEach(btn => {
@@ -115,14 +140,22 @@ document.addEventListener('DOMContentLoaded', () => {
   // ------------- Settings: load + apply -------------
   function loadSettings() {
     try {
-      const saved = JSON.parse(localStorage.getItem('zylaeSettings') || '{}');
+      const saved = JSON.parse(localStorage.getItem(userStorageKey('zylaeSettings')) || '{}');
       Object.assign(window.ZY_SETTINGS, saved);
     } catch (e) {
       console.warn('Failed to parse settings, using defaults');
     }
   }
+  // Changes are sent to the server shortly after (see Sync below)
+  let settingsPushTimer = null;
+  let applyingRemoteSettings = false;
+
   function persistSettings() {
-    localStorage.setItem('zylaeSettings', JSON.stringify(window.ZY_SETTINGS));
+    localStorage.setItem(userStorageKey('zylaeSettings'), JSON.stringify(window.ZY_SETTINGS));
+    if (applyingRemoteSettings) return;
+    saveSettingsSyncState({ ...settingsSyncState(), dirty: true });
+    clearTimeout(settingsPushTimer);
+    settingsPushTimer = setTimeout(pushSettings, 1500);
   }
 
   function applyTheme() {
@@ -138,9 +171,17 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function applySettingsToUI() {
     bitrateSelect.value = window.ZY_SETTINGS.bitrate || '320kbps';
+    formatSelect.value = window.ZY_SETTINGS.downloadFormat || 'mp3';
     downloadsEnable.checked = !!window.ZY_SETTINGS.downloadsEnabled;
     autoplayToggle.checked = !!window.ZY_SETTINGS.autoplay;
     saveVolumeToggle.checked = !!window.ZY_SETTINGS.saveVolume;
+    crossfadeRange.value = window.ZY_SETTINGS.crossfade || 0;
+    updateCrossfadeLabel();
+    gaplessToggle.checked = window.ZY_SETTINGS.gaplessAlbums !== false;
+    streamViaServerToggle.checked = !!window.ZY_SETTINGS.streamViaServer;
+    normalizeToggle.checked = !!window.ZY_SETTINGS.normalizeVolume;
+    loudnessTargetSelect.value = String(window.ZY_SETTINGS.loudnessTarget ?? -14);
+    loudnessTargetSelect.disabled = !normalizeToggle.checked;
 
     themeRadioInputs.forEach(r => {
       r.checked = r.value === (window.ZY_SETTINGS.theme || 'dark');
@@ -167,6 +208,11 @@ document.addEventListener('DOMContentLoaded', () => {
     persistSettings();
   });
 
+  formatSelect.addEventListener('change', () => {
+    window.ZY_SETTINGS.downloadFormat = formatSelect.value;
+    persistSettings();
+  });
+
   downloadsEnable.addEventListener('change', () => {
     window.ZY_SETTINGS.downloadsEnabled = downloadsEnable.checked;
     persistSettings();
@@ -182,6 +228,43 @@ document.addEventListener('DOMContentLoaded', () => {
     persistSettings();
   });
 
+  function updateCrossfadeLabel() {
+    const seconds = Number(crossfadeRange.value);
+    crossfadeValue.textContent = seconds ? `${seconds}s` : 'Off';
+  }
+
+  crossfadeRange.addEventListener('input', updateCrossfadeLabel);
+  crossfadeRange.addEventListener('change', () => {
+    window.ZY_SETTINGS.crossfade = Number(crossfadeRange.value);
+    persistSettings();
+    window._player?.refreshNext();
+  });
+
+  gaplessToggle.addEventListener('change', () => {
+    window.ZY_SETTINGS.gaplessAlbums = gaplessToggle.checked;
+    persistSettings();
+    window._player?.refreshNext();
+  });
+
+  streamViaServerToggle.addEventListener('change', () => {
+    window.ZY_SETTINGS.streamViaServer = streamViaServerToggle.checked;
+    persistSettings();
+    window._player?.refreshNext();
+  });
+
+  normalizeToggle.addEventListener('change', () => {
+    window.ZY_SETTINGS.normalizeVolume = normalizeToggle.checked;
+    loudnessTargetSelect.disabled = !normalizeToggle.checked;
+    persistSettings();
+    window._player?.refreshLoudness();
+  });
+
+  loudnessTargetSelect.addEventListener('change', () => {
+    window.ZY_SETTINGS.loudnessTarget = Number(loudnessTargetSelect.value);
+    persistSettings();
+    window._player?.refreshLoudness();
+  });
+
   if (viewportSelect) {
     viewportSelect.addEventListener('change', () => {
       const newMode = viewportSelect.value;
@@ -230,7 +313,582 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // ------------- Autoplay engine (strategy weights + debug log) -------------
+  const autoplayWeightsEl = $('#autoplay-weights');
+  const preferredLanguagesInput = $('#preferred-languages-input');
+  const diversityThresholdsInput = $('#diversity-thresholds-input');
+  const eraRange = $('#era-range');
+  const eraRangeValue = $('#era-range-value');
+  const autoplayReset = $('#autoplay-reset');
+  const autoplayDebug = $('#autoplay-debug');
+  const autoplayLogList = $('#autoplay-log');
+
+  const autoplayDefaults = window._player?.autoplayDefaults || {};
+  const autoplayWeightInputs = new Map();
+
+  function autoplayWeights() {
+    return { ...autoplayDefaults.weights, ...(window.ZY_SETTINGS.autoplayWeights || {}) };
+  }
+
+  // Each slider's share of the total, so weights read as chances
+  function updateWeightShares() {
+    const weights = [...autoplayWeightInputs.entries()].map(([name, input]) => [name, Number(input.value)]);
+    const total = weights.reduce((acc, [, w]) => acc + w, 0);
+    weights.forEach(([name, w]) => {
+      const share = autoplayWeightInputs.get(name).closest('.autoplay-weight').querySelector('.autoplay-weight-share');
+      share.textContent = total ? `${Math.round((w / total) * 100)}%` : '0%';
+    });
+  }
+
+  function renderAutoplayWeights() {
+    autoplayWeightsEl.innerHTML = '';
+    autoplayWeightInputs.clear();
+
+    (window._player?.getAutoplayStrategies() || []).forEach(strategy => {
+      const row = document.createElement('label');
+      row.className = 'autoplay-weight';
+
+      const name = document.createElement('span');
+      name.textContent = strategy.label;
+
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = 0;
+      input.max = 100;
+      input.step = 5;
+      input.addEventListener('input', updateWeightShares);
+      input.addEventListener('change', () => {
+        window.ZY_SETTINGS.autoplayWeights = Object.fromEntries(
+          [...autoplayWeightInputs.entries()].map(([key, el]) => [key, Number(el.value)])
+        );
+        persistSettings();
+        window._player?.refreshAutoplayQueue();
+      });
+
+      const share = document.createElement('span');
+      share.className = 'autoplay-weight-share';
+
+      row.append(name, input, share);
+      autoplayWeightsEl.appendChild(row);
+      autoplayWeightInputs.set(strategy.name, input);
+    });
+  }
+
+  // "hindi: 4, telugu: 3" <-> { hindi: 4, telugu: 3 }; malformed parts are dropped
+  function parseThresholds(text) {
+    const thresholds = {};
+    text.split(',').forEach(part => {
+      const [language, count] = part.split(':').map(v => v.trim().toLowerCase());
+      const n = parseInt(count, 10);
+      if (language && n > 0) thresholds[language] = n;
+    });
+    return thresholds;
+  }
+
+  function formatThresholds(thresholds) {
+    return Object.entries(thresholds)
+      .map(([language, n]) => `${language}: ${n}`)
+      .join(', ');
+  }
+
+  function applyAutoplaySettingsToUI() {
+    const weights = autoplayWeights();
+    autoplayWeightInputs.forEach((input, name) => {
+      input.value = weights[name] ?? 0;
+    });
+    updateWeightShares();
+
+    const s = window.ZY_SETTINGS;
+    preferredLanguagesInput.value = (s.preferredLanguages || autoplayDefaults.preferredLanguages || []).join(', ');
+    diversityThresholdsInput.value = formatThresholds(
+      s.diversityThresholds || autoplayDefaults.diversityThresholds || {}
+    );
+    eraRange.value = s.eraRange ?? autoplayDefaults.eraRange ?? 3;
+    eraRangeValue.textContent = eraRange.value;
+  }
+
+  preferredLanguagesInput.addEventListener('change', () => {
+    const languages = preferredLanguagesInput.value
+      .split(',')
+      .map(l => l.trim().toLowerCase())
+      .filter(Boolean);
+    window.ZY_SETTINGS.preferredLanguages = [...new Set(languages)];
+    persistSettings();
+    applyAutoplaySettingsToUI();
+    window._player?.refreshAutoplayQueue();
+  });
+
+  diversityThresholdsInput.addEventListener('change', () => {
+    window.ZY_SETTINGS.diversityThresholds = parseThresholds(diversityThresholdsInput.value);
+    persistSettings();
+    applyAutoplaySettingsToUI();
+    window._player?.refreshAutoplayQueue();
+  });
+
+  eraRange.addEventListener('input', () => {
+    eraRangeValue.textContent = eraRange.value;
+  });
+  eraRange.addEventListener('change', () => {
+    window.ZY_SETTINGS.eraRange = Number(eraRange.value);
+    persistSettings();
+    window._player?.refreshAutoplayQueue();
+  });
+
+  autoplayReset.addEventListener('click', () => {
+    ['autoplayWeights', 'preferredLanguages', 'diversityThresholds', 'eraRange'].forEach(key => {
+      delete window.ZY_SETTINGS[key];
+    });
+    persistSettings();
+    applyAutoplaySettingsToUI();
+    window._player?.refreshAutoplayQueue();
+  });
+
+  function strategyLabel(name) {
+    const strategy = (window._player?.getAutoplayStrategies() || []).find(s => s.name === name);
+    return strategy?.label || capitalizeWord(name);
+  }
+
+  function capitalizeWord(word) {
+    return word ? word.charAt(0).toUpperCase() + word.slice(1) : '';
+  }
+
+  // Newest first; only rendered while the panel is open
+  function renderAutoplayLog() {
+    if (!autoplayDebug.open) return;
+    const log = (window._player?.getAutoplayLog() || []).reverse();
+
+    autoplayLogList.innerHTML = '';
+    if (!log.length) {
+      autoplayLogList.innerHTML = '<li class="status-text">No autoplayed songs yet.</li>';
+      return;
+    }
+
+    log.forEach(entry => {
+      const li = document.createElement('li');
+      const title = document.createElement('div');
+      title.className = 'result-title';
+      title.textContent = entry.name;
+
+      const strategy = document.createElement('span');
+      strategy.className = 'autoplay-strategy';
+      strategy.textContent = strategyLabel(entry.strategy);
+      title.appendChild(strategy);
+
+      const reason = document.createElement('div');
+      reason.className = 'result-sub';
+      reason.textContent = entry.reason;
+
+      const meta = document.createElement('div');
+      meta.className = 'result-sub';
+      meta.textContent = [
+        new Date(entry.playedAt).toLocaleTimeString(),
+        entry.chance !== null ? `${Math.round(entry.chance * 100)}% chance for this strategy` : '',
+        entry.seedName ? `seed: ${entry.seedName}` : ''
+      ]
+        .filter(Boolean)
+        .join(' · ');
+
+      li.append(title, reason, meta);
+      autoplayLogList.appendChild(li);
+    });
+  }
+
+  autoplayDebug.addEventListener('toggle', renderAutoplayLog);
+  document.addEventListener('zy:autoplaylog', renderAutoplayLog);
+
+  renderAutoplayWeights();
+  applyAutoplaySettingsToUI();
+  document.addEventListener('zy:settingschange', applyAutoplaySettingsToUI);
+
+  // ------------- Equalizer & playback speed -------------
+  // dB per band, 31 Hz .. 16 kHz (see engine.js)
+  const EQ_PRESETS = {
+    flat: { label: 'Flat', gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    bass: { label: 'Bass Boost', gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+    vocal: { label: 'Vocal', gains: [-2, -2, -1, 0, 2, 4, 4, 2, 0, -1] },
+    classical: { label: 'Classical', gains: [4, 3, 2, 0, -1, -1, 0, 2, 3, 4] }
+  };
+  const EQ_RANGE_DB = 12;
+  // User presets are "user:<name>" in the select
+  const USER_PRESET_PREFIX = 'user:';
+
+  const eqToggle = $('#eq-enable');
+  const eqPresetSelect = $('#eq-preset-select');
+  const eqBandsEl = $('#eq-bands');
+  const eqSavePreset = $('#eq-save-preset');
+  const eqDeletePreset = $('#eq-delete-preset');
+  const eqHint = $('#eq-hint');
+  const speedRange = $('#speed-range');
+  const speedValue = $('#speed-value');
+  const pitchToggle = $('#pitch-toggle');
+
+  const eqSupported = !!audioEl?.eqAvailable;
+  const eqBandInputs = [];
+
+  function formatBand(hz) {
+    return hz >= 1000 ? `${hz / 1000}k` : String(hz);
+  }
+
+  function userPresets() {
+    return window.ZY_SETTINGS.eqUserPresets || {};
+  }
+
+  function presetGains(value) {
+    if (value.startsWith(USER_PRESET_PREFIX)) {
+      return userPresets()[value.slice(USER_PRESET_PREFIX.length)] || null;
+    }
+    return EQ_PRESETS[value]?.gains || null;
+  }
+
+  function renderEqPresetOptions() {
+    eqPresetSelect.innerHTML = '';
+    const addOption = (value, label) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      eqPresetSelect.appendChild(option);
+    };
+
+    Object.entries(EQ_PRESETS).forEach(([value, preset]) => addOption(value, preset.label));
+    Object.keys(userPresets()).forEach(name => addOption(`${USER_PRESET_PREFIX}${name}`, name));
+    addOption('custom', 'Custom');
+
+    const current = window.ZY_SETTINGS.eqPreset || 'flat';
+    eqPresetSelect.value = presetGains(current) ? current : 'custom';
+    eqDeletePreset.disabled = !eqPresetSelect.value.startsWith(USER_PRESET_PREFIX);
+  }
+
+  function renderEqBands() {
+    eqBandsEl.innerHTML = '';
+    eqBandInputs.length = 0;
+
+    (audioEl?.eqBands || []).forEach((hz, i) => {
+      const band = document.createElement('label');
+      band.className = 'eq-band';
+
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = -EQ_RANGE_DB;
+      input.max = EQ_RANGE_DB;
+      input.step = 1;
+      input.title = `${formatBand(hz)}Hz`;
+      input.addEventListener('input', () => {
+        const gains = eqBandInputs.map(el => Number(el.value));
+        window.ZY_SETTINGS.eqGains = gains;
+        window.ZY_SETTINGS.eqPreset = 'custom';
+        eqPresetSelect.value = 'custom';
+        eqDeletePreset.disabled = true;
+        applyEq();
+      });
+      input.addEventListener('change', persistSettings);
+
+      const caption = document.createElement('span');
+      caption.textContent = formatBand(hz);
+
+      band.append(input, caption);
+      eqBandsEl.appendChild(band);
+      eqBandInputs.push(input);
+    });
+  }
+
+  function syncEqBands() {
+    const gains = window.ZY_SETTINGS.eqGains || [];
+    eqBandInputs.forEach((input, i) => {
+      input.value = gains[i] || 0;
+    });
+  }
+
+  function applyEq() {
+    if (!audioEl?.setEq) return;
+    audioEl.setEq(window.ZY_SETTINGS.eqEnabled ? window.ZY_SETTINGS.eqGains : null);
+  }
+
+  function applySpeed() {
+    const speed = Number(window.ZY_SETTINGS.playbackSpeed) || 1;
+    speedValue.textContent = `${speed.toFixed(2)}×`;
+    if (!audioEl) return;
+    audioEl.playbackRate = speed;
+    audioEl.preservesPitch = !window.ZY_SETTINGS.speedChangesPitch;
+  }
+
+  eqToggle.addEventListener('change', () => {
+    window.ZY_SETTINGS.eqEnabled = eqToggle.checked;
+    persistSettings();
+    applyEq();
+  });
+
+  eqPresetSelect.addEventListener('change', () => {
+    const gains = presetGains(eqPresetSelect.value);
+    eqDeletePreset.disabled = !eqPresetSelect.value.startsWith(USER_PRESET_PREFIX);
+    // "Custom" keeps whatever the sliders say
+    if (!gains) return;
+
+    window.ZY_SETTINGS.eqPreset = eqPresetSelect.value;
+    window.ZY_SETTINGS.eqGains = [...gains];
+    persistSettings();
+    syncEqBands();
+    applyEq();
+  });
+
+  eqSavePreset.addEventListener('click', () => {
+    const name = window.prompt('Preset name')?.trim();
+    if (!name) return;
+
+    window.ZY_SETTINGS.eqUserPresets = {
+      ...userPresets(),
+      [name]: eqBandInputs.map(el => Number(el.value))
+    };
+    window.ZY_SETTINGS.eqPreset = `${USER_PRESET_PREFIX}${name}`;
+    persistSettings();
+    renderEqPresetOptions();
+  });
+
+  eqDeletePreset.addEventListener('click', () => {
+    const value = eqPresetSelect.value;
+    if (!value.startsWith(USER_PRESET_PREFIX)) return;
+    const name = value.slice(USER_PRESET_PREFIX.length);
+    if (!window.confirm(`Delete preset "${name}"?`)) return;
+
+    const presets = { ...userPresets() };
+    delete presets[name];
+    window.ZY_SETTINGS.eqUserPresets = presets;
+    // The sliders keep the deleted preset's values
+    window.ZY_SETTINGS.eqPreset = 'custom';
+    persistSettings();
+    renderEqPresetOptions();
+  });
+
+  speedRange.addEventListener('input', () => {
+    window.ZY_SETTINGS.playbackSpeed = Number(speedRange.value);
+    applySpeed();
+  });
+  speedRange.addEventListener('change', persistSettings);
+
+  pitchToggle.addEventListener('change', () => {
+    window.ZY_SETTINGS.speedChangesPitch = pitchToggle.checked;
+    persistSettings();
+    applySpeed();
+  });
+
+  function applyEqSettingsToUI() {
+    renderEqPresetOptions();
+    syncEqBands();
+    eqToggle.checked = !!window.ZY_SETTINGS.eqEnabled;
+    speedRange.value = window.ZY_SETTINGS.playbackSpeed || 1;
+    pitchToggle.checked = !!window.ZY_SETTINGS.speedChangesPitch;
+    applyEq();
+    applySpeed();
+  }
+
+  renderEqBands();
+  applyEqSettingsToUI();
+  document.addEventListener('zy:settingschange', applyEqSettingsToUI);
+
+  if (!eqSupported) {
+    [eqToggle, eqPresetSelect, eqSavePreset, eqDeletePreset, ...eqBandInputs].forEach(el => {
+      el.disabled = true;
+    });
+    eqHint.textContent = 'This browser has no Web Audio support, so the equalizer is unavailable.';
+  }
+
+  // ------------- Song rows (shared by search + library) -------------
+  function playViaPlayer(id, options) {
+    if (window._player && typeof window._player.playSong === 'function') {
+      window._player.playSong(id, options);
+    } else {
+      console.warn('Player not ready');
+    }
+  }
+
+  function createIconButton(icon, title, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'icon-button';
+    btn.innerHTML = `<i class="fas ${icon}"></i>`;
+    btn.title = title;
+    btn.addEventListener('click', e => {
+      e.stopPropagation();
+      onClick(e);
+    });
+    return btn;
+  }
+
+  // Download quality + format from the current settings
+  function downloadOptions() {
+    return {
+      quality: window.ZY_SETTINGS.bitrate || '320kbps',
+      format: window.ZY_SETTINGS.downloadFormat || 'mp3'
+    };
+  }
+
+  function downloadQuery() {
+    const { quality, format } = downloadOptions();
+    return `quality=${encodeURIComponent(quality)}&format=${encodeURIComponent(format)}`;
+  }
+
+  // Single tracks go through the background job queue (see Downloads below)
+  function downloadSong(songId) {
+    if (!window.ZY_SETTINGS.downloadsEnabled) return;
+    queueDownload(songId);
+  }
+
+  // Album / JioSaavn playlist as a ZIP of tagged tracks
+  function downloadCollection(kind, id) {
+    if (!window.ZY_SETTINGS.downloadsEnabled) return;
+
+    const url = `/api/download/${kind}/${encodeURIComponent(id)}?${downloadQuery()}`;
+    window.open(url, '_blank');
+  }
+
+  // "Save for offline" button; its icon follows the saved / saving state
+  function createOfflineButton(song) {
+    const btn = createIconButton('fa-cloud-arrow-down', 'Save for offline', async () => {
+      if (btn.classList.contains('saved-offline') || window._offline.isSaving(song.id)) return;
+      try {
+        await window._offline.save(song, { quality: window.ZY_SETTINGS.bitrate || '320kbps' });
+      } catch (err) {
+        console.error('Save offline error:', err);
+        window.alert(`Could not save for offline: ${err.message}`);
+      }
+    });
+    btn.dataset.offlineId = song.id;
+    refreshOfflineButton(btn);
+    return btn;
+  }
+
+  async function refreshOfflineButton(btn) {
+    const id = btn.dataset.offlineId;
+    const icon = btn.querySelector('i');
+
+    if (window._offline.isSaving(id)) {
+      icon.className = 'fas fa-spinner fa-spin';
+      btn.title = 'Saving for offline…';
+      return;
+    }
+
+    const saved = await window._offline.has(id).catch(() => false);
+    btn.classList.toggle('saved-offline', saved);
+    icon.className = `fas ${saved ? 'fa-circle-check' : 'fa-cloud-arrow-down'}`;
+    btn.title = saved ? 'Saved for offline' : 'Save for offline';
+  }
+
+  document.addEventListener('zy:offlinechange', () => {
+    $all('[data-offline-id]').forEach(refreshOfflineButton);
+  });
+
+  // Builds a result row with Play + Download actions; callers may append more actions.
+  function createSongItem(song) {
+    const item = document.createElement('div');
+    item.className = 'result-item';
+
+    const art = document.createElement('img');
+    art.className = 'result-art';
+    art.src = song.image?.[1]?.url || song.image?.[0]?.url || '';
+    art.alt = song.name || '';
+
+    const main = document.createElement('div');
+    main.className = 'result-main';
+
+    const text = document.createElement('div');
+    text.className = 'result-text';
+
+    const title = document.createElement('div');
+    title.className = 'result-title';
+    title.textContent = song.name || '';
+
+    const artistNames = (song.artists?.primary || []).map(a => a.name).join(', ');
+    const albumName = song.album?.name || song.album || '';
+
+    const sub = document.createElement('div');
+    sub.className = 'result-sub';
+    sub.textContent = [artistNames, albumName].filter(Boolean).join(' • ');
+
+    text.appendChild(title);
+    text.appendChild(sub);
+    main.appendChild(art);
+    main.appendChild(text);
+
+    const actions = document.createElement('div');
+    actions.className = 'result-actions';
+
+    actions.appendChild(createIconButton('fa-play', 'Play', () => playViaPlayer(song.id)));
+    actions.appendChild(createIconButton('fa-download', 'Download', () => downloadSong(song.id)));
+    if (window._offline?.isSupported) actions.appendChild(createOfflineButton(song));
+
+    item.appendChild(main);
+    item.appendChild(actions);
+
+    return { item, actions };
+  }
+
+  // Song metadata, shared with the player's cache
+  async function getSongMeta(id) {
+    const cache = window._player?.songCache;
+    if (cache && cache.has(id)) return cache.get(id);
+
+    const res = await fetch(`/api/songs/${encodeURIComponent(id)}`);
+    const json = await res.json();
+    const song = json.data?.[0] || null;
+    if (song && cache) cache.set(id, song);
+    return song;
+  }
+
   // ------------- Search -------------
+  const searchTabs = $all('#search-tabs .tab');
+  let searchTab = 'songs';
+  let searchToken = 0;
+
+  // Song row with queue + playlist actions, used by search and browse views
+  function createSongItemWithActions(song) {
+    const { item, actions } = createSongItem(song);
+    actions.appendChild(
+      createIconButton('fa-forward-step', 'Play next', () =>
+        window._player?.playNextInQueue(song.id)
+      )
+    );
+    actions.appendChild(
+      createIconButton('fa-list-ul', 'Add to queue', () => window._player?.addToQueue(song.id))
+    );
+    actions.appendChild(
+      createIconButton('fa-plus', 'Add to playlist', e =>
+        openPlaylistPicker(song.id, e.currentTarget)
+      )
+    );
+    return { item, actions };
+  }
+
+  // Album / artist / playlist tile
+  function createMediaTile({ image, title, sub, round = false, onClick }) {
+    const tile = document.createElement('button');
+    tile.className = 'media-tile';
+
+    const art = document.createElement('img');
+    art.className = round ? 'media-art round' : 'media-art';
+    art.src = image || '';
+    art.alt = '';
+
+    const name = document.createElement('div');
+    name.className = 'media-title';
+    name.textContent = decodeHtmlEntities(title || '');
+
+    const subtitle = document.createElement('div');
+    subtitle.className = 'media-sub';
+    subtitle.textContent = sub || '';
+
+    tile.appendChild(art);
+    tile.appendChild(name);
+    tile.appendChild(subtitle);
+    tile.addEventListener('click', onClick);
+    return tile;
+  }
+
+  function bestImage(images) {
+    return Array.isArray(images) && images.length ? images[images.length - 1].url : '';
+  }
+
+  function artistNamesOf(item) {
+    return (item.artists?.primary || []).map(a => a.name).join(', ');
+  }
+
   async function searchSongs(query) {
     if (!query || !query.trim()) return;
 
@@ -238,97 +896,65 @@ document.addEventListener('DOMContentLoaded', () => {
     searchInput.value = query;
     searchStatus.textContent = 'Searching…';
     searchResults.innerHTML = '';
+    searchResults.className = searchTab === 'songs' ? 'results-list' : 'media-grid';
 
+    const token = ++searchToken;
     try {
       const res = await fetch(
-        `/api/search/songs?query=${encodeURIComponent(query)}&limit=20`
+        `/api/search/${searchTab}?query=${encodeURIComponent(query)}&limit=20`
       );
       const json = await res.json();
+      if (token !== searchToken) return;
 
-      const songs =
+      const results =
         json?.data?.songs ||
         json?.data?.results ||
         (Array.isArray(json?.data) ? json.data : json.data || []);
 
-      if (!songs || !songs.length) {
-        searchStatus.textContent = 'No songs found. Try another term.';
+      if (!results || !results.length) {
+        searchStatus.textContent = `No ${searchTab} found. Try another term.`;
         return;
       }
 
-      searchStatus.textContent = `${songs.length} song(s) found`;
+      searchStatus.textContent = `${results.length} ${searchTab.replace(/s$/, '')}(s) found`;
 
       searchResults.innerHTML = '';
-      songs.forEach((song) => {
-        const item = document.createElement('div');
-        item.className = 'result-item';
-
-        const art = document.createElement('img');
-        art.className = 'result-art';
-        art.src = song.image?.[1]?.url || song.image?.[0]?.url || '';
-        art.alt = song.name || '';
-
-        const main = document.createElement('div');
-        main.className = 'result-main';
-
-        const text = document.createElement('div');
-        text.className = 'result-text';
-
-        const title = document.createElement('div');
-        title.className = 'result-title';
-        title.textContent = song.name || '';
-
-        const artistNames = (song.artists?.primary || []).map(a => a.name).join(', ');
-        const albumName = song.album?.name || song.album || '';
-
-        const sub = document.createElement('div');
-        sub.className = 'result-sub';
-        sub.textContent = [artistNames, albumName].filter(Boolean).join(' • ');
-
-        text.appendChild(title);
-        text.appendChild(sub);
-        main.appendChild(art);
-        main.appendChild(text);
-
-        const actions = document.createElement('div');
-        actions.className = 'result-actions';
-
-        const playBtn = document.createElement('button');
-        playBtn.className = 'icon-button';
-        playBtn.innerHTML = '<i class="fas fa-play"></i>';
-        playBtn.title = 'Play';
-
-        playBtn.addEventListener('click', e => {
-          e.stopPropagation();
-          if (window._player && typeof window._player.playSong === 'function') {
-            window._player.playSong(song.id);
-          } else {
-            console.warn('Player not ready');
-          }
-        });
-
-        const dlBtn = document.createElement('button');
-        dlBtn.className = 'icon-button';
-        dlBtn.innerHTML = '<i class="fas fa-download"></i>';
-        dlBtn.title = 'Download';
-
-        dlBtn.addEventListener('click', async e => {
-          e.stopPropagation();
-          if (!window.ZY_SETTINGS.downloadsEnabled) return;
-
-          const q = window.ZY_SETTINGS.bitrate || '320kbps';
-          const url = `/api/download/${encodeURIComponent(
-            song.id
-          )}?quality=${encodeURIComponent(q)}`;
-          window.open(url, '_blank');
-        });
-
-        actions.appendChild(playBtn);
-        actions.appendChild(dlBtn);
-
-        item.appendChild(main);
-        item.appendChild(actions);
-
-        searchResults.appendChild(item);
+      results.forEach(result => {
+        switch (searchTab) {
+          case 'albums':
+            searchResults.appendChild(
+              createMediaTile({
+                image: bestImage(result.image),
+                title: result.name,
+                sub: [artistNamesOf(result), result.year].filter(Boolean).join(' • '),
+                onClick: () => openAlbum(result.id)
+              })
+            );
+            break;
+          case 'artists':
+            searchResults.appendChild(
+              createMediaTile({
+                image: bestImage(result.image),
+                title: result.name,
+                sub: 'Artist',
+                round: true,
+                onClick: () => openArtist(result.id)
+              })
+            );
+            break;
+          case 'playlists':
+            searchResults.appendChild(
+              createMediaTile({
+                image: bestImage(result.image),
+                title: result.name,
+                sub: result.songCount ? `${result.songCount} songs` : 'Playlist',
+                onClick: () => openSaavnPlaylist(result.id)
+              })
+            );
+            break;
+          default:
+            searchResults.appendChild(createSongItemWithActions(result).item);
+        }
       });
     } catch (err) {
       console.error('Search error:', err);
@@ -336,6 +962,14 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  searchTabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      searchTab = tab.dataset.tab;
+      searchTabs.forEach(t => t.classList.toggle('active', t === tab));
+      if (searchInput.value.trim()) searchSongs(searchInput.value);
+    });
+  });
+
   // Search forms
   quickSearchForm?.addEventListener('submit', e => {
     e.preventDefault();
@@ -347,94 +981,2265 @@ document.addEventListener('DOMContentLoaded', () => {
     searchSongs(searchInput.value);
   });
 
-  // ------------- Fullscreen Now Playing -------------
-  function updateFullscreenFromBar() {
-    const barTitle = $('#np-title')?.textContent || '';
-    const barArtist = $('#np-artist')?.textContent || '';
-    const barArt = $('#np-art')?.getAttribute('src') || '';
-
-    npFsArt.src = barArt || '';
-    npFsTitle.textContent = barTitle || '–';
-    npFsArtist.textContent = barArtist || '–';
-
-    if (window._player && window._player.songCache && window._player.previouslyPlayed) {
-      try {
-        const hist = window._player.previouslyPlayed;
-        const lastId =
-          hist && hist.length
-            ? hist[hist.length - 1]
-            : window._player.getLastPlayed
-            ? window._player.getLastPlayed()
-            : null;
-        const maybeSong = lastId ? window._player.songCache.get(lastId) : null;
-        const albumName = maybeSong?.album?.name || maybeSong?.album || '';
-        npFsAlbum.textContent = albumName || '';
-      } catch (_) {
-        npFsAlbum.textContent = '';
-      }
+  // ------------- Browse: albums, JioSaavn playlists, artists -------------
+  const collectionHeader = $('#collection-header');
+  const collectionStatus = $('#collection-status');
+  const collectionTracks = $('#collection-tracks');
+
+  const artistHeader = $('#artist-header');
+  const artistSongsList = $('#artist-songs');
+  const artistSongsMore = $('#artist-songs-more');
+  const artistAlbumsGrid = $('#artist-albums');
+  const artistAlbumsMore = $('#artist-albums-more');
+
+  let browseToken = 0;
+  const artistState = { id: null, songsPage: 0, albumsPage: 0 };
+
+  async function fetchData(url) {
+    const res = await fetch(url);
+    const json = await res.json();
+    if (!res.ok || json.success === false) {
+      throw new Error(json.message || `Request failed (${res.status})`);
     }
+    return json.data;
   }
 
-  function openFullscreenNP() {
-    updateFullscreenFromBar();
-    npFs.classList.remove('hidden');
-  }
-
-  function closeFullscreenNP() {
-    npFs.classList.add('hidden');
-  }
+  function renderCollectionHeader({ image, title, lines, songs, extraActions = [] }) {
+    collectionHeader.innerHTML = '';
 
-  // Make the bar open fullscreen when clicking empty parts of it
-  if (nowPlayingBar) {
-    nowPlayingBar.addEventListener('click', (e) => {
-      if (nowPlayingBar.classList.contains('hidden')) return;
+    const art = document.createElement('img');
+    art.className = 'collection-art';
+    art.src = image || '';
+    art.alt = '';
 
-      const isOnControls =
-        e.target.closest('.np-controls') ||
-        e.target.closest('.np-volume') ||
-        e.target.closest('#np-seekbar');
+    const meta = document.createElement('div');
+    meta.className = 'collection-meta';
 
-      if (isOnControls) return;
+    const h1 = document.createElement('h1');
+    h1.className = 'view-title';
+    h1.textContent = decodeHtmlEntities(title || '');
+    meta.appendChild(h1);
 
-      openFullscreenNP();
+    lines.filter(Boolean).forEach(line => {
+      const p = document.createElement('p');
+      p.className = 'view-subtitle';
+      if (typeof line === 'string') p.textContent = line;
+      else p.appendChild(line);
+      meta.appendChild(p);
     });
-  }
 
-  npFsClose?.addEventListener('click', closeFullscreenNP);
-  npFs.addEventListener('click', e => {
-    if (e.target === npFs) closeFullscreenNP();
-  });
+    const actions = document.createElement('div');
+    actions.className = 'collection-actions';
 
-  const npPrev = $('#np-prev');
-  const npNext = $('#np-next');
-  const npPlayPause = $('#np-play-pause');
+    const playAll = document.createElement('button');
+    playAll.className = 'primary-button';
+    playAll.innerHTML = '<i class="fas fa-play"></i> Play all';
+    playAll.disabled = !songs.length;
+    playAll.addEventListener('click', () => window._player?.playAll(songs.map(s => s.id)));
+    actions.appendChild(playAll);
 
-  npFsPrev?.addEventListener('click', () => npPrev?.click());
-  npFsNext?.addEventListener('click', () => npNext?.click());
-  npFsPlayPause?.addEventListener('click', () => npPlayPause?.click());
+    actions.appendChild(
+      createIconButton('fa-list-ul', 'Add all to queue', () =>
+        songs.forEach(s => window._player?.addToQueue(s.id))
+      )
+    );
+    extraActions.forEach(btn => actions.appendChild(btn));
+    meta.appendChild(actions);
 
-  // ------------- Recently Played (from player history) -------------
-  function refreshRecentlyPlayed() {
-    if (!window._player || !Array.isArray(window._player.previouslyPlayed)) return;
-    const ids = [...window._player.previouslyPlayed].slice(-8).reverse();
-    recentlyPlayedList.innerHTML = '';
-    ids.forEach(id => {
-      const li = document.createElement('li');
-      li.textContent = id;
-      recentlyPlayedList.appendChild(li);
+    collectionHeader.appendChild(art);
+    collectionHeader.appendChild(meta);
+  }
+
+  // Clickable, comma-separated artist names
+  function createArtistLinks(artists) {
+    const frag = document.createDocumentFragment();
+    (artists || []).forEach((artist, idx) => {
+      if (idx > 0) frag.appendChild(document.createTextNode(', '));
+      const link = document.createElement('a');
+      link.href = '#';
+      link.className = 'artist-link';
+      link.dataset.artistId = artist.id;
+      link.textContent = artist.name;
+      frag.appendChild(link);
     });
+    return frag;
+  }
+
+  function renderCollectionTracks(songs) {
+    collectionTracks.innerHTML = '';
+    songs.forEach(song => collectionTracks.appendChild(createSongItemWithActions(song).item));
   }
 
-  let attempts = 0;
-  const pollInterval = setInterval(() => {
-    attempts++;
-    if (window._player && window._player.previouslyPlayed) {
-      clearInterval(pollInterval);
-      setInterval(refreshRecentlyPlayed, 4000);
+  async function openCollection(kind, id, url) {
+    const token = ++browseToken;
+    setActiveView('collection', kind === 'album' ? 'Album' : 'Playlist');
+    collectionHeader.innerHTML = '';
+    collectionTracks.innerHTML = '';
+    collectionStatus.textContent = 'Loading…';
+
+    try {
+      const data = await fetchData(url);
+      if (token !== browseToken) return;
+
+      const songs = data.songs || [];
+      const artistLine =
+        kind === 'album' && data.artists?.primary?.length
+          ? createArtistLinks(data.artists.primary)
+          : null;
+
+      renderCollectionHeader({
+        image: bestImage(data.image),
+        title: data.name,
+        lines: [
+          artistLine,
+          [kind === 'album' ? 'Album' : 'Playlist', data.year, data.language, `${songs.length} songs`]
+            .filter(Boolean)
+            .join(' • ')
+        ],
+        songs,
+        extraActions: [
+          createIconButton('fa-file-zipper', 'Download all as ZIP', () =>
+            downloadCollection(kind, id)
+          )
+        ]
+      });
+      renderCollectionTracks(songs);
+      collectionStatus.textContent = songs.length ? '' : 'No tracks available.';
+    } catch (err) {
+      console.error(`Failed to load ${kind}:`, err);
+      if (token === browseToken) collectionStatus.textContent = `Could not load this ${kind}.`;
     }
-    if (attempts > 20) clearInterval(pollInterval);
-  }, 500);
+  }
 
-  // Default view
-  setActiveView('home');
+  function openAlbum(id) {
+    return openCollection('album', id, `/api/albums/${encodeURIComponent(id)}`);
+  }
+
+  function openSaavnPlaylist(id) {
+    return openCollection('playlist', id, `/api/saavn/playlists/${encodeURIComponent(id)}`);
+  }
+
+  async function loadArtistSongs() {
+    const { id, songsPage } = artistState;
+    const data = await fetchData(
+      `/api/artists/${encodeURIComponent(id)}/songs?page=${songsPage}&sortBy=popularity&sortOrder=desc`
+    );
+    if (artistState.id !== id) return;
+    const songs = data.songs || [];
+    songs.forEach(song => artistSongsList.appendChild(createSongItemWithActions(song).item));
+    const shown = artistSongsList.children.length;
+    artistSongsMore.classList.toggle('hidden', !songs.length || shown >= (data.total || 0));
+  }
+
+  async function loadArtistAlbums() {
+    const { id, albumsPage } = artistState;
+    const data = await fetchData(
+      `/api/artists/${encodeURIComponent(id)}/albums?page=${albumsPage}&sortBy=popularity&sortOrder=desc`
+    );
+    if (artistState.id !== id) return;
+    const albums = data.albums || [];
+    albums.forEach(album =>
+      artistAlbumsGrid.appendChild(
+        createMediaTile({
+          image: bestImage(album.image),
+          title: album.name,
+          sub: album.year || '',
+          onClick: () => openAlbum(album.id)
+        })
+      )
+    );
+    const shown = artistAlbumsGrid.children.length;
+    artistAlbumsMore.classList.toggle('hidden', !albums.length || shown >= (data.total || 0));
+  }
+
+  async function openArtist(id) {
+    if (!id) return;
+    ++browseToken;
+    Object.assign(artistState, { id, songsPage: 0, albumsPage: 0 });
+    setActiveView('artist', 'Artist');
+    closeFullscreenNP();
+
+    artistHeader.innerHTML = '<p class="status-text">Loading…</p>';
+    artistSongsList.innerHTML = '';
+    artistAlbumsGrid.innerHTML = '';
+    artistSongsMore.classList.add('hidden');
+    artistAlbumsMore.classList.add('hidden');
+
+    try {
+      const artist = await fetchData(`/api/artists/${encodeURIComponent(id)}`);
+      if (artistState.id !== id) return;
+
+      artistHeader.innerHTML = '';
+      const art = document.createElement('img');
+      art.className = 'collection-art round';
+      art.src = bestImage(artist.image);
+      art.alt = '';
+
+      const meta = document.createElement('div');
+      meta.className = 'collection-meta';
+      const h1 = document.createElement('h1');
+      h1.className = 'view-title';
+      h1.textContent = decodeHtmlEntities(artist.name || '');
+      const sub = document.createElement('p');
+      sub.className = 'view-subtitle';
+      sub.textContent = [
+        artist.dominantLanguage,
+        artist.followerCount ? `${Number(artist.followerCount).toLocaleString()} followers` : ''
+      ]
+        .filter(Boolean)
+        .join(' • ');
+      meta.appendChild(h1);
+      meta.appendChild(sub);
+
+      const topSongs = artist.topSongs || [];
+      const actions = document.createElement('div');
+      actions.className = 'collection-actions';
+      const playTop = document.createElement('button');
+      playTop.className = 'primary-button';
+      playTop.innerHTML = '<i class="fas fa-play"></i> Play top songs';
+      playTop.disabled = !topSongs.length;
+      playTop.addEventListener('click', () => window._player?.playAll(topSongs.map(s => s.id)));
+      actions.appendChild(playTop);
+      meta.appendChild(actions);
+
+      artistHeader.appendChild(art);
+      artistHeader.appendChild(meta);
+
+      await Promise.all([loadArtistSongs(), loadArtistAlbums()]);
+    } catch (err) {
+      console.error('Failed to load artist:', err);
+      if (artistState.id === id) artistHeader.innerHTML = '<p class="status-text">Could not load this artist.</p>';
+    }
+  }
+
+  artistSongsMore?.addEventListener('click', () => {
+    artistState.songsPage += 1;
+    loadArtistSongs().catch(err => console.error('Failed to load more songs:', err));
+  });
+
+  artistAlbumsMore?.addEventListener('click', () => {
+    artistState.albumsPage += 1;
+    loadArtistAlbums().catch(err => console.error('Failed to load more albums:', err));
+  });
+
+  // Artist links anywhere (browse headers, now playing bar, fullscreen view)
+  document.addEventListener('click', e => {
+    const link = e.target.closest('.artist-link[data-artist-id]');
+    if (!link) return;
+    e.preventDefault();
+    openArtist(link.dataset.artistId);
+  });
+
+  // ------------- Library (server-side playlists) -------------
+  const playlistCreateForm = $('#playlist-create-form');
+  const playlistNameInput = $('#playlist-name-input');
+  const libraryStatus = $('#library-status');
+  const playlistList = $('#playlist-list');
+  const playlistDetail = $('#playlist-detail');
+  const playlistPicker = $('#playlist-picker');
+
+  let playlists = [];
+  let openPlaylistId = null;
+
+  async function playlistApi(path = '', { method = 'GET', body } = {}) {
+    const res = await fetch(`/api/playlists${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await res.json();
+    if (!res.ok || json.success === false) {
+      throw new Error(json.message || 'Playlist request failed');
+    }
+    return json.data;
+  }
+
+  async function loadPlaylists() {
+    try {
+      playlists = await playlistApi();
+      if (openPlaylistId && playlists.some(p => p.id === openPlaylistId)) {
+        await renderPlaylistDetail(openPlaylistId);
+      } else {
+        openPlaylistId = null;
+        renderPlaylists();
+      }
+    } catch (err) {
+      console.error('Playlists error:', err);
+      libraryStatus.textContent = 'Could not load playlists.';
+    }
+  }
+
+  function renderPlaylists() {
+    playlistDetail.classList.add('hidden');
+    playlistList.classList.remove('hidden');
+    playlistList.innerHTML = '';
+
+    if (!playlists.length) {
+      libraryStatus.textContent = 'No playlists yet. Create one, then add songs from Search.';
+      return;
+    }
+    libraryStatus.textContent = `${playlists.length} playlist(s)`;
+
+    playlists.forEach((pl, idx) => {
+      const item = document.createElement('div');
+      item.className = 'result-item playlist-item';
+      item.addEventListener('click', () => renderPlaylistDetail(pl.id));
+
+      const main = document.createElement('div');
+      main.className = 'result-main';
+      main.innerHTML = '<div class="playlist-icon"><i class="fas fa-list"></i></div>';
+
+      const text = document.createElement('div');
+      text.className = 'result-text';
+      const title = document.createElement('div');
+      title.className = 'result-title';
+      title.textContent = pl.name;
+      const sub = document.createElement('div');
+      sub.className = 'result-sub';
+      sub.textContent = `${pl.songs.length} song(s)`;
+      text.appendChild(title);
+      text.appendChild(sub);
+      main.appendChild(text);
+
+      const actions = document.createElement('div');
+      actions.className = 'result-actions';
+      actions.appendChild(createIconButton('fa-play', 'Play', () => playPlaylist(pl)));
+      if (idx > 0) {
+        actions.appendChild(createIconButton('fa-arrow-up', 'Move up', () => movePlaylist(idx, -1)));
+      }
+      if (idx < playlists.length - 1) {
+        actions.appendChild(createIconButton('fa-arrow-down', 'Move down', () => movePlaylist(idx, 1)));
+      }
+      actions.appendChild(createIconButton('fa-pen', 'Rename', () => renamePlaylist(pl)));
+      actions.appendChild(createIconButton('fa-trash', 'Delete', () => deletePlaylist(pl)));
+
+      item.appendChild(main);
+      item.appendChild(actions);
+      playlistList.appendChild(item);
+    });
+  }
+
+  async function renderPlaylistDetail(id) {
+    const pl = playlists.find(p => p.id === id);
+    if (!pl) return renderPlaylists();
+    openPlaylistId = id;
+
+    playlistList.classList.add('hidden');
+    playlistDetail.classList.remove('hidden');
+    playlistDetail.innerHTML = '';
+    libraryStatus.textContent = `${pl.songs.length} song(s)`;
+
+    const header = document.createElement('div');
+    header.className = 'playlist-header';
+
+    header.appendChild(
+      createIconButton('fa-arrow-left', 'Back to playlists', () => {
+        openPlaylistId = null;
+        renderPlaylists();
+      })
+    );
+    const title = document.createElement('h2');
+    title.textContent = pl.name;
+    header.appendChild(title);
+
+    const headerActions = document.createElement('div');
+    headerActions.className = 'result-actions';
+    headerActions.appendChild(createIconButton('fa-play', 'Play all', () => playPlaylist(pl)));
+    headerActions.appendChild(createIconButton('fa-pen', 'Rename', () => renamePlaylist(pl)));
+    headerActions.appendChild(createIconButton('fa-trash', 'Delete', () => deletePlaylist(pl)));
+    header.appendChild(headerActions);
+
+    const tracks = document.createElement('div');
+    tracks.className = 'results-list';
+
+    playlistDetail.appendChild(header);
+    playlistDetail.appendChild(tracks);
+
+    if (!pl.songs.length) {
+      libraryStatus.textContent = 'This playlist is empty. Add songs from Search.';
+      return;
+    }
+
+    const songs = await Promise.all(pl.songs.map(sid => getSongMeta(sid).catch(() => null)));
+    if (openPlaylistId !== id) return;
+
+    songs.forEach((song, idx) => {
+      const { item, actions } = createSongItem(song || { id: pl.songs[idx], name: pl.songs[idx] });
+      if (idx > 0) {
+        actions.appendChild(createIconButton('fa-arrow-up', 'Move up', () => moveTrack(pl, idx, -1)));
+      }
+      if (idx < pl.songs.length - 1) {
+        actions.appendChild(createIconButton('fa-arrow-down', 'Move down', () => moveTrack(pl, idx, 1)));
+      }
+      actions.appendChild(
+        createIconButton('fa-xmark', 'Remove from playlist', () => removeTrack(pl, pl.songs[idx]))
+      );
+      tracks.appendChild(item);
+    });
+  }
+
+  function playPlaylist(pl) {
+    if (!pl.songs.length) return;
+    window._player?.playAll(pl.songs);
+  }
+
+  async function withPlaylistUpdate(fn) {
+    try {
+      await fn();
+      await loadPlaylists();
+    } catch (err) {
+      console.error('Playlist update failed:', err);
+      libraryStatus.textContent = err.message;
+    }
+  }
+
+  function renamePlaylist(pl) {
+    const name = window.prompt('Rename playlist', pl.name);
+    if (!name || !name.trim() || name === pl.name) return;
+    withPlaylistUpdate(() => playlistApi(`/${pl.id}`, { method: 'PATCH', body: { name } }));
+  }
+
+  function deletePlaylist(pl) {
+    if (!window.confirm(`Delete playlist "${pl.name}"?`)) return;
+    if (openPlaylistId === pl.id) openPlaylistId = null;
+    withPlaylistUpdate(() => playlistApi(`/${pl.id}`, { method: 'DELETE' }));
+  }
+
+  function movePlaylist(idx, delta) {
+    const ids = playlists.map(p => p.id);
+    const [moved] = ids.splice(idx, 1);
+    ids.splice(idx + delta, 0, moved);
+    withPlaylistUpdate(() => playlistApi('/order', { method: 'PUT', body: { ids } }));
+  }
+
+  function moveTrack(pl, idx, delta) {
+    const songIds = [...pl.songs];
+    const [moved] = songIds.splice(idx, 1);
+    songIds.splice(idx + delta, 0, moved);
+    withPlaylistUpdate(() =>
+      playlistApi(`/${pl.id}/songs`, { method: 'PUT', body: { songIds } })
+    );
+  }
+
+  function removeTrack(pl, songId) {
+    withPlaylistUpdate(() =>
+      playlistApi(`/${pl.id}/songs/${encodeURIComponent(songId)}`, { method: 'DELETE' })
+    );
+  }
+
+  async function createPlaylist(name, songs = []) {
+    return playlistApi('', { method: 'POST', body: { name, songs } });
+  }
+
+  playlistCreateForm?.addEventListener('submit', e => {
+    e.preventDefault();
+    const name = playlistNameInput.value.trim();
+    if (!name) return;
+    playlistNameInput.value = '';
+    withPlaylistUpdate(() => createPlaylist(name));
+  });
+
+  // "Add to playlist" popover used by song rows
+  function closePlaylistPicker() {
+    playlistPicker.classList.add('hidden');
+    playlistPicker.innerHTML = '';
+  }
+
+  async function openPlaylistPicker(songId, anchor) {
+    try {
+      playlists = await playlistApi();
+    } catch (err) {
+      console.error('Playlists error:', err);
+      return;
+    }
+
+    playlistPicker.innerHTML = '';
+
+    const addTo = async pl => {
+      closePlaylistPicker();
+      try {
+        await playlistApi(`/${pl.id}/songs`, { method: 'POST', body: { songId } });
+      } catch (err) {
+        console.error('Add to playlist failed:', err);
+      }
+    };
+
+    playlists.forEach(pl => {
+      const option = document.createElement('button');
+      option.className = 'menu-item';
+      option.textContent = pl.name;
+      option.disabled = pl.songs.includes(songId);
+      option.addEventListener('click', () => addTo(pl));
+      playlistPicker.appendChild(option);
+    });
+
+    const createOption = document.createElement('button');
+    createOption.className = 'menu-item';
+    createOption.innerHTML = '<i class="fas fa-plus"></i> New playlist…';
+    createOption.addEventListener('click', async () => {
+      closePlaylistPicker();
+      const name = window.prompt('New playlist name');
+      if (!name || !name.trim()) return;
+      try {
+        await createPlaylist(name, [songId]);
+      } catch (err) {
+        console.error('Create playlist failed:', err);
+      }
+    });
+    playlistPicker.appendChild(createOption);
+
+    const rect = anchor.getBoundingClientRect();
+    playlistPicker.style.top = `${rect.bottom + 4}px`;
+    playlistPicker.style.right = `${Math.max(8, window.innerWidth - rect.right)}px`;
+    playlistPicker.classList.remove('hidden');
+  }
+
+  document.addEventListener('click', e => {
+    if (!playlistPicker.classList.contains('hidden') && !playlistPicker.contains(e.target)) {
+      closePlaylistPicker();
+    }
+  });
+
+  // ------------- Offline songs (IndexedDB, see offline.js) -------------
+  const offlineList = $('#offline-list');
+  const offlineMeterFill = $('#offline-meter-fill');
+  const offlineMeterText = $('#offline-meter-text');
+
+  function formatBytes(bytes) {
+    if (!bytes) return '0 MB';
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  }
+
+  async function renderOfflineSongs() {
+    if (!window._offline?.isSupported) {
+      offlineMeterText.textContent = 'Offline storage is not available in this browser.';
+      return;
+    }
+
+    try {
+      const [tracks, usage] = await Promise.all([window._offline.list(), window._offline.usage()]);
+
+      const parts = [`${tracks.length} song(s) · ${formatBytes(usage.bytes)}`];
+      if (usage.quota) {
+        parts.push(`${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} browser storage used`);
+        offlineMeterFill.style.width = `${Math.min(100, (usage.usage / usage.quota) * 100)}%`;
+      }
+      offlineMeterText.textContent = parts.join(' · ');
+
+      offlineList.innerHTML = '';
+      if (!tracks.length) {
+        offlineList.innerHTML =
+          '<div class="status-text">Use the <i class="fas fa-cloud-arrow-down"></i> button on any song to keep it for offline listening.</div>';
+        return;
+      }
+
+      tracks.forEach(track => {
+        const { item, actions } = createSongItem(track.song);
+        actions.appendChild(
+          createIconButton('fa-trash', 'Remove offline copy', () => window._offline.remove(track.id))
+        );
+        offlineList.appendChild(item);
+      });
+    } catch (err) {
+      console.error('Offline songs error:', err);
+      offlineMeterText.textContent = 'Could not read offline storage.';
+    }
+  }
+
+  document.addEventListener('zy:offlinechange', renderOfflineSongs);
+
+  viewEnterHandlers.library = () => {
+    loadPlaylists();
+    loadLikedSongs();
+    renderOfflineSongs();
+  };
+
+  // ------------- Downloads (background jobs) -------------
+  const downloadsList = $('#downloads-list');
+  const downloadsStatus = $('#downloads-status');
+  const downloadsClear = $('#downloads-clear');
+  const downloadsBadge = $('#downloads-badge');
+
+  // job id -> latest snapshot from the server
+  const downloadJobs = new Map();
+  let jobEvents = null;
+  const ACTIVE_JOB_STATES = ['queued', 'running', 'retrying'];
+
+  async function jobsApi(path = '', { method = 'GET', body } = {}) {
+    const res = await fetch(`/api/jobs${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await res.json();
+    if (!res.ok || json.success === false) {
+      throw new Error(json.message || 'Download request failed');
+    }
+    return json.data;
+  }
+
+  async function queueDownload(songId) {
+    try {
+      const job = await jobsApi('/download', {
+        method: 'POST',
+        body: { songId, ...downloadOptions() }
+      });
+      downloadJobs.set(job.id, job);
+      renderDownloads();
+    } catch (err) {
+      console.error('Download error:', err);
+      window.alert(`Could not start download: ${err.message}`);
+    }
+  }
+
+  // Live updates for every job; EventSource reconnects on its own
+  function connectJobEvents() {
+    if (jobEvents || typeof EventSource === 'undefined') return;
+    jobEvents = new EventSource('/api/jobs/events');
+
+    jobEvents.addEventListener('snapshot', e => {
+      downloadJobs.clear();
+      JSON.parse(e.data).forEach(job => downloadJobs.set(job.id, job));
+      renderDownloads();
+    });
+    jobEvents.addEventListener('job', e => {
+      const job = JSON.parse(e.data);
+      downloadJobs.set(job.id, job);
+      renderDownloads();
+    });
+    jobEvents.addEventListener('remove', e => {
+      downloadJobs.delete(JSON.parse(e.data).id);
+      renderDownloads();
+    });
+  }
+
+  function jobStatusText(job) {
+    switch (job.status) {
+      case 'queued':
+        return job.position ? `Queued · #${job.position} in line` : 'Queued';
+      case 'running':
+        return `Converting… ${job.progress}%`;
+      case 'retrying':
+        return `Retrying (attempt ${job.attempts + 1} of ${job.maxAttempts}): ${job.error}`;
+      case 'done':
+        return 'Ready';
+      case 'failed':
+        return `Failed after ${job.attempts} attempt(s): ${job.error}`;
+      default:
+        return job.status;
+    }
+  }
+
+  function createJobRow(job) {
+    const item = document.createElement('div');
+    item.className = `result-item job-item job-${job.status}`;
+
+    const main = document.createElement('div');
+    main.className = 'result-main';
+
+    const art = document.createElement('img');
+    art.className = 'result-art';
+    art.src = job.image || '';
+    art.alt = job.title || '';
+
+    const text = document.createElement('div');
+    text.className = 'result-text';
+    const title = document.createElement('div');
+    title.className = 'result-title';
+    title.textContent = job.title || job.songId;
+    const sub = document.createElement('div');
+    sub.className = 'result-sub';
+    sub.textContent = [job.artist, (job.format || '').toUpperCase(), jobStatusText(job)]
+      .filter(Boolean)
+      .join(' · ');
+    text.appendChild(title);
+    text.appendChild(sub);
+
+    if (job.status === 'running' || job.status === 'queued') {
+      const bar = document.createElement('div');
+      bar.className = 'job-progress';
+      const fill = document.createElement('span');
+      fill.style.width = `${job.progress}%`;
+      bar.appendChild(fill);
+      text.appendChild(bar);
+    }
+
+    main.appendChild(art);
+    main.appendChild(text);
+
+    const actions = document.createElement('div');
+    actions.className = 'result-actions';
+
+    if (job.status === 'done' && job.result) {
+      const save = document.createElement('a');
+      save.className = 'icon-button';
+      save.href = job.result.url;
+      save.download = job.result.fileName || '';
+      save.title = 'Save file';
+      save.innerHTML = '<i class="fas fa-file-arrow-down"></i>';
+      actions.appendChild(save);
+    }
+    if (job.status === 'failed') {
+      actions.appendChild(createIconButton('fa-rotate-right', 'Retry', () => retryJob(job.id)));
+    }
+    if (job.status !== 'running') {
+      const label = ACTIVE_JOB_STATES.includes(job.status) ? 'Cancel' : 'Remove';
+      actions.appendChild(createIconButton('fa-times', label, () => removeJob(job.id)));
+    }
+
+    item.appendChild(main);
+    item.appendChild(actions);
+    return item;
+  }
+
+  function renderDownloads() {
+    const jobs = [...downloadJobs.values()].sort((a, b) => b.createdAt - a.createdAt);
+    const active = jobs.filter(job => ACTIVE_JOB_STATES.includes(job.status)).length;
+
+    downloadsBadge.textContent = String(active);
+    downloadsBadge.classList.toggle('hidden', !active);
+
+    downloadsList.innerHTML = '';
+    if (!jobs.length) {
+      downloadsStatus.textContent = 'No downloads yet. Use the download button next to any song.';
+      return;
+    }
+    downloadsStatus.textContent = `${active} active · ${jobs.length - active} finished`;
+    jobs.forEach(job => downloadsList.appendChild(createJobRow(job)));
+  }
+
+  async function retryJob(id) {
+    try {
+      const job = await jobsApi(`/${encodeURIComponent(id)}/retry`, { method: 'POST' });
+      downloadJobs.set(job.id, job);
+      renderDownloads();
+    } catch (err) {
+      console.error('Retry error:', err);
+    }
+  }
+
+  async function removeJob(id) {
+    try {
+      await jobsApi(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      downloadJobs.delete(id);
+      renderDownloads();
+    } catch (err) {
+      console.error('Remove job error:', err);
+    }
+  }
+
+  downloadsClear.addEventListener('click', () => {
+    [...downloadJobs.values()]
+      .filter(job => job.status === 'done' || job.status === 'failed')
+      .forEach(job => removeJob(job.id));
+  });
+
+  // Without SSE (or before it connects) the view still shows current state
+  viewEnterHandlers.downloads = async () => {
+    try {
+      const jobs = await jobsApi();
+      downloadJobs.clear();
+      jobs.forEach(job => downloadJobs.set(job.id, job));
+      renderDownloads();
+    } catch (err) {
+      console.error('Downloads error:', err);
+      downloadsStatus.textContent = 'Could not load downloads.';
+    }
+  };
+
+  connectJobEvents();
+
+  // ------------- Up Next queue panel -------------
+  const queuePanel = $('#queue-panel');
+  const queueToggle = $('#np-queue-toggle');
+  const queueManualList = $('#queue-manual-list');
+  const queueAutoList = $('#queue-auto-list');
+
+  function createQueueRow(songId, song) {
+    const li = document.createElement('li');
+    li.className = 'queue-row';
+
+    const art = document.createElement('img');
+    art.className = 'queue-art';
+    art.src = song?.image?.[0]?.url || '';
+    art.alt = '';
+
+    const text = document.createElement('div');
+    text.className = 'result-text';
+    const title = document.createElement('div');
+    title.className = 'result-title';
+    title.textContent = decodeHtmlEntities(song?.name || songId);
+    const sub = document.createElement('div');
+    sub.className = 'result-sub';
+    sub.textContent = (song?.artists?.primary || []).map(a => decodeHtmlEntities(a.name || '')).join(', ');
+    text.appendChild(title);
+    text.appendChild(sub);
+
+    li.appendChild(art);
+    li.appendChild(text);
+    return li;
+  }
+
+  let queueRenderToken = 0;
+
+  async function renderQueue() {
+    if (!window._player || queuePanel.classList.contains('hidden')) return;
+    const token = ++queueRenderToken;
+    const { manual, auto } = window._player.getQueue();
+    const [manualSongs, autoSongs] = await Promise.all([
+      Promise.all(manual.map(id => getSongMeta(id).catch(() => null))),
+      Promise.all(auto.slice(0, 10).map(id => getSongMeta(id).catch(() => null)))
+    ]);
+    // A newer render started while metadata was loading
+    if (token !== queueRenderToken) return;
+
+    queueManualList.innerHTML = '';
+    if (!manual.length) {
+      queueManualList.innerHTML = '<li class="queue-empty">Use “Play next” or “Add to queue” on any song.</li>';
+    }
+    manual.forEach((id, idx) => {
+      const li = createQueueRow(id, manualSongs[idx]);
+      li.draggable = true;
+      li.dataset.index = String(idx);
+      li.insertBefore(
+        Object.assign(document.createElement('i'), { className: 'fas fa-grip-vertical queue-grip' }),
+        li.firstChild
+      );
+      li.appendChild(
+        createIconButton('fa-xmark', 'Remove', () => window._player.removeFromQueue(idx))
+      );
+      li.addEventListener('dblclick', () => {
+        window._player.removeFromQueue(idx);
+        playViaPlayer(id, { fromQueue: true });
+      });
+
+      li.addEventListener('dragstart', e => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(idx));
+        li.classList.add('dragging');
+      });
+      li.addEventListener('dragend', () => li.classList.remove('dragging'));
+      li.addEventListener('dragover', e => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+      });
+      li.addEventListener('drop', e => {
+        e.preventDefault();
+        const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+        if (!Number.isNaN(from) && from !== idx) window._player.moveInQueue(from, idx);
+      });
+
+      queueManualList.appendChild(li);
+    });
+
+    queueAutoList.innerHTML = '';
+    if (!auto.length) {
+      queueAutoList.innerHTML = '<li class="queue-empty">Suggestions will appear once a song plays.</li>';
+    }
+    auto.slice(0, 10).forEach((id, idx) => {
+      const li = createQueueRow(id, autoSongs[idx]);
+      li.classList.add('queue-row-auto');
+      const pick = window._player.getAutoplayReason(id);
+      if (pick) li.title = pick.reason;
+      queueAutoList.appendChild(li);
+    });
+  }
+
+  queueToggle?.addEventListener('click', () => {
+    queuePanel.classList.toggle('hidden');
+    renderQueue();
+  });
+  $('#queue-close')?.addEventListener('click', () => queuePanel.classList.add('hidden'));
+  $('#queue-clear')?.addEventListener('click', () => window._player?.clearQueue());
+  document.addEventListener('zy:queuechange', renderQueue);
+
+  // ------------- Fullscreen Now Playing -------------
+  function updateFullscreenFromBar() {
+    const barTitle = $('#np-title')?.textContent || '';
+    const barArtist = $('#np-artist');
+    const barArt = $('#np-art')?.getAttribute('src') || '';
+
+    npFsArt.src = barArt || '';
+    npFsTitle.textContent = barTitle || '–';
+    if (barArtist && barArtist.textContent) {
+      npFsArtist.replaceChildren(...barArtist.cloneNode(true).childNodes);
+    } else {
+      npFsArtist.textContent = '–';
+    }
+
+    if (window._player && window._player.songCache && window._player.previouslyPlayed) {
+      try {
+        const hist = window._player.previouslyPlayed;
+        const lastId =
+          hist && hist.length
+            ? hist[hist.length - 1]
+            : window._player.getLastPlayed
+            ? window._player.getLastPlayed()
+            : null;
+        const maybeSong = lastId ? window._player.songCache.get(lastId) : null;
+        const albumName = maybeSong?.album?.name || maybeSong?.album || '';
+        npFsAlbum.textContent = albumName || '';
+      } catch (_) {
+        npFsAlbum.textContent = '';
+      }
+    }
+  }
+
+  function openFullscreenNP() {
+    updateFullscreenFromBar();
+    npFs.classList.remove('hidden');
+    if (lyricsVisible()) loadLyrics();
+  }
+
+  function closeFullscreenNP() {
+    npFs.classList.add('hidden');
+  }
+
+  // Make the bar open fullscreen when clicking empty parts of it
+  if (nowPlayingBar) {
+    nowPlayingBar.addEventListener('click', (e) => {
+      if (nowPlayingBar.classList.contains('hidden')) return;
+
+      const isOnControls =
+        e.target.closest('.np-controls') ||
+        e.target.closest('.np-volume') ||
+        e.target.closest('#np-seekbar') ||
+        e.target.closest('.np-feedback') ||
+        e.target.closest('.artist-link');
+
+      if (isOnControls) return;
+
+      openFullscreenNP();
+    });
+  }
+
+  npFsClose?.addEventListener('click', closeFullscreenNP);
+  npFs.addEventListener('click', e => {
+    if (e.target === npFs) closeFullscreenNP();
+  });
+
+  const npPrev = $('#np-prev');
+  const npNext = $('#np-next');
+  const npPlayPause = $('#np-play-pause');
+
+  npFsPrev?.addEventListener('click', () => npPrev?.click());
+  npFsNext?.addEventListener('click', () => npNext?.click());
+  npFsPlayPause?.addEventListener('click', () => npPlayPause?.click());
+
+  // ------------- Lyrics (fullscreen Now Playing) -------------
+  const npFsInner = $('.np-fullscreen-inner');
+  const npLyricsLines = $('#np-lyrics-lines');
+  const npLyricsCopyright = $('#np-lyrics-copyright');
+  const npLyricsToggle = $('#np-fs-lyrics-toggle');
+
+  let lyricsSongId = null; // song whose lyrics are in the pane
+  let syncedLyrics = []; // [{ time, el }] for time-synced lyrics
+  let activeLyricIndex = -1;
+  let lyricsAutoScrollPausedUntil = 0;
+
+  function lyricsVisible() {
+    return !npFs.classList.contains('hidden') && npFsInner.classList.contains('show-lyrics');
+  }
+
+  // LRC "[mm:ss.xx]text" (several stamps per line allowed, [offset:ms] honoured)
+  // -> [{ time, text }] sorted by time
+  function parseLrc(lrc) {
+    const lines = [];
+    let offset = 0;
+
+    String(lrc || '').split(/\r?\n/).forEach(raw => {
+      const offsetTag = raw.match(/^\[offset:\s*([+-]?\d+)\]/i);
+      if (offsetTag) {
+        offset = parseInt(offsetTag[1], 10) / 1000;
+        return;
+      }
+
+      const stamps = [...raw.matchAll(/\[(\d+):(\d+(?:\.\d+)?)\]/g)];
+      if (!stamps.length) return;
+      const text = raw.replace(/\[[^\]]*\]/g, '').trim();
+      stamps.forEach(m => {
+        lines.push({ time: parseInt(m[1], 10) * 60 + parseFloat(m[2]), text });
+      });
+    });
+
+    return lines
+      .map(line => ({ ...line, time: Math.max(0, line.time - offset) }))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  function setLyricsMessage(text) {
+    syncedLyrics = [];
+    activeLyricIndex = -1;
+    npLyricsLines.className = 'np-lyrics-lines plain';
+    npLyricsLines.textContent = text;
+    npLyricsCopyright.textContent = '';
+  }
+
+  function renderSyncedLyrics(lines) {
+    npLyricsLines.className = 'np-lyrics-lines';
+    npLyricsLines.innerHTML = '';
+    syncedLyrics = lines.map(line => {
+      const el = document.createElement('p');
+      el.className = 'np-lyric-line';
+      // Instrumental breaks come through as empty lines
+      el.textContent = line.text || '♪';
+      el.addEventListener('click', () => {
+        audioEl.currentTime = line.time;
+        lyricsAutoScrollPausedUntil = 0;
+        if (audioEl.paused) audioEl.play().catch(() => {});
+      });
+      npLyricsLines.appendChild(el);
+      return { time: line.time, el };
+    });
+    activeLyricIndex = -1;
+    syncLyrics();
+  }
+
+  async function loadLyrics() {
+    const id = window._player?.getLastPlayed?.();
+    if (!id || id === lyricsSongId) return;
+    lyricsSongId = id;
+    setLyricsMessage('Loading lyrics…');
+
+    try {
+      const res = await fetch(`/api/songs/${encodeURIComponent(id)}/lyrics`);
+      const json = await res.json();
+      if (id !== lyricsSongId) return;
+
+      if (!res.ok || json.success === false) {
+        setLyricsMessage('No lyrics available for this song.');
+        return;
+      }
+
+      const { synced, plain, copyright } = json.data;
+      const lines = parseLrc(synced);
+      if (lines.length) {
+        renderSyncedLyrics(lines);
+      } else {
+        setLyricsMessage(plain || 'No lyrics available for this song.');
+      }
+      npLyricsCopyright.textContent = copyright || '';
+    } catch (err) {
+      console.error('Lyrics error:', err);
+      if (id === lyricsSongId) {
+        // Let the next attempt try again
+        lyricsSongId = null;
+        setLyricsMessage('Could not load lyrics.');
+      }
+    }
+  }
+
+  // Highlight the current line and keep it centred
+  function syncLyrics() {
+    if (!syncedLyrics.length || !lyricsVisible()) return;
+
+    const now = audioEl.currentTime + 0.15;
+    let index = -1;
+    while (index + 1 < syncedLyrics.length && syncedLyrics[index + 1].time <= now) index++;
+    if (index === activeLyricIndex) return;
+
+    syncedLyrics[activeLyricIndex]?.el.classList.remove('active');
+    activeLyricIndex = index;
+    const current = syncedLyrics[index];
+    if (!current) return;
+
+    current.el.classList.add('active');
+    if (Date.now() > lyricsAutoScrollPausedUntil) {
+      npLyricsLines.scrollTo({
+        top: current.el.offsetTop - npLyricsLines.clientHeight / 2 + current.el.offsetHeight / 2,
+        behavior: 'smooth'
+      });
+    }
+  }
+
+  // Reading ahead by hand pauses auto-scroll for a moment
+  ['wheel', 'touchmove'].forEach(type => {
+    npLyricsLines.addEventListener(type, () => {
+      lyricsAutoScrollPausedUntil = Date.now() + 4000;
+    }, { passive: true });
+  });
+
+  npLyricsToggle.addEventListener('click', () => {
+    const show = !npFsInner.classList.contains('show-lyrics');
+    npFsInner.classList.toggle('show-lyrics', show);
+    window.ZY_SETTINGS.showLyrics = show;
+    persistSettings();
+    if (show) {
+      loadLyrics();
+      activeLyricIndex = -1;
+      syncLyrics();
+    }
+  });
+  npFsInner.classList.toggle('show-lyrics', !!window.ZY_SETTINGS.showLyrics);
+
+  audioEl.addEventListener('timeupdate', syncLyrics);
+  document.addEventListener('zy:trackchange', () => {
+    if (lyricsVisible()) loadLyrics();
+  });
+
+  // ------------- Feedback (likes, dislikes, skips; see player.js) -------------
+  const npLike = $('#np-like');
+  const npDislike = $('#np-dislike');
+  const npFsLike = $('#np-fs-like');
+  const npFsDislike = $('#np-fs-dislike');
+  const npFsHideArtist = $('#np-fs-hide-artist');
+  const likedPlayAll = $('#liked-play-all');
+  const likedStatus = $('#liked-status');
+  const likedList = $('#liked-list');
+  const skipThresholdRange = $('#skip-threshold-range');
+  const skipThresholdValue = $('#skip-threshold-value');
+  const hiddenArtistsList = $('#hidden-artists-list');
+
+  let likedSongIds = [];
+
+  function currentSong() {
+    const id = window._player?.getLastPlayed();
+    return id ? window._player.songCache.get(id) || { id } : null;
+  }
+
+  function songRating(id) {
+    return window._player?.getFeedback().songs[id]?.rating || null;
+  }
+
+  // Clicking the active rating again clears it
+  function toggleRating(rating) {
+    const song = currentSong();
+    if (!song) return;
+    window._player.setSongRating(song.id, songRating(song.id) === rating ? null : rating);
+  }
+
+  function toggleHideArtist() {
+    const artist = currentSong()?.artists?.primary?.[0];
+    if (!artist?.id) return;
+    const hidden = window._player.getFeedback().artists[artist.id]?.rating === 'dislike';
+    window._player.setArtistRating(artist.id, hidden ? null : 'dislike', artist.name || '');
+  }
+
+  function refreshFeedbackButtons() {
+    const song = currentSong();
+    const rating = song ? songRating(song.id) : null;
+    const artist = song?.artists?.primary?.[0];
+    const artistHidden = !!artist && window._player?.getFeedback().artists[artist.id]?.rating === 'dislike';
+
+    [npLike, npFsLike].forEach(btn => {
+      btn.classList.toggle('active', rating === 'like');
+      btn.title = rating === 'like' ? 'Remove from Liked Songs' : 'Like';
+    });
+    [npDislike, npFsDislike].forEach(btn => {
+      btn.classList.toggle('active', rating === 'dislike');
+      btn.title = rating === 'dislike' ? 'Remove dislike' : 'Dislike (skips it and keeps it out of autoplay)';
+    });
+    npFsHideArtist.classList.toggle('active', artistHidden);
+    npFsHideArtist.disabled = !artist?.id;
+    npFsHideArtist.title = artist
+      ? `${artistHidden ? 'Play' : "Don't play"} ${artist.name || 'this artist'} in autoplay`
+      : "Don't play this artist";
+  }
+
+  npLike.addEventListener('click', () => toggleRating('like'));
+  npFsLike.addEventListener('click', () => toggleRating('like'));
+  npDislike.addEventListener('click', () => toggleRating('dislike'));
+  npFsDislike.addEventListener('click', () => toggleRating('dislike'));
+  npFsHideArtist.addEventListener('click', toggleHideArtist);
+
+  async function loadLikedSongs() {
+    try {
+      const res = await fetch('/api/feedback/liked');
+      const json = await res.json();
+      if (!json.success) throw new Error(json.message);
+      renderLikedSongs(json.data);
+    } catch (err) {
+      console.error('Liked songs error:', err);
+      likedStatus.textContent = 'Could not load liked songs.';
+    }
+  }
+
+  function renderLikedSongs(entries) {
+    likedSongIds = entries.map(e => e.song.id);
+    likedPlayAll.disabled = !entries.length;
+    likedList.innerHTML = '';
+
+    if (!entries.length) {
+      likedStatus.innerHTML = 'Songs you like with the <i class="fas fa-heart"></i> button show up here.';
+      return;
+    }
+    likedStatus.textContent = `${entries.length} song(s)`;
+
+    entries.forEach(({ song }) => {
+      const { item, actions } = createSongItem(song);
+      actions.appendChild(
+        createIconButton('fa-heart-crack', 'Remove from Liked Songs', () =>
+          window._player.setSongRating(song.id, null, song)
+        )
+      );
+      likedList.appendChild(item);
+    });
+  }
+
+  likedPlayAll.addEventListener('click', () => window._player?.playAll(likedSongIds));
+
+  function updateSkipThresholdLabel() {
+    const seconds = Number(skipThresholdRange.value);
+    skipThresholdValue.textContent = seconds ? `${seconds}s` : 'Off';
+  }
+
+  function applySkipThresholdToUI() {
+    skipThresholdRange.value = window.ZY_SETTINGS.skipThreshold ?? 30;
+    updateSkipThresholdLabel();
+  }
+
+  applySkipThresholdToUI();
+  document.addEventListener('zy:settingschange', applySkipThresholdToUI);
+  skipThresholdRange.addEventListener('input', updateSkipThresholdLabel);
+  skipThresholdRange.addEventListener('change', () => {
+    window.ZY_SETTINGS.skipThreshold = Number(skipThresholdRange.value);
+    persistSettings();
+  });
+
+  function renderHiddenArtists() {
+    const artists = Object.entries(window._player?.getFeedback().artists || {});
+    hiddenArtistsList.innerHTML = '';
+    if (!artists.length) {
+      hiddenArtistsList.innerHTML =
+        '<li class="status-text">None. Hide an artist with <i class="fas fa-user-slash"></i> in the full-screen player.</li>';
+      return;
+    }
+
+    artists.forEach(([id, artist]) => {
+      const li = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = artist.name || id;
+      const show = document.createElement('button');
+      show.className = 'pill-button';
+      show.textContent = 'Show again';
+      show.addEventListener('click', () => window._player.setArtistRating(id, null));
+      li.appendChild(name);
+      li.appendChild(show);
+      hiddenArtistsList.appendChild(li);
+    });
+  }
+
+  document.addEventListener('zy:trackchange', refreshFeedbackButtons);
+  document.addEventListener('zy:feedbackchange', () => {
+    refreshFeedbackButtons();
+    renderHiddenArtists();
+    if ($('#view-library').classList.contains('active')) loadLikedSongs();
+  });
+  refreshFeedbackButtons();
+  renderHiddenArtists();
+
+  // ------------- History (server-side listening history) -------------
+  const historySearchForm = $('#history-search-form');
+  const historySearchInput = $('#history-search-input');
+  const historyClear = $('#history-clear');
+  const historyStatus = $('#history-status');
+  const historyList = $('#history-list');
+  const historyMore = $('#history-more');
+
+  const HISTORY_PAGE_SIZE = 50;
+  const historyState = { query: '', entries: [], total: 0 };
+  let historySearchTimer = null;
+
+  async function historyApi(path = '', options = {}) {
+    const res = await fetch(`/api/history${path}`, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json.success) throw new Error(json.message || `HTTP ${res.status}`);
+    return json.data;
+  }
+
+  function formatDuration(seconds) {
+    const total = Math.round(seconds || 0);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  // "Today", "Yesterday", otherwise the local date
+  function historyDayLabel(date) {
+    const startOfDay = d => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    const days = Math.round((startOfDay(new Date()) - startOfDay(date)) / 86400000);
+    if (days === 0) return 'Today';
+    if (days === 1) return 'Yesterday';
+    return date.toLocaleDateString(undefined, {
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      year: date.getFullYear() === new Date().getFullYear() ? undefined : 'numeric'
+    });
+  }
+
+  function createHistoryItem(entry) {
+    const { item, actions } = createSongItem(entry.song);
+    item.classList.add('history-item');
+    item.title = 'Play';
+    item.addEventListener('click', () => playViaPlayer(entry.songId));
+
+    const playedAt = new Date(entry.playedAt);
+    const listened = entry.durationSeconds
+      ? `${formatDuration(entry.listenedSeconds)} of ${formatDuration(entry.durationSeconds)}`
+      : formatDuration(entry.listenedSeconds);
+
+    const meta = document.createElement('div');
+    meta.className = `history-meta${entry.completed ? '' : ' history-skipped'}`;
+    meta.textContent = [
+      playedAt.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' }),
+      listened,
+      entry.completed ? 'Completed' : 'Skipped'
+    ].join(' · ');
+    item.querySelector('.result-text').appendChild(meta);
+
+    actions.appendChild(
+      createIconButton('fa-xmark', 'Remove from history', async () => {
+        try {
+          await historyApi(`/${encodeURIComponent(entry.id)}`, { method: 'DELETE' });
+          historyState.entries = historyState.entries.filter(e => e.id !== entry.id);
+          historyState.total -= 1;
+          renderHistory();
+          refreshRecentlyPlayed();
+        } catch (err) {
+          console.error('Remove history entry error:', err);
+          historyStatus.textContent = `Could not remove entry: ${err.message}`;
+        }
+      })
+    );
+    return item;
+  }
+
+  function renderHistory() {
+    historyList.innerHTML = '';
+    historyMore.classList.toggle('hidden', historyState.entries.length >= historyState.total);
+    historyClear.disabled = !historyState.total && !historyState.query;
+
+    if (!historyState.entries.length) {
+      historyStatus.textContent = historyState.query
+        ? 'Nothing in your history matches that.'
+        : 'Nothing here yet. Songs you play will show up here.';
+      return;
+    }
+    historyStatus.textContent = `${historyState.total} play(s)`;
+
+    let currentDay = null;
+    historyState.entries.forEach(entry => {
+      const day = historyDayLabel(new Date(entry.playedAt));
+      if (day !== currentDay) {
+        currentDay = day;
+        const header = document.createElement('h3');
+        header.className = 'history-day';
+        header.textContent = day;
+        historyList.appendChild(header);
+      }
+      historyList.appendChild(createHistoryItem(entry));
+    });
+  }
+
+  async function loadHistory({ append = false } = {}) {
+    const query = historyState.query;
+    const offset = append ? historyState.entries.length : 0;
+    try {
+      const data = await historyApi(
+        `?q=${encodeURIComponent(query)}&limit=${HISTORY_PAGE_SIZE}&offset=${offset}`
+      );
+      // A newer search started while this one was loading
+      if (query !== historyState.query) return;
+      historyState.entries = append ? historyState.entries.concat(data.entries) : data.entries;
+      historyState.total = data.total;
+      renderHistory();
+    } catch (err) {
+      console.error('History error:', err);
+      historyStatus.textContent = 'Could not load history.';
+    }
+  }
+
+  historySearchForm.addEventListener('submit', e => {
+    e.preventDefault();
+    clearTimeout(historySearchTimer);
+    historyState.query = historySearchInput.value.trim();
+    loadHistory();
+  });
+
+  historySearchInput.addEventListener('input', () => {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(() => {
+      historyState.query = historySearchInput.value.trim();
+      loadHistory();
+    }, 250);
+  });
+
+  historyMore.addEventListener('click', () => loadHistory({ append: true }));
+
+  historyClear.addEventListener('click', async () => {
+    if (!window.confirm('Clear your whole listening history?')) return;
+    try {
+      await historyApi('', { method: 'DELETE' });
+      historyState.entries = [];
+      historyState.total = 0;
+      renderHistory();
+      refreshRecentlyPlayed();
+    } catch (err) {
+      console.error('Clear history error:', err);
+      historyStatus.textContent = `Could not clear history: ${err.message}`;
+    }
+  });
+
+  viewEnterHandlers.history = () => loadHistory();
+
+  // ------------- Stats (aggregated listening history) -------------
+  const statsRangeButtons = $all('#stats-range [data-range]');
+  const statsExportJson = $('#stats-export-json');
+  const statsExportCsv = $('#stats-export-csv');
+  const statsStatus = $('#stats-status');
+  const statsTotals = $('#stats-totals');
+  const statsTopSongs = $('#stats-top-songs');
+  const statsTopArtists = $('#stats-top-artists');
+  const statsTopAlbums = $('#stats-top-albums');
+  const statsLanguages = $('#stats-languages');
+  const statsDecades = $('#stats-decades');
+  const statsHeatmap = $('#stats-heatmap');
+
+  const STATS_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const statsTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+  function statsRange() {
+    return window.ZY_SETTINGS.statsRange || 'month';
+  }
+
+  function plural(count, word) {
+    return `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+  }
+
+  function renderStatsTotals(totals, streaks) {
+    const tiles = [
+      [totals.minutes.toLocaleString(), 'minutes listened'],
+      [totals.plays.toLocaleString(), `plays · ${totals.skipped.toLocaleString()} skipped`],
+      [totals.songs.toLocaleString(), totals.songs === 1 ? 'song' : 'different songs'],
+      [totals.artists.toLocaleString(), totals.artists === 1 ? 'artist' : 'artists'],
+      [plural(streaks.current, 'day'), 'current streak'],
+      [plural(streaks.longest, 'day'), 'longest streak']
+    ];
+
+    statsTotals.innerHTML = '';
+    tiles.forEach(([value, label]) => {
+      const tile = document.createElement('div');
+      tile.className = 'stats-tile';
+      const strong = document.createElement('strong');
+      strong.textContent = value;
+      const span = document.createElement('span');
+      span.textContent = label;
+      tile.appendChild(strong);
+      tile.appendChild(span);
+      statsTotals.appendChild(tile);
+    });
+  }
+
+  // Ranked list; `onOpen(row)` makes entries clickable
+  function renderRanking(list, rows, { label, sub, onOpen }) {
+    list.innerHTML = '';
+    if (!rows.length) {
+      list.innerHTML = '<li class="status-text">Nothing yet.</li>';
+      return;
+    }
+
+    rows.forEach(row => {
+      const li = document.createElement('li');
+      const name = document.createElement('span');
+      name.className = 'stats-ranking-name';
+      name.textContent = label(row);
+      const detail = document.createElement('span');
+      detail.className = 'result-sub';
+      detail.textContent = [sub?.(row), plural(row.plays, 'play')].filter(Boolean).join(' · ');
+      li.appendChild(name);
+      li.appendChild(detail);
+
+      if (onOpen && row.id) {
+        li.classList.add('clickable');
+        li.addEventListener('click', () => onOpen(row));
+      }
+      list.appendChild(li);
+    });
+  }
+
+  // Horizontal bars scaled to the largest value
+  function renderBars(container, rows, label) {
+    container.innerHTML = '';
+    if (!rows.length) {
+      container.innerHTML = '<div class="status-text">Nothing yet.</div>';
+      return;
+    }
+
+    const max = Math.max(...rows.map(r => r.plays));
+    rows.forEach(row => {
+      const bar = document.createElement('div');
+      bar.className = 'stats-bar';
+      bar.innerHTML = '<span class="stats-bar-label"></span><span class="stats-bar-track"><span></span></span><span class="stats-bar-value"></span>';
+      bar.querySelector('.stats-bar-label').textContent = label(row);
+      bar.querySelector('.stats-bar-track span').style.width = `${(row.plays / max) * 100}%`;
+      bar.querySelector('.stats-bar-value').textContent = row.plays.toLocaleString();
+      container.appendChild(bar);
+    });
+  }
+
+  // Weekday rows × hour columns, shaded by listening minutes
+  function renderHeatmap(heatmap) {
+    const max = Math.max(1, ...heatmap.flat());
+    statsHeatmap.innerHTML = '';
+
+    const corner = document.createElement('span');
+    statsHeatmap.appendChild(corner);
+    for (let hour = 0; hour < 24; hour++) {
+      const head = document.createElement('span');
+      head.className = 'stats-heatmap-hour';
+      head.textContent = hour % 3 === 0 ? String(hour) : '';
+      statsHeatmap.appendChild(head);
+    }
+
+    heatmap.forEach((hours, weekday) => {
+      const label = document.createElement('span');
+      label.className = 'stats-heatmap-day';
+      label.textContent = STATS_WEEKDAYS[weekday];
+      statsHeatmap.appendChild(label);
+
+      hours.forEach((minutes, hour) => {
+        const cell = document.createElement('span');
+        cell.className = 'stats-heatmap-cell';
+        cell.style.opacity = minutes ? String(0.2 + 0.8 * (minutes / max)) : '';
+        cell.classList.toggle('empty', !minutes);
+        cell.title = `${STATS_WEEKDAYS[weekday]} ${hour}:00 – ${minutes} min`;
+        statsHeatmap.appendChild(cell);
+      });
+    });
+  }
+
+  function updateStatsExportLinks() {
+    const query = `range=${encodeURIComponent(statsRange())}`;
+    statsExportJson.href = `/api/stats/export?format=json&${query}`;
+    statsExportCsv.href = `/api/stats/export?format=csv&${query}`;
+  }
+
+  async function loadStats() {
+    const range = statsRange();
+    statsRangeButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.range === range));
+    updateStatsExportLinks();
+    statsStatus.textContent = 'Loading…';
+
+    try {
+      const res = await fetch(
+        `/api/stats?range=${encodeURIComponent(range)}&tz=${encodeURIComponent(statsTimeZone)}`
+      );
+      const json = await res.json();
+      if (!res.ok || !json.success) throw new Error(json.message || `HTTP ${res.status}`);
+      // The range changed while this one was loading
+      if (range !== statsRange()) return;
+
+      const stats = json.data;
+      statsStatus.textContent = stats.totals.plays
+        ? ''
+        : 'No plays in this period yet. Listen to something and check back.';
+
+      renderStatsTotals(stats.totals, stats.streaks);
+      renderRanking(statsTopSongs, stats.topSongs, {
+        label: row => row.name || row.id,
+        sub: row => row.artists,
+        onOpen: row => playViaPlayer(row.id)
+      });
+      renderRanking(statsTopArtists, stats.topArtists, {
+        label: row => row.name,
+        sub: row => `${Math.round(row.minutes)} min`,
+        onOpen: row => openArtist(row.id)
+      });
+      renderRanking(statsTopAlbums, stats.topAlbums, {
+        label: row => row.name,
+        onOpen: row => openAlbum(row.id)
+      });
+      renderBars(statsLanguages, stats.languages, row => capitalizeWord(row.language));
+      renderBars(statsDecades, stats.decades, row => row.decade);
+      renderHeatmap(stats.heatmap);
+    } catch (err) {
+      console.error('Stats error:', err);
+      statsStatus.textContent = 'Could not load stats.';
+    }
+  }
+
+  statsRangeButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      window.ZY_SETTINGS.statsRange = btn.dataset.range;
+      persistSettings();
+      loadStats();
+    });
+  });
+
+  updateStatsExportLinks();
+  viewEnterHandlers.stats = loadStats;
+
+  // ------------- Recently Played (Home card) -------------
+  async function refreshRecentlyPlayed() {
+    try {
+      const data = await historyApi('?limit=8&unique=1');
+      recentlyPlayedList.innerHTML = '';
+      if (!data.entries.length) {
+        recentlyPlayedList.innerHTML = '<li>Nothing played yet.</li>';
+        return;
+      }
+
+      data.entries.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = 'recent-item';
+        li.title = 'Play';
+        li.addEventListener('click', () => playViaPlayer(entry.songId));
+
+        const art = document.createElement('img');
+        art.src = entry.song.image?.[0]?.url || '';
+        art.alt = '';
+
+        const text = document.createElement('span');
+        const artists = entry.song.artists.primary.map(a => a.name).join(', ');
+        text.textContent = [entry.song.name || entry.songId, artists].filter(Boolean).join(' — ');
+
+        li.appendChild(art);
+        li.appendChild(text);
+        recentlyPlayedList.appendChild(li);
+      });
+    } catch (err) {
+      console.error('Recently played error:', err);
+    }
+  }
+
+  document.addEventListener('zy:historychange', () => {
+    refreshRecentlyPlayed();
+    if ($('#view-history').classList.contains('active') && !historyState.query) loadHistory();
+  });
+
+  refreshRecentlyPlayed();
+
+  // ------------- Accounts (sign-in, API tokens, users; AUTH_ENABLED only) -------------
+  const authOverlay = $('#auth-overlay');
+  const authForm = $('#auth-form');
+  const authTitle = $('#auth-title');
+  const authUsername = $('#auth-username');
+  const authPassword = $('#auth-password');
+  const authError = $('#auth-error');
+  const authSubmit = $('#auth-submit');
+  const authSwitch = $('#auth-switch');
+  const userAvatar = $('#user-avatar');
+  const userMenu = $('#user-menu');
+  const accountCard = $('#account-card');
+  const accountSummary = $('#account-summary');
+  const passwordForm = $('#password-form');
+  const passwordStatus = $('#password-status');
+  const tokenList = $('#token-list');
+  const tokenForm = $('#token-form');
+  const tokenNameInput = $('#token-name-input');
+  const tokenCreated = $('#token-created');
+  const usersCard = $('#users-card');
+  const userList = $('#user-list');
+  const userCreateForm = $('#user-create-form');
+  const userCreateStatus = $('#user-create-status');
+
+  let currentUser = null;
+  let registering = false;
+
+  async function accountApi(url, { method = 'GET', body } = {}) {
+    const res = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || json.success === false) throw new Error(json.message || `HTTP ${res.status}`);
+    return json.data;
+  }
+
+  // Settings and resume state are stored per account; reload when that changes
+  function switchStoredUser(userId) {
+    if ((localStorage.getItem('zylaeUserId') || null) === userId) return false;
+    if (userId) localStorage.setItem('zylaeUserId', userId);
+    else localStorage.removeItem('zylaeUserId');
+    window.location.reload();
+    return true;
+  }
+
+  function setAuthMode(signup) {
+    registering = signup;
+    authTitle.textContent = signup ? 'Create an account' : 'Sign in';
+    authSubmit.textContent = signup ? 'Create account' : 'Sign in';
+    authSwitch.textContent = signup ? 'Have an account? Sign in' : 'New here? Create an account';
+    authPassword.autocomplete = signup ? 'new-password' : 'current-password';
+    authError.classList.add('hidden');
+  }
+
+  function showSignIn({ signupOpen }) {
+    authSwitch.classList.toggle('hidden', !signupOpen);
+    setAuthMode(false);
+    authOverlay.classList.remove('hidden');
+    authUsername.focus();
+  }
+
+  authSwitch.addEventListener('click', () => setAuthMode(!registering));
+
+  authForm.addEventListener('submit', async e => {
+    e.preventDefault();
+    authSubmit.disabled = true;
+    try {
+      const { user } = await accountApi(`/api/auth/${registering ? 'register' : 'login'}`, {
+        method: 'POST',
+        body: { username: authUsername.value, password: authPassword.value }
+      });
+      if (!switchStoredUser(user.id)) window.location.reload();
+    } catch (err) {
+      authError.textContent = err.message;
+      authError.classList.remove('hidden');
+      authSubmit.disabled = false;
+    }
+  });
+
+  function closeUserMenu() {
+    userMenu.classList.add('hidden');
+  }
+
+  userAvatar.addEventListener('click', e => {
+    if (!currentUser) return;
+    e.stopPropagation();
+    if (!userMenu.classList.contains('hidden')) return closeUserMenu();
+    const rect = userAvatar.getBoundingClientRect();
+    userMenu.style.top = `${rect.bottom + 6}px`;
+    userMenu.style.right = `${Math.max(8, window.innerWidth - rect.right)}px`;
+    userMenu.classList.remove('hidden');
+  });
+
+  document.addEventListener('click', e => {
+    if (!userMenu.classList.contains('hidden') && !userMenu.contains(e.target)) closeUserMenu();
+  });
+
+  $('#user-menu-settings').addEventListener('click', () => {
+    closeUserMenu();
+    setActiveView('settings');
+    accountCard.scrollIntoView({ block: 'start' });
+  });
+
+  $('#user-menu-logout').addEventListener('click', async () => {
+    closeUserMenu();
+    try {
+      await accountApi('/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Sign out failed:', err);
+    }
+    if (!switchStoredUser(null)) window.location.reload();
+  });
+
+  passwordForm.addEventListener('submit', async e => {
+    e.preventDefault();
+    try {
+      await accountApi('/api/auth/password', {
+        method: 'PUT',
+        body: { currentPassword: $('#password-current').value, newPassword: $('#password-new').value }
+      });
+      passwordForm.reset();
+      passwordStatus.textContent = 'Password changed. Other devices have been signed out.';
+    } catch (err) {
+      passwordStatus.textContent = err.message;
+    }
+  });
+
+  function formatTokenUse(token) {
+    const created = new Date(token.createdAt).toLocaleDateString();
+    return token.lastUsedAt
+      ? `created ${created}, last used ${new Date(token.lastUsedAt).toLocaleDateString()}`
+      : `created ${created}, never used`;
+  }
+
+  async function loadTokens() {
+    try {
+      const tokens = await accountApi('/api/auth/tokens');
+      tokenList.innerHTML = '';
+      if (!tokens.length) {
+        tokenList.innerHTML = '<li class="status-text">No API tokens.</li>';
+        return;
+      }
+      tokens.forEach(token => {
+        const li = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = token.name;
+        name.title = formatTokenUse(token);
+        const revoke = document.createElement('button');
+        revoke.className = 'pill-button';
+        revoke.textContent = 'Revoke';
+        revoke.addEventListener('click', async () => {
+          if (!window.confirm(`Revoke token "${token.name}"? Scripts using it will stop working.`)) return;
+          try {
+            await accountApi(`/api/auth/tokens/${token.id}`, { method: 'DELETE' });
+            loadTokens();
+          } catch (err) {
+            window.alert(err.message);
+          }
+        });
+        li.appendChild(name);
+        li.appendChild(revoke);
+        tokenList.appendChild(li);
+      });
+    } catch (err) {
+      console.error('API tokens error:', err);
+      tokenList.innerHTML = '<li class="status-text">Could not load API tokens.</li>';
+    }
+  }
+
+  tokenForm.addEventListener('submit', async e => {
+    e.preventDefault();
+    try {
+      const { token } = await accountApi('/api/auth/tokens', {
+        method: 'POST',
+        body: { name: tokenNameInput.value }
+      });
+      tokenForm.reset();
+      // Only shown this once; the server keeps a hash
+      tokenCreated.textContent = `New token (copy it now, it won't be shown again): ${token}`;
+      tokenCreated.classList.remove('hidden');
+      loadTokens();
+    } catch (err) {
+      window.alert(err.message);
+    }
+  });
+
+  async function loadUsers() {
+    try {
+      const users = await accountApi('/api/admin/users');
+      userList.innerHTML = '';
+      users.forEach(user => {
+        const li = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = user.id === currentUser.id ? `${user.username} (you)` : user.username;
+
+        const role = document.createElement('select');
+        ['user', 'admin'].forEach(value => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = value === 'admin' ? 'Admin' : 'User';
+          role.appendChild(option);
+        });
+        role.value = user.role;
+        role.addEventListener('change', async () => {
+          try {
+            await accountApi(`/api/admin/users/${user.id}`, { method: 'PUT', body: { role: role.value } });
+            // Demoting yourself takes away this card
+            if (user.id === currentUser.id) window.location.reload();
+          } catch (err) {
+            window.alert(err.message);
+            role.value = user.role;
+          }
+        });
+
+        li.appendChild(name);
+        li.appendChild(role);
+        if (user.id !== currentUser.id) {
+          li.appendChild(
+            createIconButton('fa-trash', 'Delete user', async () => {
+              if (!window.confirm(`Delete ${user.username} with their history, playlists and likes?`)) return;
+              try {
+                await accountApi(`/api/admin/users/${user.id}`, { method: 'DELETE' });
+                loadUsers();
+              } catch (err) {
+                window.alert(err.message);
+              }
+            })
+          );
+        }
+        userList.appendChild(li);
+      });
+    } catch (err) {
+      console.error('Users error:', err);
+      userList.innerHTML = '<li class="status-text">Could not load users.</li>';
+    }
+  }
+
+  userCreateForm.addEventListener('submit', async e => {
+    e.preventDefault();
+    try {
+      const user = await accountApi('/api/admin/users', {
+        method: 'POST',
+        body: { username: $('#user-create-name').value, password: $('#user-create-password').value }
+      });
+      userCreateForm.reset();
+      userCreateStatus.textContent = `Added ${user.username}.`;
+      loadUsers();
+    } catch (err) {
+      userCreateStatus.textContent = err.message;
+    }
+  });
+
+  function showAccount(user) {
+    currentUser = user;
+    userAvatar.querySelector('span').textContent = user.username.charAt(0).toUpperCase();
+    userAvatar.title = user.username;
+    $('#user-menu-name').textContent = `Signed in as ${user.username}`;
+    accountSummary.textContent = `Signed in as ${user.username}${user.role === 'admin' ? ' (admin)' : ''}.`;
+    accountCard.classList.remove('hidden');
+    usersCard.classList.toggle('hidden', user.role !== 'admin');
+  }
+
+  viewEnterHandlers.settings = () => {
+    if (!currentUser) return;
+    loadTokens();
+    if (currentUser.role === 'admin') loadUsers();
+  };
+
+  // Resolves to true once it's clear the API may be used (signed in, or no accounts)
+  async function initAccount() {
+    try {
+      const { authEnabled, signupOpen, user } = await accountApi('/api/auth/me');
+      if (!authEnabled) return !switchStoredUser(null);
+      if (!user) {
+        showSignIn({ signupOpen });
+        return false;
+      }
+      if (switchStoredUser(user.id)) return false;
+      showAccount(user);
+      return true;
+    } catch (err) {
+      // Offline: keep going with whatever was cached
+      console.warn('Account check failed:', err);
+      return true;
+    }
+  }
+
+
+  // ------------- Sync (settings + playback across devices) -------------
+  const resumeOffer = $('#resume-offer');
+  const resumeOfferArt = $('#resume-offer-art');
+  const resumeOfferSong = $('#resume-offer-song');
+  const resumeOfferDevice = $('#resume-offer-device');
+
+  // Settings that describe this device rather than the listener
+  const LOCAL_ONLY_SETTINGS = ['viewportMode'];
+  // While playing, position updates go out at most this often
+  const PLAYBACK_PUSH_INTERVAL = 15000;
+  // Another device's song is only offered while it's this fresh
+  const RESUME_OFFER_MAX_AGE = 12 * 3600 * 1000;
+
+  const deviceId = (() => {
+    let id = localStorage.getItem('zylaeDeviceId');
+    if (!id) {
+      id = window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+      localStorage.setItem('zylaeDeviceId', id);
+    }
+    return id;
+  })();
+  const deviceName = describeDevice(navigator.userAgent);
+
+  let syncEvents = null;
+  let lastResumeState = null;
+  let lastPlaybackPush = { key: '', at: 0 };
+  let offeredPlayback = null;
+  let dismissedOffer = '';
+
+  // "Chrome on Android", shown on the other devices
+  function describeDevice(ua) {
+    const browser = /Edg\//.test(ua)
+      ? 'Edge'
+      : /Firefox\//.test(ua)
+        ? 'Firefox'
+        : /Chrome\//.test(ua)
+          ? 'Chrome'
+          : /Safari\//.test(ua)
+            ? 'Safari'
+            : 'Browser';
+    const os = /Android/.test(ua)
+      ? 'Android'
+      : /iPhone|iPad/.test(ua)
+        ? 'iOS'
+        : /Windows/.test(ua)
+          ? 'Windows'
+          : /Mac OS X/.test(ua)
+            ? 'macOS'
+            : /Linux/.test(ua)
+              ? 'Linux'
+              : '';
+    return os ? `${browser} on ${os}` : browser;
+  }
+
+  async function syncApi(path, { method = 'GET', body, keepalive = false } = {}) {
+    const res = await fetch(`/api/sync${path}`, {
+      method,
+      keepalive,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || json.success === false) throw new Error(json.message || `HTTP ${res.status}`);
+    return json.data;
+  }
+
+  // { syncedAt (server's updatedAt of the settings we have), dirty (changed since) }
+  function settingsSyncState() {
+    try {
+      return JSON.parse(localStorage.getItem(userStorageKey('zylaeSettingsSync')) || '{}');
+    } catch (err) {
+      return {};
+    }
+  }
+
+  function saveSettingsSyncState(state) {
+    localStorage.setItem(userStorageKey('zylaeSettingsSync'), JSON.stringify(state));
+  }
+
+  async function pushSettings() {
+    clearTimeout(settingsPushTimer);
+    settingsPushTimer = null;
+    const values = { ...window.ZY_SETTINGS };
+    LOCAL_ONLY_SETTINGS.forEach(key => delete values[key]);
+    try {
+      const { updatedAt } = await syncApi('/settings', {
+        method: 'PUT',
+        body: { settings: values, deviceId }
+      });
+      // Still dirty when another change came in meanwhile (its push is pending)
+      saveSettingsSyncState({ syncedAt: updatedAt, dirty: settingsPushTimer !== null });
+    } catch (err) {
+      // Stays dirty; sent again on the next change, reconnect or launch
+      console.warn('Settings sync failed:', err);
+    }
+  }
+
+  function applyRemoteSettings({ values, updatedAt }) {
+    const local = {};
+    LOCAL_ONLY_SETTINGS.forEach(key => {
+      local[key] = window.ZY_SETTINGS[key];
+    });
+    applyingRemoteSettings = true;
+    try {
+      Object.assign(window.ZY_SETTINGS, values, local);
+      persistSettings();
+      applySettingsToUI();
+      document.dispatchEvent(new CustomEvent('zy:settingschange'));
+      window._player?.refreshNext();
+      window._player?.refreshLoudness();
+    } finally {
+      applyingRemoteSettings = false;
+    }
+    saveSettingsSyncState({ syncedAt: updatedAt, dirty: false });
+  }
+
+  // On connect: unsent local changes win, otherwise take the server's newer copy
+  function reconcileSettings(settings) {
+    const state = settingsSyncState();
+    if (!settings || state.dirty) {
+      pushSettings();
+    } else if (settings.updatedAt !== state.syncedAt) {
+      applyRemoteSettings(settings);
+    }
+  }
+
+  // Where the other device is by now, if it's still playing
+  function estimatedPosition(playback) {
+    const elapsed = playback.paused ? 0 : (Date.now() - Date.parse(playback.updatedAt)) / 1000;
+    const position = playback.position + Math.max(0, elapsed);
+    return playback.duration ? Math.min(position, playback.duration) : position;
+  }
+
+  function hideResumeOffer() {
+    offeredPlayback = null;
+    resumeOffer.classList.add('hidden');
+  }
+
+  function renderResumeOffer(playback) {
+    offeredPlayback = playback;
+    const song = playback.song || {};
+    resumeOfferArt.src = bestImage(song.image);
+    resumeOfferSong.textContent = [song.name || 'Unknown song', artistNamesOf(song)].filter(Boolean).join(' · ');
+    resumeOfferDevice.textContent = `${playback.paused ? 'Paused' : 'Playing'} on ${playback.deviceName || 'another device'} · ${formatDuration(estimatedPosition(playback))}`;
+    resumeOffer.classList.remove('hidden');
+  }
+
+  // Offer the other device's song, unless this one is busy playing
+  function offerResume(playback) {
+    if (!playback || playback.deviceId === deviceId) return;
+    if (Date.now() - Date.parse(playback.updatedAt) > RESUME_OFFER_MAX_AGE) return;
+    if (dismissedOffer === `${playback.deviceId}:${playback.songId}`) return;
+    if (window._player?.getLastPlayed() && !audioEl.paused) return;
+    renderResumeOffer(playback);
+  }
+
+  $('#resume-offer-play').addEventListener('click', () => {
+    const playback = offeredPlayback;
+    if (!playback) return;
+    hideResumeOffer();
+    window._player?.resumeLastPlayed({
+      id: playback.songId,
+      position: Math.floor(estimatedPosition(playback)),
+      queue: playback.queue
+    });
+  });
+
+  $('#resume-offer-dismiss').addEventListener('click', () => {
+    if (offeredPlayback) dismissedOffer = `${offeredPlayback.deviceId}:${offeredPlayback.songId}`;
+    hideResumeOffer();
+  });
+
+  // Only the fields the other devices show, not the whole song object
+  function songSummary(song) {
+    if (!song) return null;
+    const { name, year, language, duration, album, artists, image } = song;
+    return { name, year, language, duration, album, artists: { primary: artists?.primary || [] }, image };
+  }
+
+  // Track changes, pause/play and queue edits go out right away, positions every 15s
+  function pushPlayback(state, { closing = false } = {}) {
+    const key = `${state.id}|${state.paused}|${state.queue.join(',')}`;
+    const now = Date.now();
+    if (!closing && key === lastPlaybackPush.key && now - lastPlaybackPush.at < PLAYBACK_PUSH_INTERVAL) return;
+    lastPlaybackPush = { key, at: now };
+
+    syncApi('/playback', {
+      method: 'PUT',
+      keepalive: closing,
+      body: {
+        songId: state.id,
+        song: songSummary(window._player?.songCache.get(state.id)),
+        position: state.position,
+        duration: state.duration,
+        // Closing the page stops the music, whatever the element says
+        paused: closing || state.paused,
+        queue: state.queue,
+        deviceId,
+        deviceName
+      }
+    }).catch(err => console.warn('Playback sync failed:', err));
+  }
+
+  document.addEventListener('zy:resumestate', e => {
+    lastResumeState = e.detail;
+    pushPlayback(e.detail);
+  });
+  // After player.js saved the final position
+  window.addEventListener('pagehide', () => {
+    if (lastResumeState) pushPlayback(lastResumeState, { closing: true });
+  });
+  document.addEventListener('zy:trackchange', hideResumeOffer);
+
+  function connectSyncEvents() {
+    if (syncEvents) return;
+    if (typeof EventSource === 'undefined') {
+      syncApi('')
+        .then(({ settings, playback }) => {
+          reconcileSettings(settings);
+          offerResume(playback);
+        })
+        .catch(err => console.warn('Sync unavailable:', err));
+      return;
+    }
+
+    // EventSource reconnects on its own; each connect starts with a snapshot
+    syncEvents = new EventSource('/api/sync/events');
+    syncEvents.addEventListener('snapshot', e => {
+      const { settings, playback } = JSON.parse(e.data);
+      reconcileSettings(settings);
+      offerResume(playback);
+    });
+    syncEvents.addEventListener('settings', e => {
+      const settings = JSON.parse(e.data);
+      // With a change of our own about to go out, last write wins
+      if (settings.deviceId !== deviceId && !settingsPushTimer) applyRemoteSettings(settings);
+    });
+    // Live updates refresh an offer on screen, but don't pop up new ones
+    syncEvents.addEventListener('playback', e => {
+      const playback = JSON.parse(e.data);
+      if (offeredPlayback && playback.deviceId === offeredPlayback.deviceId) renderResumeOffer(playback);
+    });
+  }
+
+  // ------------- Install prompt (PWA) -------------
+  const installButton = $('#install-app-button');
+  const installHint = $('#install-app-hint');
+  let deferredInstallPrompt = null;
+
+  function showInstalled() {
+    installButton.classList.add('hidden');
+    installHint.textContent = 'ZYLAE is installed on this device.';
+  }
+
+  if (window.matchMedia?.('(display-mode: standalone)').matches || navigator.standalone) {
+    showInstalled();
+  }
+
+  // Chromium only: keep the event so the prompt can be shown from Settings
+  window.addEventListener('beforeinstallprompt', e => {
+    e.preventDefault();
+    deferredInstallPrompt = e;
+    installButton.classList.remove('hidden');
+  });
+
+  installButton.addEventListener('click', async () => {
+    if (!deferredInstallPrompt) return;
+    deferredInstallPrompt.prompt();
+    const { outcome } = await deferredInstallPrompt.userChoice;
+    deferredInstallPrompt = null;
+    if (outcome !== 'accepted') installButton.classList.add('hidden');
+  });
+
+  window.addEventListener('appinstalled', showInstalled);
+
+  // ------------- Launch actions (app shortcuts + share target) -------------
+  const JIOSAAVN_LINK = /https?:\/\/(?:www\.)?jiosaavn\.com\/\S+/i;
+
+  // Shared JioSaavn song links play right away; anything else becomes a search
+  async function handleSharedContent(params) {
+    const shared = ['url', 'text', 'title'].map(key => params.get(key) || '');
+    const link = shared.map(value => value.match(JIOSAAVN_LINK)?.[0]).find(Boolean);
+
+    if (link && /\/song\//i.test(link)) {
+      try {
+        const res = await fetch(`/api/songs?link=${encodeURIComponent(link)}`);
+        const json = await res.json();
+        const song = json.data?.[0];
+        if (song?.id) {
+          window._player?.songCache?.set(song.id, song);
+          await playViaPlayer(song.id);
+          return;
+        }
+      } catch (err) {
+        console.error('Shared link lookup failed:', err);
+      }
+    }
+
+    // Titles usually look like "Song - Artist"; drop links and JioSaavn boilerplate
+    const query = [params.get('title'), params.get('text')]
+      .filter(Boolean)
+      .join(' ')
+      .replace(/https?:\/\/\S+/g, '')
+      .replace(/on JioSaavn/gi, '')
+      .trim();
+    if (query) searchSongs(query);
+  }
+
+  async function handleLaunchParams() {
+    const params = new URLSearchParams(window.location.search);
+    const isShare = window.location.pathname === '/share';
+    if (!isShare && !params.has('view') && !params.has('action')) return;
+
+    // Don't repeat the action on reload
+    window.history.replaceState(null, '', '/');
+
+    if (isShare) {
+      await handleSharedContent(params);
+    } else if (params.get('view') === 'search') {
+      setActiveView('search');
+      searchInput.focus();
+    } else if (params.get('action') === 'resume') {
+      const resumed = await window._player?.resumeLastPlayed();
+      if (!resumed) console.warn('Nothing to resume yet.');
+    }
+  }
+
+  // ------------- Service worker (offline app shell) -------------
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker
+      .register('/sw.js')
+      .catch(err => console.warn('Service worker registration failed:', err));
+  }
+
+  // Default view
+  setActiveView('home');
+  handleLaunchParams();
+  initAccount().then(ready => {
+    if (ready) connectSyncEvents();
+  });
 });
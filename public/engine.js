@@ -0,0 +1,502 @@
+// public/engine.js
+// Playback engine: two <audio> "decks" behind one element-like object.
+// The upcoming track is loaded on the idle deck ahead of time, so it starts
+// without a cold start, either crossfaded or butted right against the end of
+// the current one (gapless). player.js decides *what* comes next; this file
+// only knows about URLs.
+//
+// Fades and per-track gain (loudness normalization) run on Web Audio gain
+// nodes when available, otherwise on the elements' own volume.
+//
+//   deck <audio> -> fade gain -> track gain --+--> output gain -> EQ -> speakers
+//   deck <audio> -> fade gain -> track gain --+
+//
+// The EQ (a pre-gain plus one biquad per band) only exists with Web Audio.
+
+(function () {
+  // Media events re-dispatched from whichever deck is active
+  const FORWARDED_EVENTS = [
+    'loadstart',
+    'loadedmetadata',
+    'durationchange',
+    'timeupdate',
+    'play',
+    'playing',
+    'pause',
+    'waiting',
+    'seeking',
+    'seeked',
+    'ratechange',
+    'error'
+  ];
+
+  // Overlap used for "no crossfade": enough to hide play() latency, short
+  // enough not to be heard as a fade
+  const MIN_OVERLAP = 0.04;
+  // Once the transition is this close, stop relying on timeupdate (~250ms)
+  const PRECISE_WINDOW = 1;
+
+  // Graphic EQ centre frequencies (Hz); outer bands are shelves
+  const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+  const EQ_Q = 1.41;
+
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+
+  // Equal-power curves so the overall level doesn't dip mid-crossfade
+  function fadeCurve(direction, steps = 64) {
+    const curve = new Float32Array(steps);
+    for (let i = 0; i < steps; i++) {
+      const t = i / (steps - 1);
+      curve[i] = direction === 'in' ? Math.sin((t * Math.PI) / 2) : Math.cos((t * Math.PI) / 2);
+    }
+    return curve;
+  }
+
+  function dbToGain(db) {
+    return Math.pow(10, db / 20);
+  }
+
+  class PlaybackEngine extends EventTarget {
+    constructor(primary) {
+      super();
+
+      const secondary = document.createElement('audio');
+      secondary.id = `${primary.id || 'audio'}-next`;
+      secondary.preload = 'auto';
+      primary.after(secondary);
+
+      this.decks = [primary, secondary].map(el => {
+        // Needed for Web Audio to read CDN audio; blob: and same-origin are unaffected
+        el.crossOrigin = 'anonymous';
+        // level: fade position (0..1); trimDb: per-track gain
+        const deck = { el, gain: null, trim: null, level: 1, trimDb: 0 };
+        FORWARDED_EVENTS.forEach(type => el.addEventListener(type, () => this.forward(deck, type)));
+        el.addEventListener('ended', () => this.onDeckEnded(deck));
+        el.addEventListener('timeupdate', () => {
+          if (deck === this.active) this.checkTransition();
+        });
+        return deck;
+      });
+
+      this.activeIndex = 0;
+      this.masterVolume = primary.volume;
+      this.rate = 1;
+      this.ctx = null;
+      this.output = null;
+      this.eqGains = EQ_BANDS.map(() => 0);
+      this.eqPreamp = null;
+      this.eqFilters = [];
+      // { url, fade } for the track waiting on the idle deck
+      this.next = null;
+      // { outgoing, incoming, timer, interval } while a crossfade is running
+      this.fading = null;
+      this.transitionTimer = null;
+    }
+
+    get active() {
+      return this.decks[this.activeIndex];
+    }
+
+    get idle() {
+      return this.decks[1 - this.activeIndex];
+    }
+
+    // ---------- Element-like surface (what player.js and app.js use) ----------
+
+    get currentTime() {
+      return this.active.el.currentTime;
+    }
+
+    set currentTime(value) {
+      this.finishFade();
+      this.active.el.currentTime = value;
+    }
+
+    get duration() {
+      return this.active.el.duration;
+    }
+
+    get paused() {
+      return this.active.el.paused;
+    }
+
+    get src() {
+      return this.active.el.currentSrc || this.active.el.src;
+    }
+
+    get volume() {
+      return this.masterVolume;
+    }
+
+    set volume(value) {
+      this.masterVolume = Math.max(0, Math.min(1, value));
+      if (this.output) this.output.gain.value = this.masterVolume;
+      this.decks.forEach(deck => this.applyLevel(deck));
+      this.dispatch('volumechange');
+    }
+
+    get playbackRate() {
+      return this.rate;
+    }
+
+    set playbackRate(value) {
+      this.rate = value;
+      this.decks.forEach(deck => {
+        // Loading a new src resets playbackRate to the default
+        deck.el.defaultPlaybackRate = value;
+        deck.el.playbackRate = value;
+      });
+    }
+
+    get preservesPitch() {
+      return this.active.el.preservesPitch !== false;
+    }
+
+    // false: speed changes also change pitch, like a record player
+    set preservesPitch(value) {
+      this.decks.forEach(({ el }) => {
+        el.preservesPitch = value;
+        el.mozPreservesPitch = value;
+        el.webkitPreservesPitch = value;
+      });
+    }
+
+    get eqBands() {
+      return [...EQ_BANDS];
+    }
+
+    // The EQ needs Web Audio; without it setEq() only remembers the gains
+    get eqAvailable() {
+      return !!AudioContextClass;
+    }
+
+    /**
+     * EQ gain in dB per band of `eqBands` (all zeros = flat). Positive gains
+     * are offset by an equal pre-gain cut so boosted bands don't clip.
+     */
+    setEq(gains) {
+      this.eqGains = EQ_BANDS.map((_, i) => Number(gains?.[i]) || 0);
+      this.applyEq();
+    }
+
+    play() {
+      this.ensureGraph();
+      if (this.ctx && this.ctx.state === 'suspended') this.ctx.resume().catch(() => {});
+      if (this.fading) this.fading.outgoing.el.play().catch(() => {});
+      return this.active.el.play();
+    }
+
+    pause() {
+      // Pausing mid-crossfade just completes it
+      this.finishFade();
+      this.active.el.pause();
+    }
+
+    /**
+     * Play `url` now (user action, or autoplay that wasn't prepared). Uses the
+     * idle deck when it already holds `url`. `startAt` seeks once metadata is in.
+     */
+    loadTrack(url, { startAt = 0 } = {}) {
+      this.cancelTransitionTimer();
+      this.finishFade();
+
+      if (this.next && this.next.url === url) {
+        const previous = this.active;
+        this.activeIndex = 1 - this.activeIndex;
+        this.unload(previous);
+      } else {
+        this.unload(this.idle);
+        const previousSrc = this.active.el.getAttribute('src');
+        this.setTrim(this.active, 0);
+        this.active.el.src = url;
+        if (previousSrc && previousSrc !== url && previousSrc.startsWith('blob:')) {
+          URL.revokeObjectURL(previousSrc);
+        }
+      }
+      this.next = null;
+      this.setLevel(this.active, 1);
+
+      if (startAt > 0) {
+        const el = this.active.el;
+        if (el.readyState >= 1) {
+          el.currentTime = startAt;
+        } else {
+          el.addEventListener('loadedmetadata', () => {
+            el.currentTime = startAt;
+          }, { once: true });
+        }
+      }
+
+      this.dispatch('durationchange');
+      this.dispatch('timeupdate');
+    }
+
+    /**
+     * Load `url` on the idle deck so it can follow the current track.
+     * `fade` is the crossfade length in seconds (0 = gapless).
+     */
+    prepareNext(url, { fade = 0 } = {}) {
+      if (this.fading) this.finishFade();
+      if (this.next && this.next.url === url) {
+        this.next.fade = fade;
+      } else {
+        const deck = this.idle;
+        this.unload(deck);
+        this.setLevel(deck, 0);
+        this.setTrim(deck, 0);
+        deck.el.playbackRate = this.rate;
+        deck.el.src = url;
+        deck.el.load();
+        this.next = { url, fade };
+      }
+      this.cancelTransitionTimer();
+      this.checkTransition();
+    }
+
+    // Forget the prepared track; the current one will just end
+    clearNext() {
+      if (!this.next) return;
+      this.next = null;
+      this.cancelTransitionTimer();
+      if (!this.fading) this.unload(this.idle);
+    }
+
+    getNext() {
+      return this.next ? { ...this.next } : null;
+    }
+
+    /**
+     * Gain in dB for the track loaded from `url` (current or prepared), e.g.
+     * to normalize loudness. Ignored when neither deck holds `url` anymore.
+     */
+    setTrackGain(url, db) {
+      const deck = this.decks.find(d => d.el.getAttribute('src') === url);
+      if (deck) this.setTrim(deck, db, { smooth: deck === this.active && !deck.el.paused });
+    }
+
+    // ---------- Transitions ----------
+
+    // When the prepared track should start, relative to now (seconds)
+    transitionDelay() {
+      const el = this.active.el;
+      if (!this.next || el.paused || !Number.isFinite(el.duration)) return null;
+      const overlap = Math.max(this.next.fade, MIN_OVERLAP);
+      // Never fade over more than half the song
+      const fade = Math.min(overlap, el.duration / 2);
+      return (el.duration - el.currentTime - fade) / (el.playbackRate || 1);
+    }
+
+    checkTransition() {
+      if (this.fading || this.transitionTimer) return;
+      const delay = this.transitionDelay();
+      if (delay === null) return;
+
+      if (delay <= 0) {
+        this.beginTransition();
+      } else if (delay < PRECISE_WINDOW) {
+        this.transitionTimer = setTimeout(() => {
+          this.transitionTimer = null;
+          this.checkTransition();
+        }, delay * 1000);
+      }
+    }
+
+    cancelTransitionTimer() {
+      clearTimeout(this.transitionTimer);
+      this.transitionTimer = null;
+    }
+
+    beginTransition() {
+      const next = this.next;
+      if (!next) return false;
+
+      // Last chance for player.js to veto (queue or settings changed)
+      const allowed = this.dispatchEvent(
+        new CustomEvent('beforeadvance', { cancelable: true, detail: { url: next.url } })
+      );
+      if (!allowed) {
+        this.clearNext();
+        return false;
+      }
+
+      const outgoing = this.active;
+      const remaining = Number.isFinite(outgoing.el.duration)
+        ? (outgoing.el.duration - outgoing.el.currentTime) / (outgoing.el.playbackRate || 1)
+        : 0;
+      const fade = Math.max(0, Math.min(Math.max(next.fade, MIN_OVERLAP), remaining));
+
+      this.next = null;
+      this.activeIndex = 1 - this.activeIndex;
+      const incoming = this.active;
+      incoming.el.play().catch(err => {
+        if (err.name !== 'AbortError') console.error('Crossfade play failed:', err);
+      });
+      this.startFade(outgoing, incoming, fade);
+
+      this.dispatchEvent(new CustomEvent('advance', { detail: { url: next.url } }));
+      this.dispatch('durationchange');
+      this.dispatch('timeupdate');
+      return true;
+    }
+
+    startFade(outgoing, incoming, seconds) {
+      if (seconds <= 0) {
+        this.setLevel(incoming, 1);
+        this.unload(outgoing);
+        return;
+      }
+
+      this.fading = { outgoing, incoming, timer: null, interval: null };
+
+      if (this.ctx) {
+        const now = this.ctx.currentTime;
+        [[outgoing, 'out'], [incoming, 'in']].forEach(([deck, direction]) => {
+          const param = deck.gain.gain;
+          param.cancelScheduledValues(now);
+          param.setValueCurveAtTime(fadeCurve(direction), now, seconds);
+          deck.level = direction === 'in' ? 1 : 0;
+        });
+      } else {
+        const startedAt = performance.now();
+        this.fading.interval = setInterval(() => {
+          const t = Math.min(1, (performance.now() - startedAt) / (seconds * 1000));
+          this.setLevel(incoming, Math.sin((t * Math.PI) / 2));
+          this.setLevel(outgoing, Math.cos((t * Math.PI) / 2));
+        }, 50);
+      }
+
+      this.fading.timer = setTimeout(() => this.finishFade(), seconds * 1000 + 50);
+    }
+
+    finishFade() {
+      const fading = this.fading;
+      if (!fading) return;
+      this.fading = null;
+      clearTimeout(fading.timer);
+      clearInterval(fading.interval);
+      if (this.ctx) {
+        fading.incoming.gain.gain.cancelScheduledValues(this.ctx.currentTime);
+        fading.outgoing.gain.gain.cancelScheduledValues(this.ctx.currentTime);
+      }
+      this.setLevel(fading.incoming, 1);
+      this.unload(fading.outgoing);
+    }
+
+    onDeckEnded(deck) {
+      if (deck !== this.active) return;
+      // Timers can be throttled in background tabs; hand over late rather than not at all
+      if (this.next && this.beginTransition()) return;
+      this.dispatch('ended');
+    }
+
+    // ---------- Internals ----------
+
+    // Web Audio graph, built on first play (browsers require a user gesture)
+    ensureGraph() {
+      if (this.ctx || !AudioContextClass) return;
+      try {
+        this.ctx = new AudioContextClass();
+        this.output = this.ctx.createGain();
+        this.output.gain.value = this.masterVolume;
+
+        this.eqPreamp = this.ctx.createGain();
+        this.eqFilters = EQ_BANDS.map((frequency, i) => {
+          const filter = this.ctx.createBiquadFilter();
+          filter.type = i === 0 ? 'lowshelf' : i === EQ_BANDS.length - 1 ? 'highshelf' : 'peaking';
+          filter.frequency.value = frequency;
+          filter.Q.value = EQ_Q;
+          return filter;
+        });
+        [this.output, this.eqPreamp, ...this.eqFilters, this.ctx.destination].reduce((from, to) => {
+          from.connect(to);
+          return to;
+        });
+        this.applyEq();
+
+        this.decks.forEach(deck => {
+          deck.gain = this.ctx.createGain();
+          deck.gain.gain.value = deck.level;
+          deck.trim = this.ctx.createGain();
+          deck.trim.gain.value = dbToGain(deck.trimDb);
+          this.ctx.createMediaElementSource(deck.el).connect(deck.gain);
+          deck.gain.connect(deck.trim);
+          deck.trim.connect(this.output);
+          this.applyLevel(deck);
+        });
+      } catch (err) {
+        console.warn('Web Audio unavailable, crossfading with element volume:', err);
+        this.ctx = null;
+        this.output = null;
+        this.eqPreamp = null;
+        this.eqFilters = [];
+        this.decks.forEach(deck => {
+          deck.gain = null;
+          deck.trim = null;
+        });
+      }
+    }
+
+    setLevel(deck, level) {
+      deck.level = level;
+      if (deck.gain) {
+        deck.gain.gain.cancelScheduledValues(this.ctx.currentTime);
+        deck.gain.gain.value = level;
+      }
+      this.applyLevel(deck);
+    }
+
+    applyEq() {
+      if (!this.ctx) return;
+      const now = this.ctx.currentTime;
+      // Short time constant: follows slider drags without zipper noise
+      this.eqFilters.forEach((filter, i) => filter.gain.setTargetAtTime(this.eqGains[i], now, 0.02));
+      this.eqPreamp.gain.setTargetAtTime(dbToGain(-Math.max(0, ...this.eqGains)), now, 0.02);
+    }
+
+    // Smooth changes avoid an audible step when gain arrives mid-song
+    setTrim(deck, db, { smooth = false } = {}) {
+      deck.trimDb = db;
+      if (deck.trim) {
+        const now = this.ctx.currentTime;
+        deck.trim.gain.cancelScheduledValues(now);
+        if (smooth) deck.trim.gain.setTargetAtTime(dbToGain(db), now, 0.5);
+        else deck.trim.gain.value = dbToGain(db);
+      }
+      this.applyLevel(deck);
+    }
+
+    // With Web Audio, fades and volume live on gain nodes; otherwise on the
+    // element, which can only attenuate
+    applyLevel(deck) {
+      deck.el.volume = deck.gain
+        ? 1
+        : this.masterVolume * deck.level * Math.min(1, dbToGain(deck.trimDb));
+    }
+
+    unload(deck) {
+      const { el } = deck;
+      const src = el.getAttribute('src');
+      el.pause();
+      if (src === null) return;
+      el.removeAttribute('src');
+      el.load();
+      // Offline songs are object URLs owned by the engine once loaded
+      if (src.startsWith('blob:')) URL.revokeObjectURL(src);
+    }
+
+    forward(deck, type) {
+      if (deck === this.active) this.dispatch(type);
+    }
+
+    // Fire both listeners and the `on<type>` property, like a media element
+    dispatch(type) {
+      const event = new Event(type);
+      this.dispatchEvent(event);
+      const handler = this[`on${type}`];
+      if (typeof handler === 'function') handler.call(this, event);
+    }
+  }
+
+  const primary = document.getElementById('audio-player');
+  window._engine = primary ? new PlaybackEngine(primary) : null;
+})();
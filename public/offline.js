@@ -0,0 +1,123 @@
+// public/offline.js
+// Songs saved for offline playback: audio blobs + song metadata in IndexedDB.
+// Shared by player.js (plays local copies first) and app.js (save/remove UI).
+
+(function () {
+  const DB_NAME = 'zylae-offline';
+  const DB_VERSION = 1;
+  const STORE = 'tracks';
+
+  const isSupported = typeof indexedDB !== 'undefined';
+  let dbPromise = null;
+  // ids currently being downloaded
+  const saving = new Set();
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore(STORE, { keyPath: 'id' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run `fn(store)` in a transaction; resolves with the request's result
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function notifyChange() {
+    document.dispatchEvent(new CustomEvent('zy:offlinechange'));
+  }
+
+  // Record without the audio blob
+  function summary(record) {
+    const { blob, ...rest } = record;
+    return rest;
+  }
+
+  /**
+   * Download `song` and store it. Audio comes through our stream route: the
+   * source file as-is, without an FFmpeg run (same origin, so no CDN CORS).
+   */
+  async function save(song, { quality = '320kbps' } = {}) {
+    if (!isSupported) throw new Error('Offline storage is not supported in this browser');
+    if (saving.has(song.id)) return null;
+
+    saving.add(song.id);
+    notifyChange();
+    try {
+      const url = `/api/stream/${encodeURIComponent(song.id)}?quality=${encodeURIComponent(quality)}`;
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`Download failed (${res.status})`);
+      const blob = await res.blob();
+
+      // Ask the browser not to evict saved songs under storage pressure
+      navigator.storage?.persist?.().catch(() => {});
+
+      const record = { id: song.id, song, blob, size: blob.size, quality, savedAt: Date.now() };
+      await withStore('readwrite', store => store.put(record));
+      return summary(record);
+    } finally {
+      saving.delete(song.id);
+      notifyChange();
+    }
+  }
+
+  async function get(id) {
+    if (!isSupported) return null;
+    return (await withStore('readonly', store => store.get(id))) || null;
+  }
+
+  async function has(id) {
+    if (!isSupported) return false;
+    return (await withStore('readonly', store => store.count(id))) > 0;
+  }
+
+  async function remove(id) {
+    if (!isSupported) return;
+    await withStore('readwrite', store => store.delete(id));
+    notifyChange();
+  }
+
+  // All saved songs (without blobs), most recent first
+  async function list() {
+    if (!isSupported) return [];
+    const records = await withStore('readonly', store => store.getAll());
+    return records.map(summary).sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * `{ tracks, bytes }` for saved songs, plus the origin's overall `usage` and
+   * `quota` when the browser reports them.
+   */
+  async function usage() {
+    const tracks = await list();
+    const bytes = tracks.reduce((sum, t) => sum + (t.size || 0), 0);
+    const estimate = (await navigator.storage?.estimate?.().catch(() => null)) || {};
+    return { tracks: tracks.length, bytes, usage: estimate.usage ?? null, quota: estimate.quota ?? null };
+  }
+
+  window._offline = {
+    isSupported,
+    isSaving: id => saving.has(id),
+    save,
+    get,
+    has,
+    remove,
+    list,
+    usage
+  };
+})();
@@ -7,6 +7,23 @@ const RECOMMENDER_CONFIG = {
   prefetchTopK: 10
 };
 
+// -------------------- Autoplay Configuration --------------------
+// Defaults for the autoplay settings; Settings > Autoplay engine overrides them
+const AUTOPLAY_DEFAULTS = {
+  // Relative chance of each strategy filling an autoplay slot (see registerStrategy)
+  weights: { suggestions: 50, artist: 15, era: 10, language: 10, embedding: 10, discovery: 5 },
+  // Where discovery picks and diversity breaks look for music
+  preferredLanguages: ['malayalam', 'tamil'],
+  // After this many songs in a row in one language, a diversity break follows
+  diversityThresholds: { hindi: 4, telugu: 3, marathi: 3 },
+  // Same-era picks stay within this many years of the seed song
+  eraRange: 3,
+  // Songs added per autoplay refill
+  batchSize: 10,
+  // How far back discovery looks
+  discoveryYears: 20
+};
+
 // -------------------- Anti-Repeat Configuration --------------------
 const ANTI_REPEAT_CONFIG = {
   maxHistorySize: 200,
@@ -40,9 +57,13 @@ function clampHistory() {
   }
 }
 
-function canPlaySong(songId) {
-  if (!ANTI_REPEAT_CONFIG.enableSmartExclusion) return true;
+function canPlaySong(songId, { quiet = false } = {}) {
   if (!songId) return false;
+  if (isDisliked(songId)) {
+    if (!quiet) console.log(`👎 Song ${songId} is disliked (or by a disliked artist)`);
+    return false;
+  }
+  if (!ANTI_REPEAT_CONFIG.enableSmartExclusion) return true;
 
   const idx = previouslyPlayed.indexOf(songId);
   if (idx === -1) return true;
@@ -50,7 +71,7 @@ function canPlaySong(songId) {
   const songsAgo = previouslyPlayed.length - idx;
   const canPlay = songsAgo >= ANTI_REPEAT_CONFIG.minHistoryBeforeRepeat;
 
-  if (ANTI_REPEAT_CONFIG.debugLogging && !canPlay) {
+  if (ANTI_REPEAT_CONFIG.debugLogging && !canPlay && !quiet) {
     console.log(
       `🚫 Song ${songId} too recent (${songsAgo} songs ago, need ${ANTI_REPEAT_CONFIG.minHistoryBeforeRepeat})`
     );
@@ -59,28 +80,94 @@ function canPlaySong(songId) {
   return canPlay;
 }
 
+// Seed anti-repeat history from the server so it survives reloads
+async function loadServerHistory() {
+  try {
+    const res = await fetch(`/api/history?limit=${ANTI_REPEAT_CONFIG.maxHistorySize}`);
+    const json = await res.json();
+    const ids = (json.data?.entries || []).map(e => e.songId).reverse();
+    // Songs played since the page loaded stay newest
+    const older = ids.filter((id, i) => id !== ids[i - 1]);
+    previouslyPlayed.unshift(...older);
+    while (previouslyPlayed.length > ANTI_REPEAT_CONFIG.maxHistorySize) {
+      previouslyPlayed.shift();
+    }
+  } catch (err) {
+    console.warn('Could not load listening history:', err);
+  }
+}
+
 function getExclusionSet() {
   const excludeIds = new Set();
   if (lastPlayedSongId) excludeIds.add(lastPlayedSongId);
   suggestionState.queue.forEach(id => excludeIds.add(id));
+  manualQueue.forEach(id => excludeIds.add(id));
   previouslyPlayed.forEach(id => excludeIds.add(id));
   return excludeIds;
 }
 
+// -------------------- Manual queue --------------------
+function notifyQueueChange() {
+  document.dispatchEvent(new CustomEvent('zy:queuechange'));
+}
+
+function addToQueue(songId) {
+  if (!songId) return;
+  manualQueue.push(songId);
+  notifyQueueChange();
+}
+
+function playNextInQueue(songId) {
+  if (!songId) return;
+  manualQueue.unshift(songId);
+  notifyQueueChange();
+}
+
+function removeFromQueue(index) {
+  if (index < 0 || index >= manualQueue.length) return;
+  manualQueue.splice(index, 1);
+  notifyQueueChange();
+}
+
+function moveInQueue(from, to) {
+  if (from < 0 || from >= manualQueue.length) return;
+  const target = Math.max(0, Math.min(to, manualQueue.length - 1));
+  const [moved] = manualQueue.splice(from, 1);
+  manualQueue.splice(target, 0, moved);
+  notifyQueueChange();
+}
+
+function clearQueue() {
+  manualQueue.length = 0;
+  notifyQueueChange();
+}
+
+function getQueue() {
+  return {
+    manual: [...manualQueue],
+    auto: suggestionState.queue.slice(suggestionState.index + 1)
+  };
+}
+
 // -------------------- State --------------------
 window.ZY_SETTINGS = window.ZY_SETTINGS || {
   bitrate: '320kbps',
   autoplay: true
 };
 
-let hindiPlayCount = 0;
-let teluguPlayCount = 0;
-let marathiPlayCount = 0;
+// localStorage key for the signed-in account (app.js keeps zylaeUserId current),
+// so people sharing a browser don't share settings or resume state
+function userStorageKey(key) {
+  const userId = localStorage.getItem('zylaeUserId');
+  return userId ? `${key}:${userId}` : key;
+}
+
+// Songs played in a row in one language, for diversity breaks
+const languageRun = { language: '', count: 0 };
 
+// The playback engine from engine.js; behaves like the <audio> element
 let audio = null;
-const prelangs = ['malayalam', 'tamil'];
 const currentYear = new Date().getFullYear();
-const preyears = Array.from({ length: 21 }, (_, i) => (currentYear - i).toString());
 const songCache = new Map();
 
 // Suggestion-based autoplay state
@@ -90,6 +177,9 @@ const suggestionState = {
   index: -1
 };
 
+// User-controlled "Up Next" queue; always drains before suggestion autoplay
+const manualQueue = [];
+
 // -------------------- TF.js recommender --------------------
 class TfjsRecommender {
   constructor(config = {}) {
@@ -176,6 +266,7 @@ function extractSongsFromSearchResponse(json) {
   return json.data || [];
 }
 
+// strategies: [{ name, weight }] with at least one positive weight
 function weightedRandomChoice(strategies) {
   const totalWeight = strategies.reduce((acc, s) => acc + s.weight, 0);
   let rand = Math.random() * totalWeight;
@@ -186,218 +277,368 @@ function weightedRandomChoice(strategies) {
   return strategies[0].name;
 }
 
-// -------------------- Search helpers --------------------
-async function searchYearLanguage(year, language, excludeId) {
-  const query = `${language} ${year}`;
-  const res = await fetch(`/api/search/songs?query=${encodeURIComponent(query)}&limit=50`);
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+function shuffle(items) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function capitalize(str) {
+  return str ? str.charAt(0).toUpperCase() + str.slice(1) : '';
+}
+
+function songTitle(song) {
+  return decodeHtmlEntities(song?.name || song?.id || '');
+}
+
+// Metadata by id, through the shared cache
+async function fetchSongMeta(id) {
+  let s = songCache.get(id);
+  if (!s) {
+    const res = await fetch(`/api/songs/${encodeURIComponent(id)}`);
+    const json = await res.json();
+    s = json.data?.[0];
+    if (s) songCache.set(id, s);
+  }
+  return s || null;
+}
+
+async function searchSongs(query, limit = 50) {
+  const res = await fetch(`/api/search/songs?query=${encodeURIComponent(query)}&limit=${limit}`);
   const json = await res.json();
-  return extractSongsFromSearchResponse(json).filter(s => s && s.id !== excludeId);
+  return extractSongsFromSearchResponse(json).filter(s => s && s.id);
 }
 
-async function searchYearBased(year, language, lastId) {
-  const yearNum = parseInt(year, 10) || currentYear;
-  let offsets = [];
-  if (yearNum === currentYear) offsets = [-3];
-  else offsets = [-3, 3];
+function sameLanguage(song, language) {
+  return (song.language || '').toLowerCase() === language.toLowerCase();
+}
 
-  const offset = offsets[Math.floor(Math.random() * offsets.length)];
-  const targetYear = yearNum + offset;
-  console.log(`searchYearBased -> targetYear: ${targetYear} (offset ${offset}) for language: ${language}`);
+// -------------------- Autoplay strategies --------------------
+// Autoplay fills its queue one slot at a time; each slot goes to a strategy
+// picked by the weights in settings. A strategy turns the seed song into
+// candidates, each with the reason shown in the autoplay debug panel.
+const autoplayStrategies = new Map();
+
+/**
+ * Add (or replace) a strategy:
+ *   name        key in settings.autoplayWeights
+ *   label       shown in Settings
+ *   available   (seed, config) -> whether it can run for this seed
+ *   candidates  (seed, config, excludeIds) -> Promise<[{ song, reason }]>, best first
+ */
+function registerStrategy(strategy) {
+  autoplayStrategies.set(strategy.name, { available: () => true, ...strategy });
+}
 
-  let pool = await searchYearLanguage(targetYear, language, lastId);
-  if (!pool.length) {
-    console.log(`No songs found for ${targetYear} ${language}; falling back to ${language}`);
-    const res = await fetch(`/api/search/songs?query=${encodeURIComponent(language)}&limit=50`);
+// Current autoplay settings merged over AUTOPLAY_DEFAULTS
+function autoplayConfig() {
+  const settings = window.ZY_SETTINGS || {};
+  const eraRange = Number(settings.eraRange);
+  return {
+    weights: { ...AUTOPLAY_DEFAULTS.weights, ...(settings.autoplayWeights || {}) },
+    // An empty list is allowed: it turns discovery and diversity breaks off
+    preferredLanguages: Array.isArray(settings.preferredLanguages)
+      ? settings.preferredLanguages
+      : AUTOPLAY_DEFAULTS.preferredLanguages,
+    diversityThresholds: settings.diversityThresholds || AUTOPLAY_DEFAULTS.diversityThresholds,
+    eraRange: Number.isFinite(eraRange) && eraRange >= 0 ? eraRange : AUTOPLAY_DEFAULTS.eraRange
+  };
+}
+
+registerStrategy({
+  name: 'suggestions',
+  label: 'JioSaavn suggestions',
+  async candidates(seed) {
+    const res = await fetch(`/api/songs/${encodeURIComponent(seed.id)}/suggestions`);
     const json = await res.json();
-    pool = extractSongsFromSearchResponse(json).filter(
-      s =>
-        s &&
-        s.id !== lastId &&
-        s.language &&
-        s.language.toLowerCase() === language.toLowerCase()
+    const songs = Array.isArray(json?.data) ? json.data : [];
+    return songs.map(song => ({ song, reason: `JioSaavn suggestion for “${songTitle(seed)}”` }));
+  }
+});
+
+registerStrategy({
+  name: 'artist',
+  label: 'Same artist',
+  available: seed => !!seed.artists?.primary?.length,
+  async candidates(seed) {
+    const artist = pickRandom(seed.artists.primary);
+    const res = await fetch(
+      `/api/artists/${encodeURIComponent(artist.id)}/songs?page=0&sortBy=popularity&sortOrder=desc`
     );
+    const json = await res.json();
+    const name = decodeHtmlEntities(artist.name || '');
+    return shuffle(json.data?.songs || []).map(song => ({
+      song,
+      reason: `More from ${name}, who is on “${songTitle(seed)}”`
+    }));
   }
-  return pool;
-}
+});
+
+registerStrategy({
+  name: 'era',
+  label: 'Same era',
+  available: seed => !!(parseInt(seed.year, 10) && seed.language),
+  async candidates(seed, config) {
+    const seedYear = parseInt(seed.year, 10);
+    const range = config.eraRange;
+
+    // Search a neighbouring year (never a future one), keep anything in range
+    const years = [];
+    for (let y = seedYear - range; y <= Math.min(seedYear + range, currentYear); y++) {
+      if (y !== seedYear) years.push(y);
+    }
+    const year = years.length ? pickRandom(years) : seedYear;
 
-async function fetchDiverseSong(excludeIds) {
-  for (const lang of prelangs) {
-    for (const year of preyears) {
-      const candidates = await searchYearLanguage(year, lang, null);
-      const filtered = candidates.filter(s => s && s.id && !excludeIds.has(s.id));
-      if (filtered.length)
-        return filtered[Math.floor(Math.random() * filtered.length)];
+    let pool = (await searchSongs(`${seed.language} ${year}`)).filter(s => sameLanguage(s, seed.language));
+    if (!pool.length) {
+      console.log(`No songs found for ${year} ${seed.language}; falling back to ${seed.language}`);
+      pool = (await searchSongs(seed.language)).filter(s => sameLanguage(s, seed.language));
     }
+
+    return shuffle(pool)
+      .filter(s => !s.year || Math.abs((parseInt(s.year, 10) || 0) - seedYear) <= range)
+      .map(song => ({
+        song,
+        reason: `${capitalize(seed.language)} from ${song.year || year}, within ${range} years of “${songTitle(seed)}” (${seedYear})`
+      }));
   }
-  return null;
-}
+});
 
-async function fetchPopularRandomSong(excludeIds) {
-  const res = await fetch(`/api/search/songs?query=${encodeURIComponent('popular')}&limit=50`);
-  const json = await res.json();
-  const candidates = extractSongsFromSearchResponse(json).filter(
-    s => s && s.id && !excludeIds.has(s.id)
-  );
-  return candidates.length
-    ? candidates[Math.floor(Math.random() * candidates.length)]
-    : null;
-}
-
-// -------------------- Strategy + recommender (used in fallback) --------------------
-async function fetchSongsByStrategy(
-  strategy,
-  { artistIds = [], year, language, excludeId } = {}
-) {
-  try {
-    const excludeIds = getExclusionSet();
-    if (recommender.ready && excludeId) {
-      const recIds = await recommender.recommendNextByEmbedding(
-        excludeId,
-        excludeIds,
-        RECOMMENDER_CONFIG.prefetchTopK
+registerStrategy({
+  name: 'language',
+  label: 'Same language',
+  available: seed => !!seed.language,
+  async candidates(seed) {
+    const pool = (await searchSongs(seed.language)).filter(s => sameLanguage(s, seed.language));
+    return shuffle(pool).map(song => ({
+      song,
+      reason: `Also in ${capitalize(seed.language)}, like “${songTitle(seed)}”`
+    }));
+  }
+});
+
+registerStrategy({
+  name: 'embedding',
+  label: 'Embedding neighbors',
+  available: seed => recommender.ready && recommender.idToIndex.has(seed.id),
+  async candidates(seed, config, excludeIds) {
+    const neighbors = await recommender.getNearestNeighbors(
+      seed.id,
+      RECOMMENDER_CONFIG.prefetchTopK,
+      excludeIds
+    );
+    const songs = await Promise.all(neighbors.map(n => fetchSongMeta(n.id).catch(() => null)));
+    return neighbors
+      .map((n, i) => songs[i] && {
+        song: songs[i],
+        reason: `Close to “${songTitle(seed)}” in listening embeddings (similarity ${n.score.toFixed(2)})`
+      })
+      .filter(Boolean);
+  }
+});
+
+registerStrategy({
+  name: 'discovery',
+  label: 'Discovery',
+  available: (seed, config) => config.preferredLanguages.length > 0,
+  async candidates(seed, config, excludeIds) {
+    // A few random language + year combinations; the first with anything new wins
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const language = pickRandom(config.preferredLanguages);
+      const year = currentYear - Math.floor(Math.random() * (AUTOPLAY_DEFAULTS.discoveryYears + 1));
+      const pool = (await searchSongs(`${language} ${year}`)).filter(
+        s => sameLanguage(s, language) && !excludeIds.has(s.id)
       );
-      if (recIds && recIds.length) {
-        const items = [];
-        for (const rid of recIds) {
-          let s = songCache.get(rid);
-          if (!s) {
-            const res = await fetch(`/api/songs/${rid}`);
-            const json = await res.json();
-            s = json.data?.[0];
-            if (s) songCache.set(rid, s);
-          }
-          if (s && !excludeIds.has(s.id)) items.push(s);
-        }
-        if (items.length) return items;
+      if (pool.length) {
+        return shuffle(pool).map(song => ({
+          song,
+          reason: `Discovery: ${capitalize(language)} from ${year} (a preferred language)`
+        }));
       }
     }
-  } catch (err) {
-    console.warn('Recommender fetch failed - falling back to strategy fetch', err);
-  }
-
-  switch (strategy) {
-    case 'artist':
-      if (!artistIds || !artistIds.length) return [];
-      {
-        const artistId = artistIds[Math.floor(Math.random() * artistIds.length)];
-        const res = await fetch(
-          `/api/artists/${artistId}/songs?page=0&sortBy=popularity&sortOrder=desc`
-        );
-        const json = await res.json();
-        const excludeIds = getExclusionSet();
-        return (json.data?.songs || []).filter(
-          s => s && s.id && !excludeIds.has(s.id)
-        );
-      }
-    case 'year':
-      if (!year || !language) return [];
-      {
-        const pool = await searchYearBased(year, language, excludeId);
-        const excludeIds = getExclusionSet();
-        return pool.filter(s => {
-          if (!s || !s.id || excludeIds.has(s.id)) return false;
-          if (!s.year) return true;
-          const sy = parseInt(s.year) || 0;
-          const qy = parseInt(year) || 0;
-          return Math.abs(sy - qy) <= 3;
-        });
-      }
-    case 'language':
-      if (!language) return [];
-      {
-        const res = await fetch(
-          `/api/search/songs?query=${encodeURIComponent(language)}&limit=50`
-        );
-        const json = await res.json();
-        const excludeIds = getExclusionSet();
-        return extractSongsFromSearchResponse(json).filter(
-          s =>
-            s &&
-            s.id &&
-            !excludeIds.has(s.id) &&
-            s.language &&
-            s.language.toLowerCase() === language.toLowerCase()
-        );
-      }
-    default:
-      return [];
+    return [];
   }
-}
+});
 
 // -------------------- Diversity helper --------------------
-function shouldPlayDiverse(currentLang) {
-  const lc = (currentLang || '').toLowerCase();
-  const overplayedCount =
-    lc === 'hindi'
-      ? hindiPlayCount
-      : lc === 'telugu'
-      ? teluguPlayCount
-      : lc === 'marathi'
-      ? marathiPlayCount
-      : 0;
-  const threshold = { hindi: 4, telugu: 3, marathi: 3 };
-  return overplayedCount >= (threshold[lc] || Infinity);
-}
-
-async function fetchDiverseCandidate() {
+function noteLanguagePlayed(run, language) {
+  const lc = (language || '').toLowerCase();
+  if (lc && lc === run.language) {
+    run.count += 1;
+  } else {
+    run.language = lc;
+    run.count = lc ? 1 : 0;
+  }
+}
+
+// Whether `run` (songs in a row in one language) has reached its threshold
+function shouldPlayDiverse(run, config) {
+  const threshold = Number(config.diversityThresholds[run.language]);
+  return threshold > 0 && run.count >= threshold;
+}
+
+/**
+ * Pick up to AUTOPLAY_DEFAULTS.batchSize songs to follow `seed`.
+ * Each slot goes to a strategy chosen by weight; once a language has played
+ * too many times in a row (counting the picks so far) the slot becomes a
+ * discovery pick in another preferred language instead. Each strategy is
+ * asked at most once per batch, and its candidates are filtered and ranked
+ * by feedback (see rankByFeedback). Resolves to [{ id, strategy, reason, ... }].
+ */
+async function buildAutoplayQueue(seed) {
+  const config = autoplayConfig();
   const excludeIds = getExclusionSet();
+  const run = { ...languageRun };
+  // pool key -> Promise<[{ song, reason }]>, consumed front to back
+  const pools = new Map();
+  const exhausted = new Set();
+  const picks = [];
+
+  const take = async (key, strategy, strategyConfig) => {
+    if (!pools.has(key)) {
+      pools.set(
+        key,
+        strategy
+          .candidates(seed, strategyConfig, excludeIds)
+          .then(rankByFeedback)
+          .catch(err => {
+            console.warn(`Autoplay strategy "${strategy.name}" failed:`, err);
+            return [];
+          })
+      );
+    }
+    const pool = await pools.get(key);
+    while (pool.length) {
+      const candidate = pool.shift();
+      if (!candidate?.song?.id || excludeIds.has(candidate.song.id)) continue;
+      excludeIds.add(candidate.song.id);
+      return candidate;
+    }
+    return null;
+  };
 
-  if (recommender.ready && lastPlayedSongId) {
-    const recs = await recommender.getNearestNeighbors(
-      lastPlayedSongId,
-      30,
-      excludeIds
-    );
-    for (const r of recs) {
-      let s = songCache.get(r.id);
-      if (!s) {
-        const res = await fetch(`/api/songs/${r.id}`);
-        const json = await res.json();
-        s = json.data?.[0];
-        if (s) songCache.set(r.id, s);
+  while (picks.length < AUTOPLAY_DEFAULTS.batchSize) {
+    let pick = null;
+
+    if (shouldPlayDiverse(run, config)) {
+      const languages = config.preferredLanguages.filter(l => l.toLowerCase() !== run.language);
+      if (languages.length) {
+        const found = await take(`diversity:${run.language}`, autoplayStrategies.get('discovery'), {
+          ...config,
+          preferredLanguages: languages
+        });
+        if (found) {
+          pick = {
+            ...found,
+            strategy: 'discovery',
+            chance: null,
+            reason: `Diversity break after ${run.count} ${capitalize(run.language)} songs in a row. ${found.reason}`
+          };
+        }
       }
-      if (s && prelangs.includes((s.language || '').toLowerCase()) && !excludeIds.has(s.id)) {
-        return s;
+    }
+
+    while (!pick) {
+      const choices = [...autoplayStrategies.values()]
+        .filter(s => !exhausted.has(s.name) && Number(config.weights[s.name]) > 0 && s.available(seed, config))
+        .map(s => ({ name: s.name, weight: Number(config.weights[s.name]) }));
+      if (!choices.length) break;
+
+      const name = weightedRandomChoice(choices);
+      const found = await take(name, autoplayStrategies.get(name), config);
+      if (found) {
+        const total = choices.reduce((acc, c) => acc + c.weight, 0);
+        pick = { ...found, strategy: name, chance: config.weights[name] / total };
+      } else {
+        exhausted.add(name);
       }
     }
+    if (!pick) break;
+
+    picks.push({
+      id: pick.song.id,
+      strategy: pick.strategy,
+      reason: pick.reason,
+      chance: pick.chance,
+      seedId: seed.id,
+      seedName: songTitle(seed)
+    });
+    noteLanguagePlayed(run, pick.song.language);
   }
 
-  return await fetchDiverseSong(excludeIds);
+  return picks;
+}
+
+// -------------------- Autoplay debug log --------------------
+// Why each queued autoplay song was picked: id -> pick from buildAutoplayQueue
+const autoplayReasons = new Map();
+const AUTOPLAY_LOG_SIZE = 50;
+// Autoplayed songs with their reasons, oldest first
+const autoplayLog = [];
+
+function noteAutoplayReason(id, strategy, reason) {
+  autoplayReasons.set(id, { id, strategy, reason, chance: null, seedId: null, seedName: '' });
+}
+
+function logAutoplayPick(id, song) {
+  const pick = autoplayReasons.get(id) || {
+    strategy: 'unknown',
+    reason: 'Picked before the autoplay queue was built',
+    chance: null,
+    seedId: null,
+    seedName: ''
+  };
+  autoplayLog.push({ ...pick, id, name: songTitle(song), playedAt: new Date().toISOString() });
+  if (autoplayLog.length > AUTOPLAY_LOG_SIZE) autoplayLog.shift();
+  document.dispatchEvent(new CustomEvent('zy:autoplaylog'));
 }
 
 // -------------------- Suggestions-based autoplay --------------------
-async function prefetchSuggestionsFor(songId) {
-  try {
-    suggestionState.baseSongId = songId;
-    suggestionState.queue = [];
-    suggestionState.index = -1;
+// Bumped per refill so a slow, outdated refill doesn't overwrite a newer one
+let autoplayRefillToken = 0;
 
-    console.log('🔮 Prefetching suggestions for:', songId);
-    const res = await fetch(`/api/songs/${encodeURIComponent(songId)}/suggestions`);
-    const json = await res.json();
+// Replace the autoplay queue with a fresh batch of picks following `seedId`
+async function refillAutoplayQueue(seedId) {
+  const token = ++autoplayRefillToken;
+  suggestionState.baseSongId = seedId;
+  suggestionState.queue = [];
+  suggestionState.index = -1;
 
-    const data = json?.data || [];
-    if (!Array.isArray(data) || !data.length) {
-      console.warn('No suggestions returned, triggering fallback.');
-      await fallbackFreshSongsWithExclusion();
-      return;
-    }
+  try {
+    const seed = await fetchSongMeta(seedId);
+    if (!seed) throw new Error('Seed song not found');
 
-    const excludeIds = getExclusionSet();
-    const ids = data
-      .map(s => s.id)
-      .filter(id => id && !excludeIds.has(id));
+    console.log('🔮 Building autoplay queue from:', seedId);
+    const picks = await buildAutoplayQueue(seed);
+    if (token !== autoplayRefillToken) return;
 
-    suggestionState.queue = ids;
+    autoplayReasons.clear();
+    picks.forEach(pick => autoplayReasons.set(pick.id, pick));
+    suggestionState.queue = picks.map(pick => pick.id);
     suggestionState.index = -1;
 
-    console.log('📋 Suggestion queue prepared:', suggestionState.queue.length, 'items');
+    console.log('📋 Autoplay queue prepared:', suggestionState.queue.length, 'items');
+    notifyQueueChange();
   } catch (err) {
-    console.warn('Suggestion fetch failed, using fallback:', err);
-    await fallbackFreshSongsWithExclusion();
+    console.warn('Autoplay refill failed:', err);
   }
 }
 
+// Rebuild the upcoming autoplay picks, e.g. after the autoplay settings change
+function refreshAutoplayQueue() {
+  if (!lastPlayedSongId) return;
+  refillAutoplayQueue(lastPlayedSongId);
+  // The queue is empty until the refill lands
+  notifyQueueChange();
+}
+
 async function playNextFromSuggestions() {
   // 1) Use existing queue
   if (
@@ -406,6 +647,7 @@ async function playNextFromSuggestions() {
   ) {
     suggestionState.index += 1;
     const nextId = suggestionState.queue[suggestionState.index];
+    notifyQueueChange();
 
     if (!canPlaySong(nextId)) {
       console.log('Skipping too-recent suggestion:', nextId);
@@ -435,11 +677,12 @@ async function playNextFromSuggestions() {
     return;
   }
 
-  await prefetchSuggestionsFor(baseId);
+  await refillAutoplayQueue(baseId);
 
   if (suggestionState.queue.length) {
     suggestionState.index = 0;
     const nextId = suggestionState.queue[0];
+    notifyQueueChange();
     if (!canPlaySong(nextId)) {
       console.log('Skipping too-recent suggestion:', nextId);
       return playNextFromSuggestions();
@@ -452,6 +695,11 @@ async function playNextFromSuggestions() {
   await fallbackFreshSongsWithExclusion();
 }
 
+async function fetchPopularRandomSong(excludeIds) {
+  const candidates = (await searchSongs('popular')).filter(s => !excludeIds.has(s.id));
+  return candidates.length ? candidates[Math.floor(Math.random() * candidates.length)] : null;
+}
+
 // Fallback: try to get fresh songs with exclusion
 async function fallbackFreshSongsWithExclusion() {
   try {
@@ -467,6 +715,7 @@ async function fallbackFreshSongsWithExclusion() {
       const cand = await fetchPopularRandomSong(excludeIds);
       if (cand && cand.id) {
         console.log('🎯 Fallback popular playing:', cand.name);
+        noteAutoplayReason(cand.id, 'fallback', 'Fallback: popular songs (nothing played yet to build on)');
         await playSong(cand.id, { fromAutoplay: true });
       } else {
         console.warn('No fallback candidate found at all.');
@@ -474,13 +723,7 @@ async function fallbackFreshSongsWithExclusion() {
       return;
     }
 
-    let s = songCache.get(baseId);
-    if (!s) {
-      const res = await fetch(`/api/songs/${baseId}`);
-      const json = await res.json();
-      s = json.data?.[0];
-      if (s) songCache.set(baseId, s);
-    }
+    const s = await fetchSongMeta(baseId);
 
     const qLang = s?.language || '';
     const qYear = s?.year || '';
@@ -495,13 +738,14 @@ async function fallbackFreshSongsWithExclusion() {
 
     if (candidates && candidates.length > 0) {
       const freshCandidates = candidates.filter(
-        song => song && song.id && !excludeIds.has(song.id)
+        song => song && song.id && !excludeIds.has(song.id) && !isUnwanted(song)
       );
 
       if (freshCandidates.length > 0) {
         const fallbackSong =
           freshCandidates[Math.floor(Math.random() * freshCandidates.length)];
         console.log('🎯 Fallback playing:', fallbackSong.name);
+        noteAutoplayReason(fallbackSong.id, 'fallback', `Fallback: search for “${queryStr}” (the autoplay queue came up empty)`);
         await playSong(fallbackSong.id, { fromAutoplay: true });
         return;
       }
@@ -511,6 +755,7 @@ async function fallbackFreshSongsWithExclusion() {
     const popular = await fetchPopularRandomSong(excludeIds);
     if (popular && popular.id) {
       console.log('🎯 Fallback popular playing:', popular.name);
+      noteAutoplayReason(popular.id, 'fallback', 'Fallback: popular songs (no fresh songs in this language)');
       await playSong(popular.id, { fromAutoplay: true });
       return;
     }
@@ -524,101 +769,639 @@ async function fallbackFreshSongsWithExclusion() {
   }
 }
 
+// Without a connection suggestions can't load; shuffle through saved songs
+async function playNextOffline() {
+  const saved = window._offline ? await window._offline.list().catch(() => []) : [];
+  const excludeIds = getExclusionSet();
+  const wanted = saved.filter(t => !isUnwanted(t.song || t));
+  let pool = wanted.filter(t => !excludeIds.has(t.id));
+  if (!pool.length) pool = wanted.filter(t => t.id !== lastPlayedSongId);
+  if (!pool.length) return false;
+
+  const pick = pool[Math.floor(Math.random() * pool.length)];
+  console.log('📴 Offline: playing saved song →', pick.id);
+  noteAutoplayReason(pick.id, 'offline', 'Offline: random song saved on this device');
+  await playSong(pick.id, { fromAutoplay: true });
+  return true;
+}
+
+// Manual queue first, then suggestion autoplay
+async function playNext() {
+  if (manualQueue.length) {
+    const nextId = manualQueue.shift();
+    notifyQueueChange();
+    console.log('▶️ Playing from queue →', nextId);
+    await playSong(nextId, { fromQueue: true });
+    return;
+  }
+  if (navigator.onLine === false && (await playNextOffline())) return;
+  await playNextFromSuggestions();
+}
+
+// Replace the queue with a list of songs and start playing the first one
+async function playAll(songIds) {
+  if (!songIds || !songIds.length) return;
+  manualQueue.splice(0, manualQueue.length, ...songIds.slice(1));
+  notifyQueueChange();
+  await playSong(songIds[0]);
+}
+
 // -------------------- onEnded handler --------------------
 async function onEnded() {
   try {
     console.log('🎵 Song ended.');
+    finishPlayRecord({ ended: true });
 
     if (window.ZY_SETTINGS && window.ZY_SETTINGS.autoplay === false) {
       console.log('🔕 Autoplay disabled in settings; stopping after this track.');
       return;
     }
 
-    await playNextFromSuggestions();
+    await playNext();
   } catch (err) {
     console.error('❌ Autoplay failed:', err);
   }
 }
 
+// -------------------- Resume (last song + position) --------------------
+// Persisted so the "Resume" app shortcut works after the app was closed, and
+// announced as zy:resumestate so app.js can sync it to other devices
+const LAST_PLAYED_KEY = 'zylaeLastPlayed';
+let lastPlayedSavedAt = 0;
+
+function saveLastPlayed() {
+  if (!lastPlayedSongId || !audio) return;
+  lastPlayedSavedAt = Date.now();
+  const state = {
+    id: lastPlayedSongId,
+    position: Math.floor(audio.currentTime || 0),
+    duration: Number.isFinite(audio.duration) ? Math.round(audio.duration) : 0,
+    paused: !!audio.paused,
+    queue: [...manualQueue],
+    savedAt: lastPlayedSavedAt
+  };
+  try {
+    localStorage.setItem(userStorageKey(LAST_PLAYED_KEY), JSON.stringify(state));
+  } catch (err) {
+    console.warn('Could not save last played song:', err);
+  }
+  document.dispatchEvent(new CustomEvent('zy:resumestate', { detail: state }));
+}
+
+function getResumeState() {
+  try {
+    return JSON.parse(localStorage.getItem(userStorageKey(LAST_PLAYED_KEY)) || 'null');
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Play the last song from where it was left, with the Up Next queue it had;
+ * `state` (same shape as getResumeState()) may come from another device.
+ * False when there's nothing to resume.
+ */
+async function resumeLastPlayed(state = getResumeState()) {
+  if (!state || !state.id) return false;
+  if (Array.isArray(state.queue)) {
+    manualQueue.splice(0, manualQueue.length, ...state.queue);
+    notifyQueueChange();
+  }
+  await playSong(state.id, { startAt: state.position || 0 });
+  return true;
+}
+
+// -------------------- Listening history (server) --------------------
+// A play counts as completed when it got this close to the end
+const COMPLETION_MARGIN_SECONDS = 10;
+// Shorter plays (misclicks, quick skips through a list) aren't recorded
+const MIN_RECORDED_SECONDS = 2;
+
+// The play in progress: { songId, song, source, playedAt, listened, position, furthest, duration, disliked }
+let currentPlay = null;
+
+function startPlayRecord(song, source) {
+  finishPlayRecord();
+  currentPlay = {
+    songId: song.id,
+    song,
+    source,
+    playedAt: new Date().toISOString(),
+    listened: 0,
+    position: null,
+    furthest: 0,
+    duration: 0,
+    disliked: false
+  };
+}
+
+// Count only time actually heard: seeks jump the position, playback doesn't
+function trackListening() {
+  if (!currentPlay || !audio) return;
+  const position = audio.currentTime;
+  if (currentPlay.position !== null) {
+    const delta = position - currentPlay.position;
+    if (delta > 0 && delta < 3) currentPlay.listened += delta;
+  }
+  currentPlay.position = position;
+  currentPlay.furthest = Math.max(currentPlay.furthest, position);
+  if (Number.isFinite(audio.duration)) currentPlay.duration = audio.duration;
+}
+
+/**
+ * Send the play to the server; `ended` when it played out (or crossfaded out).
+ * Moving on early counts as a skip, unless the page is `closing` or the
+ * song was disliked (see moveOnFromDisliked()).
+ */
+function finishPlayRecord({ ended = false, closing = false } = {}) {
+  const play = currentPlay;
+  currentPlay = null;
+  if (!play) return;
+
+  const duration = Number(play.song.duration) || play.duration;
+  const completed = ended || (duration > 0 && play.furthest >= duration - COMPLETION_MARGIN_SECONDS);
+  if (!completed && !closing && !play.disliked && play.listened < skipThreshold()) recordSkip(play.song);
+  if (!completed && play.listened < MIN_RECORDED_SECONDS) return;
+
+  fetch('/api/history', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    // Still delivered when this runs on page close
+    keepalive: true,
+    body: JSON.stringify({
+      songId: play.songId,
+      song: play.song,
+      playedAt: play.playedAt,
+      listenedSeconds: play.listened,
+      durationSeconds: duration,
+      completed,
+      source: play.source
+    })
+  })
+    .then(res => {
+      if (res.ok) document.dispatchEvent(new CustomEvent('zy:historychange'));
+    })
+    .catch(err => console.warn('Could not record play:', err));
+}
+
+// -------------------- Feedback (likes, dislikes, skips) --------------------
+// Leaving a song before this many seconds counts as a skip (Settings > Playback)
+const DEFAULT_SKIP_THRESHOLD = 30;
+// Songs skipped this often are left out of autoplay, unless liked
+const MAX_SKIPS = 3;
+
+// From /api/feedback: { songs: { id: { rating, skips } }, artists: { id: { rating, name } },
+// likedArtists: { artistId: liked songs by them } }
+let feedback = { songs: {}, artists: {}, likedArtists: {} };
+
+function notifyFeedbackChange() {
+  document.dispatchEvent(new CustomEvent('zy:feedbackchange'));
+}
+
+async function loadFeedback() {
+  try {
+    const res = await fetch('/api/feedback');
+    const json = await res.json();
+    if (!json.success) throw new Error(json.message);
+    feedback = json.data;
+    notifyFeedbackChange();
+  } catch (err) {
+    console.warn('Could not load feedback:', err);
+  }
+}
+
+function skipThreshold() {
+  const seconds = Number(window.ZY_SETTINGS?.skipThreshold);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_SKIP_THRESHOLD;
+}
+
+function isArtistDisliked(song) {
+  return (song?.artists?.primary || []).some(a => feedback.artists[a.id]?.rating === 'dislike');
+}
+
+// For ids only: the artists are known once the song is in songCache
+function isDisliked(songId) {
+  return feedback.songs[songId]?.rating === 'dislike' || isArtistDisliked(songCache.get(songId));
+}
+
+// Disliked, by a disliked artist, or skipped too often
+function isUnwanted(song) {
+  const entry = feedback.songs[song.id];
+  if (entry?.rating === 'dislike') return true;
+  if (entry?.rating !== 'like' && (entry?.skips || 0) >= MAX_SKIPS) return true;
+  return isArtistDisliked(song);
+}
+
+// Liked songs and artists push a candidate up, every skip halves its score
+function feedbackScore(song) {
+  const entry = feedback.songs[song.id];
+  const likedByArtist = Math.max(0, ...(song.artists?.primary || []).map(a => feedback.likedArtists[a.id] || 0));
+  const liked = entry?.rating === 'like' ? 1.5 : 1;
+  return liked * (1 + 0.25 * Math.min(likedByArtist, 4)) * 0.5 ** (entry?.skips || 0);
+}
+
+function feedbackNote(song) {
+  const notes = [];
+  const entry = feedback.songs[song.id];
+  if (entry?.rating === 'like') notes.push('boosted: you liked it');
+  const artist = (song.artists?.primary || []).find(a => feedback.likedArtists[a.id]);
+  if (artist) {
+    const count = feedback.likedArtists[artist.id];
+    notes.push(`boosted: you liked ${count} song${count === 1 ? '' : 's'} by ${decodeHtmlEntities(artist.name || '')}`);
+  }
+  if (entry?.skips) notes.push(`downweighted: skipped ${entry.skips} time${entry.skips === 1 ? '' : 's'}`);
+  return notes.join('; ');
+}
+
+// A strategy's candidates without unwanted songs, best feedback first (ties keep their order)
+function rankByFeedback(candidates) {
+  return candidates
+    .filter(c => c?.song?.id && !isUnwanted(c.song))
+    .map((c, i) => ({ c, i, score: feedbackScore(c.song) }))
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map(({ c }) => {
+      const note = feedbackNote(c.song);
+      return note ? { ...c, reason: `${c.reason} (${note})` } : c;
+    });
+}
+
+function recordSkip(song) {
+  const entry = feedback.songs[song.id] || (feedback.songs[song.id] = { rating: null, skips: 0 });
+  entry.skips += 1;
+  console.log(`⏭️ Skip recorded for ${song.id} (${entry.skips} total)`);
+
+  fetch(`/api/feedback/songs/${encodeURIComponent(song.id)}/skips`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    keepalive: true,
+    body: JSON.stringify({ song })
+  }).catch(err => console.warn('Could not record skip:', err));
+  notifyFeedbackChange();
+}
+
+// Leave a song because it (or its artist) was just disliked; the dislike
+// already says what a skip would, so the play isn't counted as one too
+function moveOnFromDisliked() {
+  if (currentPlay) currentPlay.disliked = true;
+  return playNext();
+}
+
+/**
+ * Like, dislike or (with null) clear the rating of a song. Disliking the
+ * song that's playing moves on to the next one.
+ */
+async function setSongRating(id, rating, song = songCache.get(id)) {
+  const entry = feedback.songs[id] || (feedback.songs[id] = { rating: null, skips: 0 });
+  entry.rating = rating;
+  notifyFeedbackChange();
+  if (rating === 'dislike' && id === lastPlayedSongId) moveOnFromDisliked();
+
+  try {
+    const res = await fetch(`/api/feedback/songs/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rating, song })
+    });
+    const json = await res.json();
+    if (!json.success) throw new Error(json.message);
+  } catch (err) {
+    console.error('Could not save rating:', err);
+  }
+  // Liked-artist counts come from the server
+  await loadFeedback();
+}
+
+/**
+ * Hide (rating 'dislike') or show again (null) an artist. Autoplay is rebuilt
+ * without them; if they're on the song that's playing, it moves on.
+ */
+async function setArtistRating(artistId, rating, name = '') {
+  if (rating) {
+    feedback.artists[artistId] = { rating, name };
+  } else {
+    delete feedback.artists[artistId];
+  }
+  notifyFeedbackChange();
+  // Queued picks may be by them; playNext() waits for the rebuilt queue
+  refreshAutoplayQueue();
+  if (rating === 'dislike' && isArtistDisliked(songCache.get(lastPlayedSongId))) moveOnFromDisliked();
+
+  try {
+    const res = await fetch(`/api/feedback/artists/${encodeURIComponent(artistId)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rating, name })
+    });
+    const json = await res.json();
+    if (!json.success) throw new Error(json.message);
+  } catch (err) {
+    console.error('Could not save artist rating:', err);
+    await loadFeedback();
+  }
+}
+
+// -------------------- Loudness normalization --------------------
+// Promise of the gain (dB) per "<id>@<target LUFS>"; the server measures
+// each song once and remembers it
+const trackGainCache = new Map();
+// URL of the song currently loaded, to match late gain results
+let currentTrackUrl = null;
+
+function fetchTrackGain(id) {
+  const { normalizeVolume, loudnessTarget = -14 } = window.ZY_SETTINGS || {};
+  if (!normalizeVolume) return Promise.resolve(0);
+
+  const key = `${id}@${loudnessTarget}`;
+  if (!trackGainCache.has(key)) {
+    const url = `/api/songs/${encodeURIComponent(id)}/loudness?target=${encodeURIComponent(loudnessTarget)}`;
+    const promise = fetch(url)
+      .then(res => res.json())
+      .then(json => {
+        if (!json.success) throw new Error(json.message || 'Loudness unavailable');
+        return json.data.gainDb;
+      })
+      .catch(err => {
+        // Not cached, so the next play asks again
+        trackGainCache.delete(key);
+        console.warn('Loudness unavailable for', id, err.message);
+        return 0;
+      });
+    trackGainCache.set(key, promise);
+  }
+  return trackGainCache.get(key);
+}
+
+// Gain arrives asynchronously; the engine drops it if `url` was unloaded by then
+function applyTrackGain(id, url) {
+  fetchTrackGain(id).then(db => audio?.setTrackGain(url, db));
+}
+
+// Re-apply after the normalization settings change
+function refreshLoudness() {
+  if (lastPlayedSongId && currentTrackUrl) applyTrackGain(lastPlayedSongId, currentTrackUrl);
+  if (preparedNext) applyTrackGain(preparedNext.id, preparedNext.url);
+}
+
+// -------------------- Next track preloading (crossfade / gapless) --------------------
+// The engine loads the upcoming track on its spare deck before the current
+// one ends; this part decides which song that is and keeps it current.
+const PRELOAD_AHEAD_SECONDS = 20;
+const MAX_CROSSFADE_SECONDS = 12;
+
+// { id, source: 'queue' | 'suggestions', index, song, url } handed to the engine
+let preparedNext = null;
+let preparingNext = false;
+
+// What playNext() will pick, without consuming it; null when it can't be known yet
+function peekNext() {
+  if (window.ZY_SETTINGS && window.ZY_SETTINGS.autoplay === false) return null;
+  if (manualQueue.length) return { id: manualQueue[0], source: 'queue' };
+  // Offline picks are random, nothing to prepare
+  if (navigator.onLine === false) return null;
+
+  for (let i = suggestionState.index + 1; i < suggestionState.queue.length; i++) {
+    const id = suggestionState.queue[i];
+    if (canPlaySong(id, { quiet: true })) return { id, source: 'suggestions', index: i };
+  }
+  return null;
+}
+
+// Crossfade length between two songs; album runs stay gapless unless disabled
+function crossfadeFor(current, next) {
+  const settings = window.ZY_SETTINGS || {};
+  const albumId = current?.album?.id;
+  if (albumId && albumId === next?.album?.id && settings.gaplessAlbums !== false) return 0;
+  return Math.max(0, Math.min(MAX_CROSSFADE_SECONDS, Number(settings.crossfade) || 0));
+}
+
+function clearPreparedNext() {
+  preparedNext = null;
+  audio?.clearNext();
+}
+
+async function prepareNext() {
+  if (!audio || preparingNext) return;
+
+  const next = peekNext();
+  if (!next) {
+    clearPreparedNext();
+    return;
+  }
+
+  const current = songCache.get(lastPlayedSongId);
+  if (preparedNext && preparedNext.id === next.id && preparedNext.source === next.source) {
+    // Same song; settings may have changed
+    preparedNext.index = next.index;
+    audio.prepareNext(preparedNext.url, { fade: crossfadeFor(current, preparedNext.song) });
+    applyTrackGain(preparedNext.id, preparedNext.url);
+    return;
+  }
+
+  preparingNext = true;
+  try {
+    const track = await resolveTrack(next.id);
+    const still = peekNext();
+    if (!still || still.id !== next.id) {
+      // Queue moved on while loading; the next check picks the new song
+      if (track.url.startsWith('blob:')) URL.revokeObjectURL(track.url);
+      return;
+    }
+
+    preparedNext = { ...still, song: track.song, url: track.url };
+    audio.prepareNext(track.url, { fade: crossfadeFor(current, track.song) });
+    applyTrackGain(next.id, track.url);
+    console.log('⏩ Prepared next track →', next.id);
+  } catch (err) {
+    console.warn('Could not prepare next track:', err);
+  } finally {
+    preparingNext = false;
+  }
+}
+
+// Called on timeupdate: prepare once the end of the song is in sight
+function maybePrepareNext() {
+  if (preparingNext || !audio || audio.paused) return;
+  if (preparedNext && audio.getNext()?.url === preparedNext.url) return;
+  const remaining = audio.duration - audio.currentTime;
+  const fade = Number(window.ZY_SETTINGS?.crossfade) || 0;
+  if (Number.isFinite(remaining) && remaining <= PRELOAD_AHEAD_SECONDS + fade) {
+    prepareNext();
+  }
+}
+
+// Re-check a prepared track after queue or settings changes
+function refreshNext() {
+  if (preparedNext) prepareNext();
+}
+
+// The engine started the prepared track; consume it like playNext() would
+function onEngineAdvance() {
+  // The outgoing song played out; close it before the new one's timeupdates
+  finishPlayRecord({ ended: true });
+
+  const next = preparedNext;
+  preparedNext = null;
+  if (!next) return;
+
+  if (next.source === 'queue') {
+    manualQueue.shift();
+  } else {
+    suggestionState.index = next.index;
+    suggestionState.baseSongId =
+      suggestionState.queue[suggestionState.queue.length - 1] || next.id;
+  }
+  notifyQueueChange();
+
+  console.log('⏩ Transitioned to prepared track →', next.id);
+  playSong(next.id, {
+    fromQueue: next.source === 'queue',
+    fromAutoplay: next.source === 'suggestions',
+    preloaded: true
+  });
+}
+
+// Veto the handover if what's next changed since it was prepared
+function onEngineBeforeAdvance(event) {
+  const next = peekNext();
+  if (!preparedNext || !next || next.id !== preparedNext.id || event.detail.url !== preparedNext.url) {
+    preparedNext = null;
+    event.preventDefault();
+  }
+}
+
 // -------------------- Play song (core) --------------------
+// Metadata and a playable URL; a saved-for-offline copy wins over streaming
+async function resolveTrack(id) {
+  const offline = window._offline ? await window._offline.get(id).catch(() => null) : null;
+
+  let s = songCache.get(id) || offline?.song;
+  if (!s) {
+    const res = await fetch(`/api/songs/${id}`);
+    const json = await res.json();
+    s = json.data?.[0];
+    if (!s) throw new Error('Song metadata not found');
+    songCache.set(id, s);
+  }
+
+  let url;
+  if (offline) {
+    // Revoked by the engine once it's done with it
+    url = URL.createObjectURL(offline.blob);
+  } else if (window.ZY_SETTINGS?.streamViaServer) {
+    // Relayed (and cached when hot) by the server; works where the CDN is blocked
+    const desiredQuality = window.ZY_SETTINGS.bitrate || '320kbps';
+    url = `/api/stream/${encodeURIComponent(id)}?quality=${encodeURIComponent(desiredQuality)}`;
+  } else {
+    const desiredQuality = window.ZY_SETTINGS?.bitrate || '320kbps';
+    const urlObj =
+      s.downloadUrl?.find(d => d.quality === desiredQuality) ||
+      s.downloadUrl?.slice(-1)[0];
+    url = urlObj?.url;
+  }
+  if (!url) throw new Error('Audio URL not found');
+
+  return { song: s, url };
+}
+
+/**
+ * Play a song by id. `preloaded` means the engine is already playing it
+ * (crossfade/gapless handover) and only the bookkeeping is left.
+ */
 async function playSong(id, options = {}) {
-  const { fromAutoplay = false, fromHistory = false } = options;
+  const {
+    fromAutoplay = false,
+    fromHistory = false,
+    fromQueue = false,
+    startAt = 0,
+    preloaded = false
+  } = options;
 
   try {
+    finishPlayRecord();
+
     if (!fromHistory && lastPlayedSongId && lastPlayedSongId !== id) {
       addToHistory(lastPlayedSongId);
       clampHistory();
     }
 
-    let s = songCache.get(id);
-    if (!s) {
-      const res = await fetch(`/api/songs/${id}`);
-      const json = await res.json();
-      s = json.data?.[0];
-      if (!s) throw new Error('Song metadata not found');
-      songCache.set(id, s);
-    }
+    // Reuse the prepared track (and its buffered deck) when skipping to it
+    const prepared = !preloaded && preparedNext && preparedNext.id === id ? preparedNext : null;
+    preparedNext = null;
+    const { song: s, url } = prepared || (await resolveTrack(id));
 
     lastPlayedSongId = id;
+    currentTrackUrl = url;
+
+    // Queued songs keep the current suggestions until the queue runs dry,
+    // then autoplay continues from the last queued song.
+    const reseedSuggestions =
+      !fromAutoplay && !fromHistory && (!fromQueue || !manualQueue.length);
 
-    if (!fromAutoplay && !fromHistory) {
+    if (reseedSuggestions) {
       suggestionState.baseSongId = id;
       suggestionState.queue = [];
       suggestionState.index = -1;
+      notifyQueueChange();
 
-      prefetchSuggestionsFor(id).catch(err =>
-        console.warn('Failed to prefetch suggestions:', err)
-      );
+      refillAutoplayQueue(id);
     }
 
-    const lang = (s.language || '').toLowerCase();
-    if (lang === 'hindi') hindiPlayCount++;
-    else hindiPlayCount = 0;
-
-    if (lang === 'telugu') teluguPlayCount++;
-    else teluguPlayCount = 0;
-
-    if (lang === 'marathi') marathiPlayCount++;
-    else marathiPlayCount = 0;
+    noteLanguagePlayed(languageRun, s.language);
+    if (fromAutoplay) logAutoplayPick(id, s);
 
     console.log('Song Data:', s);
     if (ANTI_REPEAT_CONFIG.debugLogging) {
       console.log(`🎵 Playing: ${s.name} (${s.language} ${s.year}) - ID: ${id}`);
     }
 
-    const desiredQuality = window.ZY_SETTINGS?.bitrate || '320kbps';
-    const urlObj =
-      s.downloadUrl?.find(d => d.quality === desiredQuality) ||
-      s.downloadUrl?.slice(-1)[0];
-
-    const url = urlObj?.url;
-    if (!url) throw new Error('Audio URL not found');
+    startPlayRecord(
+      s,
+      fromHistory ? 'history' : fromQueue ? 'queue' : fromAutoplay ? 'autoplay' : 'manual'
+    );
 
-    audio.src = url;
-    try {
-      await audio.play();
-    } catch (err) {
-      if (err.name !== 'AbortError') console.error('Play failed:', err);
+    if (!preloaded) {
+      audio.loadTrack(url, { startAt });
+      applyTrackGain(id, url);
+      try {
+        await audio.play();
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Play failed:', err);
+      }
     }
 
     updateNowPlayingUI(s);
+    saveLastPlayed();
+    document.dispatchEvent(new CustomEvent('zy:trackchange', { detail: { id } }));
   } catch (err) {
     console.error('❌ Failed to load song:', err);
   }
 }
 
+// Artist names as links; app.js opens the artist page on click
+function renderArtistLinks(container, artists) {
+  container.innerHTML = '';
+  artists.forEach((artist, idx) => {
+    if (idx > 0) container.appendChild(document.createTextNode(', '));
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = 'artist-link';
+    link.textContent = artist.name;
+    if (artist.id) link.dataset.artistId = artist.id;
+    container.appendChild(link);
+  });
+}
+
 // Highest quality thumbnail for bar image
 function updateNowPlayingUI(s) {
-  const primaryArtistNames = (s.artists?.primary || []).map(artist => artist.name);
-  const featuredArtistNames = (s.artists?.featured || []).map(artist => artist.name);
-  const allArtistsOrdered = [...primaryArtistNames, ...featuredArtistNames];
+  const orderedArtists = [...(s.artists?.primary || []), ...(s.artists?.featured || [])];
+  const allArtistsOrdered = orderedArtists.map(artist => artist.name);
 
   const images = Array.isArray(s.image) ? s.image : [];
   const art = images.length ? images[images.length - 1].url : '';
 
   document.getElementById('np-art').src = art;
   document.getElementById('np-title').textContent = decodeHtmlEntities(s.name || '');
-  document.getElementById('np-artist').textContent = allArtistsOrdered.join(', ');
+  renderArtistLinks(document.getElementById('np-artist'), orderedArtists);
   document.getElementById('now-playing-bar').classList.remove('hidden');
 
   // 🟢 Media Session API: notification/lockscreen info + controls
@@ -651,7 +1434,7 @@ function updateNowPlayingUI(s) {
       }
     });
     navigator.mediaSession.setActionHandler('nexttrack', () => {
-      playNextFromSuggestions().catch(err => {
+      playNext().catch(err => {
         console.error('MediaSession nexttrack failed:', err);
       });
     });
@@ -687,22 +1470,42 @@ function updateNowPlayingUI(s) {
 }
 
 function resetLanguageCounts() {
-  hindiPlayCount = teluguPlayCount = marathiPlayCount = 0;
+  languageRun.language = '';
+  languageRun.count = 0;
 }
 
 // -------------------- DOM Ready wiring --------------------
 document.addEventListener('DOMContentLoaded', async () => {
-  audio = document.getElementById('audio-player');
+  audio = window._engine;
 
   recommender.init();
-
-  if (audio) audio.addEventListener('ended', onEnded);
+  loadServerHistory();
+  loadFeedback();
+
+  if (audio) {
+    audio.addEventListener('ended', onEnded);
+    audio.addEventListener('timeupdate', trackListening);
+    window.addEventListener('pagehide', () => finishPlayRecord({ closing: true }));
+    audio.addEventListener('timeupdate', maybePrepareNext);
+    audio.addEventListener('beforeadvance', onEngineBeforeAdvance);
+    audio.addEventListener('advance', onEngineAdvance);
+    // Deferred so playNext()/playSong() can claim the prepared track first
+    document.addEventListener('zy:queuechange', () => setTimeout(refreshNext, 0));
+    // Position for resume, at most every 5s
+    audio.addEventListener('timeupdate', () => {
+      if (Date.now() - lastPlayedSavedAt > 5000) saveLastPlayed();
+    });
+    audio.addEventListener('pause', saveLastPlayed);
+    audio.addEventListener('play', saveLastPlayed);
+    document.addEventListener('zy:queuechange', saveLastPlayed);
+    window.addEventListener('pagehide', saveLastPlayed);
+  }
 
   const nextBtn = document.getElementById('np-next');
   if (nextBtn)
     nextBtn.addEventListener('click', async () => {
       try {
-        await playNextFromSuggestions();
+        await playNext();
       } catch (err) {
         console.error('⏭️ Next button failed:', err);
         audio.dispatchEvent(new Event('ended'));
@@ -725,9 +1528,31 @@ document.addEventListener('DOMContentLoaded', async () => {
 // -------------------- Export for debugging --------------------
 window._player = {
   playSong,
+  playNext,
+  playAll,
+  addToQueue,
+  playNextInQueue,
+  removeFromQueue,
+  moveInQueue,
+  clearQueue,
+  getQueue,
   onEnded,
   recommender,
   songCache,
   previouslyPlayed,
-  getLastPlayed: () => lastPlayedSongId
+  getLastPlayed: () => lastPlayedSongId,
+  getResumeState,
+  resumeLastPlayed,
+  refreshNext,
+  refreshLoudness,
+  registerStrategy,
+  getAutoplayStrategies: () =>
+    [...autoplayStrategies.values()].map(({ name, label }) => ({ name, label })),
+  autoplayDefaults: AUTOPLAY_DEFAULTS,
+  refreshAutoplayQueue,
+  getAutoplayReason: id => autoplayReasons.get(id) || null,
+  getAutoplayLog: () => autoplayLog.slice(),
+  getFeedback: () => feedback,
+  setSongRating,
+  setArtistRating
 };
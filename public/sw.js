@@ -0,0 +1,102 @@
+// public/sw.js
+// Service worker: keeps the app shell available offline.
+// Audio for offline playback lives in IndexedDB (see offline.js), not here.
+
+const CACHE_VERSION = 'v11';
+const SHELL_CACHE = `zylae-shell-${CACHE_VERSION}`;
+const CDN_CACHE = `zylae-cdn-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/styles.css',
+  '/offline.js',
+  '/engine.js',
+  '/player.js',
+  '/app.js',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png'
+];
+
+// Fonts, icons and TF.js used by index.html
+const CDN_HOSTS = [
+  'fonts.googleapis.com',
+  'fonts.gstatic.com',
+  'cdnjs.cloudflare.com',
+  'cdn.jsdelivr.net'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys =>
+        Promise.all(
+          keys
+            .filter(key => key.startsWith('zylae-') && ![SHELL_CACHE, CDN_CACHE].includes(key))
+            .map(key => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first so deploys show up right away; cache when offline
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = (await cache.match(request)) || (fallbackUrl && (await cache.match(fallbackUrl)));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Versioned CDN assets don't change, so serve them from cache when we can
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque (no-cors) responses report status 0 but are still usable
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    // API calls, downloads and SSE always go to the network
+    if (url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+      // SPA: every page is the same shell
+      event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+    } else {
+      event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+    return;
+  }
+
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, CDN_CACHE));
+  }
+});
@@ -0,0 +1,105 @@
+// routes/admin.js
+const crypto = require('crypto');
+const express = require('express');
+const asyncRoute = require('../lib/asyncRoute');
+
+/**
+ * Maintenance routes, mounted at /api/admin. Requests need either
+ * `Authorization: Bearer <adminToken>` or a signed-in admin account (with
+ * `authEnabled`); with neither configured the whole router answers 403.
+ *
+ * Embedding routes act on the caller's own data, or on another account's
+ * with ?user=<id>. The ADMIN_TOKEN alone means the single-user data.
+ */
+function createAdminRouter({ adminToken, authEnabled, users, userData }) {
+  const router = express.Router();
+
+  function badRequest(res, message) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  function notFound(res) {
+    return res.status(404).json({ success: false, message: 'User not found' });
+  }
+
+  function tokenMatches(header) {
+    if (!adminToken) return false;
+    const given = Buffer.from(String(header || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(adminToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  router.use((req, res, next) => {
+    if (!adminToken && !authEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin API is disabled. Set ADMIN_TOKEN or AUTH_ENABLED to enable it.'
+      });
+    }
+    if (authEnabled && req.user?.role === 'admin') return next();
+    if (tokenMatches(req.get('authorization'))) return next();
+    if (req.user) return res.status(403).json({ success: false, message: 'Admins only' });
+    return res.status(401).json({ success: false, message: 'Invalid admin token' });
+  });
+
+  // The embedding builder for ?user=, the caller, or the single-user data
+  async function embeddingsFor(req) {
+    const userId = typeof req.query.user === 'string' ? req.query.user : null;
+    if (userId) return authEnabled && (await users.get(userId)) ? userData.for(userId).embeddings : null;
+    return userData.for(authEnabled ? req.user : null).embeddings;
+  }
+
+  router.get('/embeddings', asyncRoute(async (req, res) => {
+    const embeddings = await embeddingsFor(req);
+    if (!embeddings) return notFound(res);
+    res.json({ success: true, data: embeddings.status() });
+  }));
+
+  // { full: true } re-reads the whole history instead of only new plays
+  router.post('/embeddings/rebuild', asyncRoute(async (req, res) => {
+    const embeddings = await embeddingsFor(req);
+    if (!embeddings) return notFound(res);
+    const build = await embeddings.build({ full: req.body?.full === true });
+    res.json({ success: true, data: build });
+  }));
+
+  // Account management, only with accounts enabled
+  router.use('/users', (req, res, next) => {
+    if (authEnabled) return next();
+    res.status(404).json({ success: false, message: 'Accounts are not enabled on this server' });
+  });
+
+  router.get('/users', asyncRoute(async (req, res) => {
+    res.json({ success: true, data: await users.list() });
+  }));
+
+  // { username, password, role? }
+  router.post('/users', asyncRoute(async (req, res) => {
+    const { username, password, role } = req.body || {};
+    const user = await users.create({ username, password, role });
+    res.status(201).json({ success: true, data: user });
+  }));
+
+  // { role?, password? }: change a role or reset a password
+  router.put('/users/:id', asyncRoute(async (req, res) => {
+    const { role, password } = req.body || {};
+    if (role === undefined && password === undefined) return badRequest(res, 'role or password is required');
+    if (!(await users.get(req.params.id))) return notFound(res);
+    if (password !== undefined) await users.setPassword(req.params.id, password);
+    if (role !== undefined) await users.setRole(req.params.id, role);
+    res.json({ success: true, data: await users.get(req.params.id) });
+  }));
+
+  // Deletes the account along with its history, playlists and likes
+  router.delete('/users/:id', asyncRoute(async (req, res) => {
+    if (req.params.id === req.user?.id) return badRequest(res, 'You cannot delete your own account');
+    const removed = await users.remove(req.params.id);
+    if (!removed) return notFound(res);
+    await userData.remove(req.params.id);
+    res.json({ success: true });
+  }));
+
+  return router;
+}
+
+module.exports = createAdminRouter;
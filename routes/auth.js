@@ -0,0 +1,113 @@
+// routes/auth.js
+const express = require('express');
+const asyncRoute = require('../lib/asyncRoute');
+const { SESSION_COOKIE, requireUser, sessionCookieOptions } = require('../lib/auth');
+
+/**
+ * Account routes, mounted at /api/auth.
+ *
+ * With `enabled` false (AUTH_ENABLED unset) only GET /me answers, so the
+ * SPA knows to skip the login screen. Otherwise anyone may sign up while
+ * there are no accounts yet (that first account is the admin and inherits
+ * the single-user data); after that only with `allowSignup`.
+ */
+function createAuthRouter({ enabled, users, userData, allowSignup, sessionTtlMs, loginLimit }) {
+  const router = express.Router();
+
+  function badRequest(res, message) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  async function signupOpen() {
+    return allowSignup || (await users.count()) === 0;
+  }
+
+  async function startSession(req, res, user) {
+    const { token, expiresAt } = await users.createSession(user.id, sessionTtlMs);
+    res.cookie(SESSION_COOKIE, token, sessionCookieOptions(req, expiresAt));
+    return expiresAt;
+  }
+
+  // { authEnabled, signupOpen, user } (user is null when signed out)
+  router.get('/me', asyncRoute(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        authEnabled: enabled,
+        signupOpen: enabled && (await signupOpen()),
+        user: req.user || null
+      }
+    });
+  }));
+
+  router.use((req, res, next) => {
+    if (enabled) return next();
+    res.status(404).json({ success: false, message: 'Accounts are not enabled on this server' });
+  });
+
+  function signupClosed(res) {
+    return res.status(403).json({ success: false, message: 'Sign-ups are closed. Ask an admin for an account.' });
+  }
+
+  // { username, password } -> the new user, signed in
+  router.post('/register', loginLimit, asyncRoute(async (req, res) => {
+    if (!(await signupOpen())) return signupClosed(res);
+    // The store decides again, atomically, whether this is the first account
+    const registered = await users.register({
+      username: req.body?.username,
+      password: req.body?.password,
+      open: allowSignup
+    });
+    if (!registered) return signupClosed(res);
+    const { user, first } = registered;
+    if (first) await userData.adopt(user.id);
+    const expiresAt = await startSession(req, res, user);
+    res.status(201).json({ success: true, data: { user, expiresAt } });
+  }));
+
+  // { username, password } -> the user, with a session cookie
+  router.post('/login', loginLimit, asyncRoute(async (req, res) => {
+    const user = await users.verify(req.body?.username, req.body?.password);
+    if (!user) return res.status(401).json({ success: false, message: 'Wrong username or password' });
+    const expiresAt = await startSession(req, res, user);
+    res.json({ success: true, data: { user, expiresAt } });
+  }));
+
+  router.post('/logout', asyncRoute(async (req, res) => {
+    if (req.sessionToken) await users.deleteSession(req.sessionToken);
+    res.clearCookie(SESSION_COOKIE, { ...sessionCookieOptions(req), expires: undefined });
+    res.json({ success: true });
+  }));
+
+  // { currentPassword, newPassword }; signs out every other device
+  router.put('/password', requireUser, loginLimit, asyncRoute(async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!(await users.verify(req.user.username, currentPassword))) {
+      return badRequest(res, 'Current password is wrong');
+    }
+    await users.setPassword(req.user.id, newPassword);
+    if (req.sessionToken) await startSession(req, res, req.user);
+    res.json({ success: true });
+  }));
+
+  // API tokens, for scripts calling the API with "Authorization: Bearer <token>"
+  router.get('/tokens', requireUser, asyncRoute(async (req, res) => {
+    res.json({ success: true, data: await users.listApiTokens(req.user.id) });
+  }));
+
+  // { name } -> the token; it's only ever shown in this response
+  router.post('/tokens', requireUser, asyncRoute(async (req, res) => {
+    const token = await users.createApiToken(req.user.id, req.body?.name);
+    res.status(201).json({ success: true, data: token });
+  }));
+
+  router.delete('/tokens/:id', requireUser, asyncRoute(async (req, res) => {
+    const removed = await users.deleteApiToken(req.user.id, req.params.id);
+    if (!removed) return res.status(404).json({ success: false, message: 'Token not found' });
+    res.json({ success: true });
+  }));
+
+  return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,71 @@
+// routes/feedback.js
+const express = require('express');
+const asyncRoute = require('../lib/asyncRoute');
+const { SONG_RATINGS, ARTIST_RATINGS } = require('../lib/feedbackStore');
+
+// Ids become object keys in the store; these name Object.prototype machinery
+const RESERVED_IDS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Like / dislike / skip feedback routes, mounted at /api/feedback.
+ * `storeFor(req)` picks the FeedbackStore of the signed-in user.
+ */
+function createFeedbackRouter(storeFor) {
+  const router = express.Router();
+
+  function badRequest(res, message) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  // null clears a rating; anything else must be one of `allowed`
+  function readRating(body, allowed) {
+    const rating = body?.rating ?? null;
+    return rating === null || allowed.includes(rating) ? { rating } : null;
+  }
+
+  router.param('id', (req, res, next, id) => {
+    if (RESERVED_IDS.includes(id)) return badRequest(res, 'Invalid id');
+    next();
+  });
+
+  // { songs, artists, likedArtists } for the player
+  router.get('/', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    res.json({ success: true, data: await store.summary() });
+  }));
+
+  // Liked songs, most recently liked first
+  router.get('/liked', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    res.json({ success: true, data: await store.liked() });
+  }));
+
+  // { rating: 'like' | 'dislike' | null, song }
+  router.put('/songs/:id', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const parsed = readRating(req.body, SONG_RATINGS);
+    if (!parsed) return badRequest(res, `rating must be one of ${SONG_RATINGS.join(', ')} or null`);
+    const entry = await store.rateSong(req.params.id, parsed.rating, req.body?.song);
+    res.json({ success: true, data: entry });
+  }));
+
+  // { song } - the song was skipped early
+  router.post('/songs/:id/skips', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const entry = await store.addSkip(req.params.id, req.body?.song);
+    res.status(201).json({ success: true, data: { skips: entry.skips } });
+  }));
+
+  // { rating: 'dislike' | null, name }
+  router.put('/artists/:id', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const parsed = readRating(req.body, ARTIST_RATINGS);
+    if (!parsed) return badRequest(res, `rating must be one of ${ARTIST_RATINGS.join(', ')} or null`);
+    const entry = await store.rateArtist(req.params.id, parsed.rating, req.body?.name);
+    res.json({ success: true, data: entry });
+  }));
+
+  return router;
+}
+
+module.exports = createFeedbackRouter;
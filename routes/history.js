@@ -0,0 +1,57 @@
+// routes/history.js
+const express = require('express');
+const asyncRoute = require('../lib/asyncRoute');
+
+const MAX_LIMIT = 200;
+
+/**
+ * Listening history routes, mounted at /api/history. `storeFor(req)` picks
+ * the HistoryStore of the signed-in user.
+ */
+function createHistoryRouter(storeFor) {
+  const router = express.Router();
+
+  function badRequest(res, message) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  // ?q=&limit=50&offset=0&unique=1 -> { total, entries } (newest first)
+  router.get('/', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const data = await store.list({
+      query: typeof req.query.q === 'string' ? req.query.q : '',
+      limit,
+      offset,
+      unique: req.query.unique === '1'
+    });
+    res.json({ success: true, data });
+  }));
+
+  // Record a play: { songId, song, playedAt, listenedSeconds, durationSeconds, completed, source }
+  router.post('/', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const songId = req.body?.songId;
+    if (typeof songId !== 'string' || !songId) return badRequest(res, 'songId is required');
+    const entry = await store.add({ ...req.body, songId });
+    res.status(201).json({ success: true, data: entry });
+  }));
+
+  router.delete('/', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const removed = await store.clear();
+    res.json({ success: true, data: { removed } });
+  }));
+
+  router.delete('/:id', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const removed = await store.remove(req.params.id);
+    if (!removed) return res.status(404).json({ success: false, message: 'History entry not found' });
+    res.json({ success: true });
+  }));
+
+  return router;
+}
+
+module.exports = createHistoryRouter;
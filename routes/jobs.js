@@ -0,0 +1,123 @@
+// routes/jobs.js
+const express = require('express');
+const asyncRoute = require('../lib/asyncRoute');
+const { FORMATS, resolveFormat } = require('../lib/transcode');
+
+/**
+ * Background job routes, mounted at /api/jobs.
+ * `describeSong(songId)` resolves to `{ title, artist }` or null when the
+ * song doesn't exist, so bad ids fail up front instead of in the queue.
+ *
+ * Jobs belong to the signed-in user who queued them; other users' jobs are
+ * left out of lists and events and answer 404. Without accounts everyone
+ * sees every job.
+ */
+function createJobsRouter(jobs, { describeSong }) {
+  const router = express.Router();
+
+  function notFound(res) {
+    return res.status(404).json({ success: false, message: 'Job not found' });
+  }
+
+  function badRequest(res, message) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  function ownerOf(req) {
+    return req.user?.id || null;
+  }
+
+  // The job with this id, or null when there's none or it's someone else's
+  function ownJob(req, id) {
+    const job = jobs.get(id);
+    return job && job.owner === ownerOf(req) ? job : null;
+  }
+
+  function ownJobs(req) {
+    return jobs.list().filter(job => job.owner === ownerOf(req));
+  }
+
+  router.get('/', (req, res) => {
+    res.json({ success: true, data: ownJobs(req) });
+  });
+
+  // Queue a single-track download: { songId, quality?, format? }
+  router.post('/download', asyncRoute(async (req, res) => {
+    const songId = req.body?.songId;
+    if (typeof songId !== 'string' || !songId) return badRequest(res, 'songId is required');
+
+    const format = resolveFormat(req.body?.format);
+    if (!format) {
+      return badRequest(res, `Unsupported format. Use one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    const song = await describeSong(songId);
+    if (!song) return res.status(404).json({ success: false, message: 'Song not found' });
+
+    const quality = typeof req.body?.quality === 'string' ? req.body.quality : '320kbps';
+    const job = jobs.add('download', { songId, quality, format: format.name }, song, { owner: ownerOf(req) });
+    res.status(202).json({ success: true, data: job });
+  }));
+
+  /**
+   * Server-sent events: a `snapshot` of the user's jobs on connect, then
+   * `job` (a changed job) and `remove` ({ id }) events.
+   */
+  router.get('/events', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps compression() from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const owner = ownerOf(req);
+    const onUpdate = job => {
+      if (job.owner === owner) send('job', job);
+    };
+    const onRemove = (id, jobOwner) => {
+      if (jobOwner === owner) send('remove', { id });
+    };
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+    send('snapshot', ownJobs(req));
+    jobs.on('update', onUpdate);
+    jobs.on('remove', onRemove);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      jobs.off('update', onUpdate);
+      jobs.off('remove', onRemove);
+    });
+  });
+
+  router.get('/:id', (req, res) => {
+    const job = ownJob(req, req.params.id);
+    if (!job) return notFound(res);
+    res.json({ success: true, data: job });
+  });
+
+  // Manually retry a failed job
+  router.post('/:id/retry', (req, res) => {
+    if (!ownJob(req, req.params.id)) return notFound(res);
+    const job = jobs.retry(req.params.id);
+    if (!job) {
+      return res.status(409).json({ success: false, message: 'Only failed jobs can be retried' });
+    }
+    res.json({ success: true, data: job });
+  });
+
+  // Dismiss a finished job or cancel a queued one
+  router.delete('/:id', (req, res) => {
+    if (!ownJob(req, req.params.id)) return notFound(res);
+    if (jobs.remove(req.params.id)) return res.json({ success: true });
+    return res.status(409).json({ success: false, message: 'Job is running' });
+  });
+
+  return router;
+}
+
+module.exports = createJobsRouter;
@@ -0,0 +1,107 @@
+// routes/playlists.js
+const express = require('express');
+const asyncRoute = require('../lib/asyncRoute');
+
+/**
+ * CRUD routes for user playlists, mounted at /api/playlists. `storeFor(req)`
+ * picks the PlaylistStore of the signed-in user.
+ */
+function createPlaylistsRouter(storeFor) {
+  const router = express.Router();
+
+  function notFound(res) {
+    return res.status(404).json({ success: false, message: 'Playlist not found' });
+  }
+
+  function badRequest(res, message) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  function cleanName(name) {
+    return typeof name === 'string' ? name.trim().slice(0, 100) : '';
+  }
+
+  router.get('/', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    res.json({ success: true, data: await store.list() });
+  }));
+
+  router.post('/', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const name = cleanName(req.body?.name);
+    if (!name) return badRequest(res, 'Playlist name is required');
+    const songs = req.body?.songs;
+    if (songs !== undefined && !Array.isArray(songs)) return badRequest(res, 'songs must be an array');
+    const playlist = await store.create({ name, songs });
+    res.status(201).json({ success: true, data: playlist });
+  }));
+
+  // Reorder playlists: { ids: [...] }
+  router.put('/order', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const ids = req.body?.ids;
+    if (!Array.isArray(ids)) return badRequest(res, 'ids must be an array');
+    res.json({ success: true, data: await store.reorder(ids) });
+  }));
+
+  router.get('/:id', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const playlist = await store.get(req.params.id);
+    if (!playlist) return notFound(res);
+    res.json({ success: true, data: playlist });
+  }));
+
+  // Rename: { name }
+  router.patch('/:id', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const name = cleanName(req.body?.name);
+    if (!name) return badRequest(res, 'Playlist name is required');
+    const playlist = await store.rename(req.params.id, name);
+    if (!playlist) return notFound(res);
+    res.json({ success: true, data: playlist });
+  }));
+
+  router.delete('/:id', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const removed = await store.remove(req.params.id);
+    if (!removed) return notFound(res);
+    res.json({ success: true });
+  }));
+
+  // Add songs: { songIds: [...], position? } or { songId }
+  router.post('/:id/songs', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const songIds = req.body?.songIds || (req.body?.songId ? [req.body.songId] : []);
+    if (!Array.isArray(songIds) || !songIds.length) {
+      return badRequest(res, 'songId or songIds is required');
+    }
+    const playlist = await store.addSongs(req.params.id, songIds, req.body?.position);
+    if (!playlist) return notFound(res);
+    res.json({ success: true, data: playlist });
+  }));
+
+  // Reorder tracks: { songIds: [...] }
+  router.put('/:id/songs', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const songIds = req.body?.songIds;
+    if (!Array.isArray(songIds)) return badRequest(res, 'songIds must be an array');
+    try {
+      const playlist = await store.setSongOrder(req.params.id, songIds);
+      if (!playlist) return notFound(res);
+      res.json({ success: true, data: playlist });
+    } catch (err) {
+      badRequest(res, err.message);
+    }
+  }));
+
+  router.delete('/:id/songs/:songId', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const playlist = await store.removeSong(req.params.id, req.params.songId);
+    if (!playlist) return notFound(res);
+    res.json({ success: true, data: playlist });
+  }));
+
+  return router;
+}
+
+module.exports = createPlaylistsRouter;
@@ -0,0 +1,70 @@
+// routes/stats.js
+const express = require('express');
+const asyncRoute = require('../lib/asyncRoute');
+const { resolveRange, resolveTimeZone, computeStats, toCsv } = require('../lib/listeningStats');
+
+const MAX_LIMIT = 50;
+
+/**
+ * Listening statistics built from the history store of the signed-in user
+ * (`historyFor(req)`), mounted at /api/stats.
+ * Both routes take ?range=week|month|year|all or ?from=&to= (ISO dates).
+ */
+function createStatsRouter(historyFor) {
+  const router = express.Router();
+
+  function badRequest(res, message) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  function rangeFrom(req) {
+    return resolveRange({
+      range: typeof req.query.range === 'string' ? req.query.range : 'all',
+      from: req.query.from,
+      to: req.query.to
+    });
+  }
+
+  // ?range=&tz=Asia/Kolkata&limit=10 -> aggregates (see computeStats)
+  router.get('/', asyncRoute(async (req, res) => {
+    const historyStore = historyFor(req);
+    const range = rangeFrom(req);
+    if (!range) return badRequest(res, 'Invalid range. Use range=week|month|year|all or ISO from/to dates');
+
+    const entries = await historyStore.between(range);
+    const stats = computeStats(entries, {
+      timeZone: resolveTimeZone(req.query.tz),
+      limit: Math.min(parseInt(req.query.limit, 10) || 10, MAX_LIMIT)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        range: { from: range.from?.toISOString() || null, to: range.to?.toISOString() || null },
+        ...stats
+      }
+    });
+  }));
+
+  // Raw listening events: ?format=json|csv (download)
+  router.get('/export', asyncRoute(async (req, res) => {
+    const historyStore = historyFor(req);
+    const range = rangeFrom(req);
+    if (!range) return badRequest(res, 'Invalid range. Use range=week|month|year|all or ISO from/to dates');
+
+    const format = req.query.format || 'json';
+    if (format !== 'json' && format !== 'csv') return badRequest(res, 'Unsupported format. Use json or csv');
+
+    const entries = await historyStore.between(range);
+    res.attachment(`listening-history.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(toCsv(entries));
+    } else {
+      res.type('application/json').send(JSON.stringify(entries, null, 2));
+    }
+  }));
+
+  return router;
+}
+
+module.exports = createStatsRouter;
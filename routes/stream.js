@@ -0,0 +1,76 @@
+// routes/stream.js
+const express = require('express');
+const asyncRoute = require('../lib/asyncRoute');
+const TranscodeCache = require('../lib/transcodeCache');
+const { pickDownloadUrl } = require('../lib/transcode');
+const { upstreamErrorStatus } = require('../lib/upstream');
+const { audioExtension, contentTypeFor, isPlayStart, relay, fetchToFile } = require('../lib/streamProxy');
+
+/**
+ * Audio streaming through the server, mounted at /api/stream
+ *
+ * GET /api/stream/:id?quality=320kbps
+ * Resolves the CDN URL server-side and relays the bytes (Range requests
+ * included, so seeking works). Tracks that get played often (`hotTracks`)
+ * are copied to `cache` and served from disk afterwards; without a cache
+ * everything is relayed.
+ */
+function createStreamRouter({ getSong, cache = null, hotTracks, agents }) {
+  const router = express.Router();
+
+  function fail(res, status, message, err) {
+    if (res.headersSent) return res.destroy();
+    return res.status(status).json({ success: false, message, error: err?.message });
+  }
+
+  // Copy a hot track to the cache in the background; the current request is relayed
+  function warmCache(key, url) {
+    cache
+      .getOrCreate(key, tmpPath => fetchToFile(url, tmpPath, { agents }))
+      .then(() => console.log('Stream cached:', key))
+      .catch(err => console.warn(`Stream caching failed for ${key}:`, err.message));
+  }
+
+  router.get('/:id', asyncRoute(async (req, res) => {
+    const { id } = req.params;
+    const quality = req.query.quality || '320kbps';
+
+    let url;
+    try {
+      const song = await getSong(id);
+      if (!song) return res.status(404).json({ success: false, message: 'Song not found' });
+      url = pickDownloadUrl(song, quality);
+    } catch (err) {
+      console.error('Stream lookup error:', err.message);
+      return fail(res, upstreamErrorStatus(err), 'Upstream API error', err);
+    }
+    if (!url) {
+      return res.status(400).json({ success: false, message: `Stream for quality ${quality} not available` });
+    }
+
+    const ext = audioExtension(url);
+    const key = TranscodeCache.keyFor(id, quality, ext.slice(1));
+
+    const cached = cache ? await cache.get(key) : null;
+    if (cached) {
+      res.set('X-Stream-Cache', 'HIT');
+      return res.sendFile(cached, { headers: { 'Content-Type': contentTypeFor(ext) } }, err => {
+        if (err && !res.headersSent) res.status(500).end('Stream failed');
+      });
+    }
+
+    if (cache && isPlayStart(req) && req.method === 'GET' && hotTracks.hit(key)) warmCache(key, url);
+
+    try {
+      res.set('X-Stream-Cache', 'MISS');
+      await relay(url, req, res, { agents });
+    } catch (err) {
+      console.error('Stream error:', err.message);
+      fail(res, 502, 'Audio stream unavailable', err);
+    }
+  }));
+
+  return router;
+}
+
+module.exports = createStreamRouter;
@@ -0,0 +1,81 @@
+// routes/sync.js
+const express = require('express');
+const asyncRoute = require('../lib/asyncRoute');
+
+// Settings are a small object of preferences; anything bigger is a client bug
+const MAX_SETTINGS_BYTES = 64 * 1024;
+
+/**
+ * Cross-device sync of settings and playback state, mounted at /api/sync.
+ * `storeFor(req)` picks the SyncStore of the signed-in user. Devices send a
+ * `deviceId` with their changes so they can ignore their own events.
+ */
+function createSyncRouter(storeFor) {
+  const router = express.Router();
+
+  function badRequest(res, message) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  // { settings, playback }
+  router.get('/', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    res.json({ success: true, data: await store.get() });
+  }));
+
+  // { settings, deviceId } -> { values, updatedAt, deviceId }
+  router.put('/settings', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const values = req.body?.settings;
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return badRequest(res, 'settings must be an object');
+    }
+    if (JSON.stringify(values).length > MAX_SETTINGS_BYTES) return badRequest(res, 'settings are too large');
+    res.json({ success: true, data: await store.setSettings(values, req.body.deviceId) });
+  }));
+
+  // { songId, song, position, duration, paused, queue, deviceId, deviceName }
+  router.put('/playback', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const songId = req.body?.songId;
+    if (typeof songId !== 'string' || !songId) return badRequest(res, 'songId is required');
+    res.json({ success: true, data: await store.setPlayback(req.body, req.body.deviceId) });
+  }));
+
+  /**
+   * Server-sent events: a `snapshot` ({ settings, playback }) on connect,
+   * then `settings` and `playback` events as devices report changes.
+   */
+  router.get('/events', asyncRoute(async (req, res) => {
+    const store = storeFor(req);
+    const snapshot = await store.get();
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps compression() from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const onSettings = settings => send('settings', settings);
+    const onPlayback = playback => send('playback', playback);
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+    send('snapshot', snapshot);
+    store.on('settings', onSettings);
+    store.on('playback', onPlayback);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      store.off('settings', onSettings);
+      store.off('playback', onPlayback);
+    });
+  }));
+
+  return router;
+}
+
+module.exports = createSyncRouter;
@@ -0,0 +1,40 @@
+// scripts/build-embeddings.js
+// Builds DATA_DIR/embeddings.json (served at /recs/embeddings.json) from the
+// listening history, for the browser recommender. The server also does this
+// by itself as plays come in; this is for cron jobs or a first build.
+//
+//   npm run embeddings            # fold in plays since the last build
+//   npm run embeddings -- --full  # start over from the whole history
+//   npm run embeddings -- --user <id>  # an account's data (AUTH_ENABLED)
+//
+// Reads the same .env as the server (DATA_DIR, EMBEDDINGS_DIM).
+require('dotenv').config();
+const path = require('path');
+const HistoryStore = require('../lib/historyStore');
+const UserData = require('../lib/userData');
+const { DEFAULT_DIM, EmbeddingBuilder } = require('../lib/embeddings');
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+async function main() {
+  const full = process.argv.includes('--full');
+  const userArg = process.argv.indexOf('--user');
+  const dir = userArg === -1 ? DATA_DIR : UserData.dirIn(DATA_DIR, process.argv[userArg + 1] || '');
+  const builder = new EmbeddingBuilder({
+    historyStore: new HistoryStore(path.join(dir, 'history.json')),
+    stateFile: path.join(dir, 'embeddings-state.json'),
+    outputFile: path.join(dir, 'embeddings.json'),
+    dim: parseInt(process.env.EMBEDDINGS_DIM, 10) || DEFAULT_DIM
+  });
+
+  const build = await builder.build({ full });
+  console.log(
+    `Embeddings for ${build.songs} song(s) (${build.newPlays} new play(s), ${build.full ? 'full' : 'incremental'}) ` +
+      `written to ${builder.outputFile} in ${build.durationMs} ms`
+  );
+}
+
+main().catch(err => {
+  console.error('Embedding build failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+// scripts/generate-icons.js
+// Renders the ZYLAE logo (green circle with a dark "Z", as in the sidebar)
+// into the PNG icons referenced by public/manifest.webmanifest.
+//
+//   npm run icons
+//
+// Plain Node (zlib) so no image tooling is needed; the output is committed.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUT_DIR = path.join(__dirname, '..', 'public', 'icons');
+
+const GREEN_LIGHT = [0x22, 0xc5, 0x5e];
+const GREEN_DARK = [0x16, 0xa3, 0x4a];
+const INK = [0x0f, 0x17, 0x2a];
+const BACKGROUND = [0x05, 0x05, 0x09];
+
+// Supersampling per axis for anti-aliased edges
+const SAMPLES = 4;
+
+const ICONS = [
+  // Transparent corners, logo fills the canvas
+  { file: 'icon-192.png', size: 192, background: null, scale: 1 },
+  { file: 'icon-512.png', size: 512, background: null, scale: 1 },
+  // Maskable: full-bleed background, logo inside the 80% safe zone
+  { file: 'maskable-512.png', size: 512, background: BACKGROUND, scale: 0.72 },
+  // iOS home screen doesn't do transparency
+  { file: 'apple-touch-icon.png', size: 180, background: BACKGROUND, scale: 0.86 }
+];
+
+// ---------- Shapes, in unit coordinates (0..1, centred at 0.5) ----------
+
+function inCircle(x, y) {
+  const dx = x - 0.5;
+  const dy = y - 0.5;
+  return dx * dx + dy * dy <= 0.25;
+}
+
+// "Z": top bar, bottom bar and the diagonal joining them
+const Z_LEFT = 0.3;
+const Z_RIGHT = 0.7;
+const Z_TOP = 0.29;
+const Z_BOTTOM = 0.71;
+const Z_BAR = 0.085;
+const Z_STROKE = 0.1;
+
+function inZ(x, y) {
+  if (x < Z_LEFT || x > Z_RIGHT || y < Z_TOP || y > Z_BOTTOM) return false;
+  if (y <= Z_TOP + Z_BAR || y >= Z_BOTTOM - Z_BAR) return true;
+
+  // Diagonal from the top-right to the bottom-left corner, Z_STROKE wide (horizontally)
+  const t = (y - (Z_TOP + Z_BAR)) / (Z_BOTTOM - Z_TOP - 2 * Z_BAR);
+  const centre = Z_RIGHT - Z_STROKE / 2 - t * (Z_RIGHT - Z_LEFT - Z_STROKE);
+  return Math.abs(x - centre) <= Z_STROKE / 2;
+}
+
+// Radial gradient like `radial-gradient(circle at 30% 0, #22c55e, #16a34a)`
+function green(x, y) {
+  const dist = Math.min(1, Math.hypot(x - 0.3, y) / 1.1);
+  return GREEN_LIGHT.map((c, i) => Math.round(c + (GREEN_DARK[i] - c) * dist));
+}
+
+// ---------- Rasteriser ----------
+
+function render({ size, background, scale }) {
+  const pixels = Buffer.alloc(size * size * 4);
+  const offset = (1 - scale) / 2;
+
+  for (let py = 0; py < size; py++) {
+    for (let px = 0; px < size; px++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+
+      for (let sy = 0; sy < SAMPLES; sy++) {
+        for (let sx = 0; sx < SAMPLES; sx++) {
+          // Canvas -> logo coordinates
+          const x = ((px + (sx + 0.5) / SAMPLES) / size - offset) / scale;
+          const y = ((py + (sy + 0.5) / SAMPLES) / size - offset) / scale;
+
+          let colour = background;
+          if (inCircle(x, y)) colour = inZ(x, y) ? INK : green(x, y);
+          if (!colour) continue;
+
+          r += colour[0];
+          g += colour[1];
+          b += colour[2];
+          a++;
+        }
+      }
+
+      const i = (py * size + px) * 4;
+      if (a) {
+        pixels[i] = Math.round(r / a);
+        pixels[i + 1] = Math.round(g / a);
+        pixels[i + 2] = Math.round(b / a);
+        pixels[i + 3] = Math.round((a / (SAMPLES * SAMPLES)) * 255);
+      }
+    }
+  }
+  return pixels;
+}
+
+// ---------- PNG encoding (RGBA, 8 bit) ----------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(size, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // colour type: RGBA
+
+  // Each scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc(size * (size * 4 + 1));
+  for (let y = 0; y < size; y++) {
+    pixels.copy(raw, y * (size * 4 + 1) + 1, y * size * 4, (y + 1) * size * 4);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+fs.mkdirSync(OUT_DIR, { recursive: true });
+for (const icon of ICONS) {
+  const png = encodePng(icon.size, render(icon));
+  fs.writeFileSync(path.join(OUT_DIR, icon.file), png);
+  console.log(`Wrote public/icons/${icon.file} (${png.length} bytes)`);
+}
@@ -1,26 +1,224 @@
 // server.js
 require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const express = require('express');
-const axios = require('axios');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const cors = require('cors');
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('ffmpeg-static');
+const archiver = require('archiver');
+const ResponseCache = require('./lib/responseCache');
+const { Upstream, upstreamErrorStatus } = require('./lib/upstream');
+const { TokenBucketLimiter, rateLimit } = require('./lib/rateLimiter');
+const UserStore = require('./lib/userStore');
+const UserData = require('./lib/userData');
+const { authenticate, requireUser } = require('./lib/auth');
+const createAuthRouter = require('./routes/auth');
+const PlaylistStore = require('./lib/playlistStore');
+const createPlaylistsRouter = require('./routes/playlists');
+const HistoryStore = require('./lib/historyStore');
+const createHistoryRouter = require('./routes/history');
+const createStatsRouter = require('./routes/stats');
+const FeedbackStore = require('./lib/feedbackStore');
+const createFeedbackRouter = require('./routes/feedback');
+const SyncStore = require('./lib/syncStore');
+const createSyncRouter = require('./routes/sync');
+const { DEFAULT_DIM, EmbeddingBuilder } = require('./lib/embeddings');
+const createAdminRouter = require('./routes/admin');
+const Semaphore = require('./lib/semaphore');
+const { SemaphoreFullError } = Semaphore;
+const TranscodeCache = require('./lib/transcodeCache');
+const JobQueue = require('./lib/jobQueue');
+const createJobsRouter = require('./routes/jobs');
+const LoudnessStore = require('./lib/loudnessStore');
+const { MeasurementFailedError } = LoudnessStore;
+const { createAgents, HotTracks } = require('./lib/streamProxy');
+const createStreamRouter = require('./routes/stream');
+const {
+  resolveTarget,
+  measureLoudness,
+  normalizationGain,
+  loudnormFilter
+} = require('./lib/loudness');
+const {
+  pickDownloadUrl,
+  songTags,
+  bestImageUrl,
+  decodeEntities,
+  lyricsToText,
+  downloadCover,
+  safeFilename,
+  songFilename,
+  FORMATS,
+  resolveFormat,
+  createTranscode,
+  timemarkSeconds,
+  runToFile
+} = require('./lib/transcode');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Base URL of your Zylae Saavn API instance
+// Base URL of your Zylae Saavn API instance; a comma-separated list adds
+// mirrors, tried in order when the ones before them fail
 const API_BASE = process.env.API_BASE || 'https://zylaes-saavn.vercel.app/api';
 
+// LRCLIB-compatible API for time-synced lyrics (set empty to disable)
+const LRC_API_BASE = process.env.LRC_API_BASE ?? 'https://lrclib.net/api';
+
+// Retries, circuit breakers and health checks for the upstream APIs
+const breakerCooldown = parseInt(process.env.UPSTREAM_BREAKER_COOLDOWN, 10);
+const healthInterval = parseInt(process.env.UPSTREAM_HEALTH_INTERVAL, 10);
+const upstreamRetries = parseInt(process.env.UPSTREAM_RETRIES, 10);
+const UPSTREAM_OPTIONS = {
+  timeout: parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 10000,
+  retries: Number.isFinite(upstreamRetries) ? upstreamRetries : 2,
+  retryDelayMs: parseInt(process.env.UPSTREAM_RETRY_DELAY_MS, 10) || 300,
+  breakerThreshold: parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD, 10) || 5,
+  breakerCooldownMs: (Number.isFinite(breakerCooldown) ? breakerCooldown : 30) * 1000
+};
+const saavnApi = new Upstream({
+  ...UPSTREAM_OPTIONS,
+  name: 'saavn',
+  bases: Upstream.parseBases(API_BASE),
+  healthPath: process.env.UPSTREAM_HEALTH_PATH || '/search/songs?query=hello&limit=1',
+  healthIntervalMs: (Number.isFinite(healthInterval) ? healthInterval : 30) * 1000
+});
+saavnApi.start();
+// Lyrics are optional: no retries, so a slow LRCLIB doesn't hold up the lyrics pane
+const lrcApi = LRC_API_BASE
+  ? new Upstream({ ...UPSTREAM_OPTIONS, name: 'lrclib', bases: [LRC_API_BASE], retries: 0 })
+  : null;
+
+// Where server-side state (playlists, ...) is persisted
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+
+// Upstream response cache (memory LRU, optionally mirrored to CACHE_DIR)
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false';
+const responseCache = new ResponseCache({
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+  maxDiskEntries: parseInt(process.env.CACHE_MAX_DISK_ENTRIES, 10) || 5000,
+  staleTtl: (parseInt(process.env.CACHE_STALE_TTL, 10) || 7 * 24 * 3600) * 1000,
+  dir: process.env.CACHE_DIR || null
+});
+
+// Per-route TTLs (seconds)
+const CACHE_TTL = {
+  search: 10 * 60,
+  song: 24 * 3600,
+  suggestions: 60 * 60,
+  album: 24 * 3600,
+  artist: 6 * 3600,
+  artistSongs: 6 * 3600,
+  playlist: 60 * 60,
+  lyrics: 7 * 24 * 3600
+};
+
 // Configure ffmpeg
 if (ffmpegPath) {
   ffmpeg.setFfmpegPath(ffmpegPath);
 }
 
+// Max FFmpeg processes running at once (single + batch downloads)
+const FFMPEG_CONCURRENCY = parseInt(process.env.FFMPEG_CONCURRENCY, 10) || 2;
+const ffmpegSlots = new Semaphore(FFMPEG_CONCURRENCY);
+// Downloads needing FFmpeg get a 429 once this many runs wait for a slot
+const ffmpegMaxQueue = parseInt(process.env.FFMPEG_MAX_QUEUE, 10);
+const FFMPEG_MAX_QUEUE = Number.isFinite(ffmpegMaxQueue) ? ffmpegMaxQueue : 4;
+// Seconds a client is told to wait when FFmpeg is saturated
+const FFMPEG_RETRY_AFTER = 30;
+
+/**
+ * Token-bucket rate limits per client with separate budgets:
+ * RATE_LIMIT_<BUDGET> requests per minute, in bursts of up to RATE_LIMIT_<BUDGET>_BURST
+ */
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+function rateBudget(name, perMinute, burst) {
+  if (!RATE_LIMIT_ENABLED) return (req, res, next) => next();
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const limiter = new TokenBucketLimiter({
+    capacity: parseInt(process.env[`${prefix}_BURST`], 10) || burst,
+    refillPerSecond: (parseInt(process.env[prefix], 10) || perMinute) / 60
+  });
+  return rateLimit(limiter, { name });
+}
+
+const rateLimits = {
+  search: rateBudget('search', 60, 20),
+  metadata: rateBudget('metadata', 300, 100),
+  downloads: rateBudget('downloads', 10, 5),
+  // Audio relayed through /api/stream; seeks are requests too, hence the room
+  stream: rateBudget('stream', 120, 40),
+  // Sign-ins and sign-ups, against password guessing
+  auth: rateBudget('auth', 10, 5)
+};
+
+// Accounts (DATA_DIR/users.json); off unless AUTH_ENABLED=true
+const AUTH_ENABLED = process.env.AUTH_ENABLED === 'true';
+const userStore = new UserStore(path.join(DATA_DIR, 'users.json'));
+
+/**
+ * Per-user state: playlists, listening history (with the stats built from
+ * it), likes/dislikes/skips, recommender embeddings and the settings and
+ * playback state synced between devices. Without accounts it
+ * all lives in DATA_DIR itself, with accounts in DATA_DIR/users/<id>.
+ */
+const embeddingsRebuildDelay = parseInt(process.env.EMBEDDINGS_REBUILD_DELAY, 10);
+
+function createUserStores(dir) {
+  const history = new HistoryStore(path.join(dir, 'history.json'), {
+    maxEntries: parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 5000
+  });
+
+  // Song embeddings for the browser recommender (embeddings.json), rebuilt
+  // from the history shortly after new plays come in
+  const embeddings = new EmbeddingBuilder({
+    historyStore: history,
+    stateFile: path.join(dir, 'embeddings-state.json'),
+    outputFile: path.join(dir, 'embeddings.json'),
+    dim: parseInt(process.env.EMBEDDINGS_DIM, 10) || DEFAULT_DIM,
+    delayMs: (Number.isFinite(embeddingsRebuildDelay) ? embeddingsRebuildDelay : 60) * 1000
+  });
+  history.on('add', () => embeddings.scheduleBuild());
+  // A cleared history starts the embeddings over as well
+  history.on('clear', () => {
+    embeddings.build({ full: true }).catch(err => console.warn('Embedding build failed:', err.message));
+  });
+  // Plays recorded by the CLI or before a restart
+  embeddings.scheduleBuild();
+
+  return {
+    playlists: new PlaylistStore(path.join(dir, 'playlists.json')),
+    history,
+    feedback: new FeedbackStore(path.join(dir, 'feedback.json')),
+    sync: new SyncStore(path.join(dir, 'sync.json')),
+    embeddings,
+    close: () => embeddings.stop()
+  };
+}
+
+const userData = new UserData({ dataDir: DATA_DIR, create: createUserStores });
+const storesFor = req => userData.for(req.user);
+
+// Finished single-track transcodes, reused across downloads and resumes
+const transcodeCache = new TranscodeCache({
+  dir: path.resolve(process.env.TRANSCODE_CACHE_DIR || path.join(DATA_DIR, 'transcodes')),
+  maxBytes: (parseInt(process.env.TRANSCODE_CACHE_MAX_MB, 10) || 1024) * 1024 * 1024
+});
+
+// Loudness measurements (EBU R128) per song, for normalized playback/downloads
+const loudnessStore = new LoudnessStore(path.join(DATA_DIR, 'loudness.json'));
+// Bitrate measured; loudness doesn't depend on it, so the smallest decodes fastest
+const LOUDNESS_QUALITY = process.env.LOUDNESS_QUALITY || '96kbps';
+// Measurements get their own FFmpeg pool so playback can't starve downloads;
+// like downloads, at most FFMPEG_MAX_QUEUE of them wait for a slot
+const loudnessSlots = new Semaphore(parseInt(process.env.LOUDNESS_CONCURRENCY, 10) || 1);
+
 // ---------- Security & middlewares ----------
 
 // Custom Helmet config so CSP works with Saavn images, media & external libs
@@ -49,14 +247,18 @@ app.use(
           "data:"
         ],
 
-        // ⬇️ allow API + tfjs network calls
+        // ⬇️ allow API + tfjs network calls (and the service worker's CDN caching)
         connectSrc: [
           "'self'",
           "https://zylaes-saavn.vercel.app",
-          "https://cdn.jsdelivr.net"
+          "https://cdn.jsdelivr.net",
+          "https://cdnjs.cloudflare.com",
+          "https://fonts.googleapis.com",
+          "https://fonts.gstatic.com"
         ],
 
-        mediaSrc: ["'self'", "https:", "data:"],
+        // blob: for songs saved offline (IndexedDB)
+        mediaSrc: ["'self'", "https:", "data:", "blob:"],
         objectSrc: ["'none'"],
         upgradeInsecureRequests: []
       }
@@ -69,23 +271,93 @@ app.use(morgan('dev'));
 app.use(cors());
 app.use(express.json());
 
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 or "loopback") makes req.ip the client's address
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' ? true : trust);
+}
+
 // Static files (frontend)
 app.use(express.static(path.join(__dirname, 'public')));
 
+/**
+ * Accounts (AUTH_ENABLED=true): session cookies or API tokens set req.user,
+ * which scopes history, playlists and likes, and the rest of the API needs
+ * one. Without accounts req.user stays null and everything is shared.
+ */
+app.use(['/api', '/recs'], AUTH_ENABLED ? authenticate(userStore) : (req, res, next) => {
+  req.user = null;
+  next();
+});
+app.use('/api/auth', createAuthRouter({
+  enabled: AUTH_ENABLED,
+  users: userStore,
+  userData,
+  allowSignup: process.env.ALLOW_SIGNUP === 'true',
+  sessionTtlMs: (parseInt(process.env.SESSION_TTL_DAYS, 10) || 30) * 24 * 3600 * 1000,
+  loginLimit: rateLimits.auth
+}));
+if (AUTH_ENABLED) {
+  // /api/admin also takes the ADMIN_TOKEN, and health checks stay anonymous
+  app.use('/api', (req, res, next) => {
+    if (req.path === '/health' || req.path.startsWith('/admin')) return next();
+    requireUser(req, res, next);
+  });
+  app.use('/recs', requireUser);
+}
+
+/**
+ * Helper: GET from the Zylae Saavn API (or another `upstream`) through the
+ * response cache. Resolves to { status, data, cacheStatus } where cacheStatus
+ * is HIT, MISS or STALE (stale entries are only used when the upstream fails).
+ */
+async function cachedGet(apiPath, params = {}, ttl = 0, { upstream = saavnApi } = {}) {
+  const useCache = CACHE_ENABLED && ttl > 0;
+  // Saavn mirrors serve the same data, so they share cache entries
+  const key = ResponseCache.keyFor(upstream === saavnApi ? apiPath : `${upstream.primaryBase}${apiPath}`, params);
+  const cached = useCache ? await responseCache.get(key) : null;
+
+  if (cached && cached.fresh) {
+    return { ...cached.value, cacheStatus: 'HIT', storedAt: cached.storedAt };
+  }
+
+  try {
+    const { data, status } = await upstream.get(apiPath, params);
+    if (useCache && status >= 200 && status < 300) {
+      await responseCache.set(key, { status, data }, ttl * 1000);
+    }
+    return { status, data, cacheStatus: 'MISS' };
+  } catch (err) {
+    // Only fall back to stale data when the upstream is unreachable or failing,
+    // not when it gave a definitive 4xx answer.
+    const upstreamStatus = err.response?.status;
+    if (cached && (!upstreamStatus || upstreamStatus >= 500)) {
+      console.warn(`Serving stale cache for ${key}:`, err.message);
+      return { ...cached.value, cacheStatus: 'STALE', storedAt: cached.storedAt };
+    }
+    throw err;
+  }
+}
+
 /**
  * Helper: proxy GET requests to Zylae Saavn API
  */
-async function proxyGet(req, res, apiPath) {
+async function proxyGet(req, res, apiPath, { ttl = 0, params = {} } = {}) {
   try {
-    const url = `${API_BASE}${apiPath}`;
-    const { data, status } = await axios.get(url, {
-      params: req.query,
-      timeout: 10000
-    });
+    const { data, status, cacheStatus, storedAt } = await cachedGet(
+      apiPath,
+      { ...req.query, ...params },
+      ttl
+    );
+    if (ttl > 0 && CACHE_ENABLED) {
+      res.set('X-Cache', cacheStatus);
+      if (storedAt) res.set('Age', String(Math.floor((Date.now() - storedAt) / 1000)));
+    }
     res.status(status).json(data);
   } catch (err) {
     console.error('Proxy error:', err.message);
-    const status = err.response?.status || 500;
+    const status = upstreamErrorStatus(err);
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
     res.status(status).json({
       success: false,
       message: 'Upstream API error',
@@ -94,100 +366,664 @@ async function proxyGet(req, res, apiPath) {
   }
 }
 
+// Rate limits for routes that reach the upstream API or FFmpeg
+app.use('/api/search', rateLimits.search);
+app.use(['/api/songs', '/api/artists', '/api/albums', '/api/saavn'], rateLimits.metadata);
+app.use('/api/download', rateLimits.downloads);
+app.post('/api/jobs/download', rateLimits.downloads);
+app.use('/api/stream', rateLimits.stream);
+
+/**
+ * Helper: 429 with Retry-After for work turned away by a full FFmpeg queue.
+ */
+function sendFfmpegBusy(res, message = 'The server is busy with other downloads. Try again shortly.') {
+  res.set('Retry-After', String(FFMPEG_RETRY_AFTER));
+  res.status(429).json({ success: false, message });
+}
+
+/**
+ * Helper: answer 429 when every FFmpeg slot is taken and FFMPEG_MAX_QUEUE
+ * runs are already waiting. Returns true when it did.
+ */
+function rejectWhenFfmpegBusy(res) {
+  if (!ffmpegSlots.isFull(FFMPEG_MAX_QUEUE)) return false;
+  sendFfmpegBusy(res);
+  return true;
+}
+
+/**
+ * Upstream health: state of each Saavn mirror (and LRCLIB)
+ * GET /api/health -> 200 while the Saavn API is reachable, 503 otherwise
+ */
+app.get('/api/health', (req, res) => {
+  const saavn = saavnApi.status();
+  const upstreams = [saavn, ...(lrcApi ? [lrcApi.status()] : [])];
+  const allHealthy = upstreams.every(u => u.mirrors.every(m => m.state === 'closed' && m.healthy));
+  res.status(saavn.available ? 200 : 503).json({
+    success: saavn.available,
+    data: {
+      status: saavn.available ? (allHealthy ? 'ok' : 'degraded') : 'down',
+      uptime: Math.round(process.uptime()),
+      upstreams
+    }
+  });
+});
+
 /**
  * Proxy routes – these match what your player.js uses
  */
 app.get('/api/search/songs', (req, res) => {
   // player.js calls: /api/search/songs?query=&limit=
-  return proxyGet(req, res, '/search/songs');
+  return proxyGet(req, res, '/search/songs', { ttl: CACHE_TTL.search });
+});
+
+app.get('/api/search/albums', (req, res) => {
+  return proxyGet(req, res, '/search/albums', { ttl: CACHE_TTL.search });
+});
+
+app.get('/api/search/artists', (req, res) => {
+  return proxyGet(req, res, '/search/artists', { ttl: CACHE_TTL.search });
+});
+
+app.get('/api/search/playlists', (req, res) => {
+  return proxyGet(req, res, '/search/playlists', { ttl: CACHE_TTL.search });
+});
+
+// Song by JioSaavn URL (share target): /api/songs?link=https://www.jiosaavn.com/song/...
+app.get('/api/songs', (req, res) => {
+  const link = req.query.link;
+  if (typeof link !== 'string' || !/^https?:\/\/(www\.)?jiosaavn\.com\//i.test(link)) {
+    return res.status(400).json({ success: false, message: 'A jiosaavn.com link is required' });
+  }
+  return proxyGet(req, res, '/songs', { ttl: CACHE_TTL.song, params: { link } });
 });
 
 app.get('/api/songs/:id', (req, res) => {
   const { id } = req.params;
-  return proxyGet(req, res, `/songs/${id}`);
+  return proxyGet(req, res, `/songs/${id}`, { ttl: CACHE_TTL.song });
 });
 
 app.get('/api/songs/:id/suggestions', (req, res) => {
   const { id } = req.params;
-  return proxyGet(req, res, `/songs/${id}/suggestions`);
+  return proxyGet(req, res, `/songs/${id}/suggestions`, { ttl: CACHE_TTL.suggestions });
+});
+
+/**
+ * Lyrics for the fullscreen player
+ * GET /api/songs/:id/lyrics -> { synced, plain, copyright }
+ * Saavn only has plain lyrics; time-synced LRC comes from LRC_API_BASE when
+ * it knows the track (matched on title, artist, album and duration).
+ */
+app.get('/api/songs/:id/lyrics', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const songResp = await cachedGet(`/songs/${id}`, {}, CACHE_TTL.song);
+    const songData = songResp.data?.data?.[0];
+    if (!songData) {
+      return res.status(404).json({ success: false, message: 'Song not found' });
+    }
+
+    const [saavn, lrc] = await Promise.all([fetchSaavnLyrics(songData), fetchLrcLyrics(songData)]);
+    const plain = lyricsToText(saavn?.lyrics) || lrc?.plainLyrics || null;
+    const synced = lrc?.syncedLyrics || null;
+
+    if (!plain && !synced) {
+      return res.status(404).json({ success: false, message: 'No lyrics found' });
+    }
+
+    res.json({
+      success: true,
+      data: { id, synced, plain, copyright: decodeEntities(saavn?.copyright) || null }
+    });
+  } catch (err) {
+    console.error('Lyrics error:', err.message);
+    res.status(upstreamErrorStatus(err)).json({
+      success: false,
+      message: 'Upstream API error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Loudness for playback normalization
+ * GET /api/songs/:id/loudness?target=-14
+ * -> { integrated, truePeak, lra, threshold, target, gainDb }
+ * The first request for a song measures it with FFmpeg (a few seconds);
+ * results are kept in DATA_DIR/loudness.json. A song that couldn't be
+ * measured gets a 503 with Retry-After for a while instead of another try.
+ */
+app.get('/api/songs/:id/loudness', async (req, res) => {
+  const { id } = req.params;
+  const target = resolveTarget(req.query.target);
+
+  try {
+    const songResp = await cachedGet(`/songs/${id}`, {}, CACHE_TTL.song);
+    const songData = songResp.data?.data?.[0];
+    if (!songData) {
+      return res.status(404).json({ success: false, message: 'Song not found' });
+    }
+
+    const measured = await songLoudness(songData);
+    res.json({
+      success: true,
+      data: {
+        id,
+        integrated: measured.integrated,
+        truePeak: measured.truePeak,
+        lra: measured.lra,
+        threshold: measured.threshold,
+        target,
+        gainDb: normalizationGain(measured, target)
+      }
+    });
+  } catch (err) {
+    if (err instanceof SemaphoreFullError) {
+      return sendFfmpegBusy(res, 'Too many loudness measurements are waiting. Try again shortly.');
+    }
+    // A recent failure is answered from memory instead of measuring again
+    if (err instanceof MeasurementFailedError) {
+      res.set('Retry-After', String(err.retryAfter));
+      return res.status(503).json({
+        success: false,
+        message: 'Loudness measurement failed',
+        error: err.failure.error
+      });
+    }
+    console.error('Loudness error:', err.message);
+    res.status(err.response?.status || 500).json({
+      success: false,
+      message: 'Loudness measurement failed',
+      error: err.message
+    });
+  }
 });
 
 app.get('/api/artists/:id/songs', (req, res) => {
   const { id } = req.params;
-  return proxyGet(req, res, `/artists/${id}/songs`);
+  return proxyGet(req, res, `/artists/${id}/songs`, { ttl: CACHE_TTL.artistSongs });
+});
+
+app.get('/api/artists/:id/albums', (req, res) => {
+  const { id } = req.params;
+  return proxyGet(req, res, `/artists/${id}/albums`, { ttl: CACHE_TTL.artist });
+});
+
+app.get('/api/artists/:id', (req, res) => {
+  const { id } = req.params;
+  return proxyGet(req, res, `/artists/${id}`, { ttl: CACHE_TTL.artist });
+});
+
+app.get('/api/albums/:id', (req, res) => {
+  const { id } = req.params;
+  return proxyGet(req, res, '/albums', { ttl: CACHE_TTL.album, params: { id } });
+});
+
+// JioSaavn playlists (/api/playlists is taken by user playlists)
+app.get('/api/saavn/playlists/:id', (req, res) => {
+  const { id } = req.params;
+  return proxyGet(req, res, '/playlists', { ttl: CACHE_TTL.playlist, params: { id } });
 });
 
 /**
- * Download route (MP3 via FFmpeg, with metadata)
- * GET /api/download/:id?quality=320kbps
+ * User playlists, listening history with its stats, likes/skips and device
+ * sync, each scoped to the signed-in user (see createUserStores)
+ */
+app.use('/api/playlists', createPlaylistsRouter(req => storesFor(req).playlists));
+app.use('/api/history', createHistoryRouter(req => storesFor(req).history));
+app.use('/api/stats', createStatsRouter(req => storesFor(req).history));
+app.use('/api/feedback', createFeedbackRouter(req => storesFor(req).feedback));
+app.use('/api/sync', createSyncRouter(req => storesFor(req).sync));
+
+app.get('/recs/embeddings.json', (req, res) => {
+  res.sendFile(storesFor(req).embeddings.outputFile, err => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ success: false, message: 'Embeddings have not been built yet' });
+    }
+  });
+});
+
+/**
+ * Maintenance API (embedding rebuilds, accounts), for ADMIN_TOKEN or admin accounts
+ */
+app.use('/api/admin', createAdminRouter({
+  adminToken: process.env.ADMIN_TOKEN || '',
+  authEnabled: AUTH_ENABLED,
+  users: userStore,
+  userData
+}));
+
+/**
+ * Audio streaming through the server (ZY_SETTINGS.streamViaServer in the
+ * player). Tracks played STREAM_CACHE_HOT_PLAYS times within a day are kept
+ * on disk (DATA_DIR/streams), up to STREAM_CACHE_MAX_MB; 0 turns that off.
+ */
+const streamCacheMaxMb = parseInt(process.env.STREAM_CACHE_MAX_MB, 10);
+const STREAM_CACHE_MAX_MB = Number.isFinite(streamCacheMaxMb) ? streamCacheMaxMb : 512;
+app.use('/api/stream', createStreamRouter({
+  getSong: async id => (await cachedGet(`/songs/${id}`, {}, CACHE_TTL.song)).data?.data?.[0] || null,
+  cache: STREAM_CACHE_MAX_MB > 0
+    ? new TranscodeCache({
+      dir: path.resolve(process.env.STREAM_CACHE_DIR || path.join(DATA_DIR, 'streams')),
+      maxBytes: STREAM_CACHE_MAX_MB * 1024 * 1024
+    })
+    : null,
+  hotTracks: new HotTracks({ threshold: parseInt(process.env.STREAM_CACHE_HOT_PLAYS, 10) || 2 }),
+  agents: createAgents()
+}));
+
+/**
+ * Helper: album details for a song (track numbering + album artist), or null
+ */
+async function fetchAlbumFor(songData) {
+  const albumId = songData.album?.id;
+  if (!albumId) return null;
+  try {
+    const { data } = await cachedGet('/albums', { id: albumId }, CACHE_TTL.album);
+    return data?.data || null;
+  } catch (err) {
+    console.warn(`Album lookup failed for ${songData.id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Helper: Saavn's lyrics entry ({ lyrics (HTML), copyright }), or null
+ */
+async function fetchSaavnLyrics(songData) {
+  if (!songData.hasLyrics || songData.hasLyrics === 'false') return null;
+  try {
+    const { data } = await cachedGet(`/songs/${songData.id}/lyrics`, {}, CACHE_TTL.lyrics);
+    return data?.data || null;
+  } catch (err) {
+    console.warn(`Lyrics lookup failed for ${songData.id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Helper: plain-text lyrics for a song, or null when it has none
+ */
+async function fetchLyrics(songData) {
+  const saavn = await fetchSaavnLyrics(songData);
+  return lyricsToText(saavn?.lyrics) || null;
+}
+
+/**
+ * Helper: LRCLIB match ({ syncedLyrics, plainLyrics }) for a song, or null
+ */
+async function fetchLrcLyrics(songData) {
+  if (!lrcApi) return null;
+  const { title, artist, album } = songTags(songData);
+  const params = {
+    track_name: decodeEntities(title),
+    artist_name: decodeEntities(songData.artists?.primary?.[0]?.name || artist),
+    album_name: decodeEntities(album),
+    duration: Number(songData.duration) || undefined
+  };
+
+  try {
+    const { data } = await cachedGet('/get', params, CACHE_TTL.lyrics, { upstream: lrcApi });
+    return data || null;
+  } catch (err) {
+    // 404 just means LRCLIB doesn't know the track
+    if (err.response?.status !== 404) console.warn(`LRC lookup failed for ${songData.id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Helper: full tag set for a download.
+ * Track number and album artist come from `album` (looked up when not given
+ * and `resolveAlbum` is set); an explicit `track` wins over the album position.
+ */
+async function downloadTags(songData, { album = null, track, resolveAlbum = true } = {}) {
+  const [albumData, lyrics] = await Promise.all([
+    album || (resolveAlbum ? fetchAlbumFor(songData) : null),
+    fetchLyrics(songData)
+  ]);
+
+  const extra = {};
+  const albumSongs = albumData?.songs || [];
+  const position = albumSongs.findIndex(s => s.id === songData.id);
+  if (position !== -1) extra.track = `${position + 1}/${albumSongs.length}`;
+  if (track) extra.track = track;
+
+  const albumArtist = (albumData?.artists?.primary || []).map(a => a.name).join(', ');
+  if (albumArtist) extra.album_artist = albumArtist;
+  if (lyrics) extra.lyrics = lyrics;
+
+  return songTags(songData, extra);
+}
+
+/**
+ * Helper: stored loudness of a song, measuring it on first use.
+ */
+function songLoudness(songData) {
+  return loudnessStore.getOrMeasure(songData.id, () => {
+    const sourceUrl = pickDownloadUrl(songData, LOUDNESS_QUALITY);
+    if (!sourceUrl) throw new Error('No audio URL to measure');
+    return loudnessSlots.run(() => measureLoudness(sourceUrl), { maxQueue: FFMPEG_MAX_QUEUE });
+  });
+}
+
+/**
+ * Helper: format spec for `?format=`, or a 400 response when it's unknown.
+ */
+function downloadFormat(req, res) {
+  const spec = resolveFormat(req.query.format);
+  if (!spec) {
+    res.status(400).json({
+      success: false,
+      message: `Unsupported format. Use one of: ${Object.keys(FORMATS).join(', ')}`
+    });
+  }
+  return spec;
+}
+
+/**
+ * Helper: transcode `songData` into `outPath` with full tags and cover art.
+ * FFmpeg writes to a file because ID3 tags and MP4 atoms need a seekable
+ * output (their sizes are written after the frames).
+ * `onProgress(percent)` is estimated from the song's duration.
+ * `normalizeTo` (LUFS) applies a two-pass loudnorm from the stored measurement.
+ * With `maxQueue` the run fails with a SemaphoreFullError rather than wait
+ * behind that many others.
+ */
+async function transcodeSong(songData, sourceUrl, { format, quality, normalizeTo = null, maxQueue, onProgress }, outPath) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'zylae-dl-'));
+  try {
+    const [tags, coverPath, measured] = await Promise.all([
+      downloadTags(songData),
+      downloadCover(bestImageUrl(songData), workDir),
+      normalizeTo === null ? null : songLoudness(songData)
+    ]);
+
+    const audioFilter = measured ? loudnormFilter(measured, normalizeTo) : null;
+    const ff = await createTranscode(sourceUrl, { format: format.name, quality, tags, coverPath, audioFilter });
+    ff.on('start', cmd => console.log('FFmpeg started:', cmd));
+    const duration = Number(songData.duration) || 0;
+    if (onProgress && duration) {
+      ff.on('progress', p => onProgress((timemarkSeconds(p.timemark) / duration) * 100));
+    }
+
+    await ffmpegSlots.run(() => runToFile(ff, outPath), { maxQueue });
+    console.log('FFmpeg processing finished for', songData.id);
+  } finally {
+    fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Download route (transcoded via FFmpeg, with metadata)
+ * GET /api/download/:id?quality=320kbps&format=mp3|m4a|opus|ogg|flac
+ * Add normalize=1 (and optionally target=-14, in LUFS) for a loudness
+ * normalized file; M4A is then re-encoded instead of copied.
+ *
+ * Transcodes are cached on disk per id/quality/format and served with
+ * Content-Length, ETag and Range support, so interrupted downloads resume.
+ * A transcode keeps running when its client disconnects: the retry then
+ * joins it (or hits the cache) instead of starting over.
  */
 app.get('/api/download/:id', async (req, res) => {
   const { id } = req.params;
   const quality = req.query.quality || '320kbps';
+  const format = downloadFormat(req, res);
+  if (!format) return;
+  const normalizeTo = req.query.normalize === '1' ? resolveTarget(req.query.target) : null;
 
   try {
-    // 1) Fetch song metadata
-    const songResp = await axios.get(`${API_BASE}/songs/${id}`, { timeout: 10000 });
+    const songResp = await cachedGet(`/songs/${id}`, {}, CACHE_TTL.song);
     const songData = songResp.data?.data?.[0];
 
     if (!songData) {
       return res.status(404).json({ success: false, message: 'Song not found' });
     }
 
-    const title = songData.name || 'Unknown Title';
-    const artists = (songData.artists?.primary || []).map(a => a.name).join(', ');
-    const album = songData.album?.name || songData.album || '';
-    const year = songData.year || '';
-    const duration = songData.duration || '';
+    const sourceUrl = pickDownloadUrl(songData, quality);
 
-    const downloadUrlEntry =
-      songData.downloadUrl?.find(d => d.quality === quality) ||
-      songData.downloadUrl?.slice(-1)[0];
-
-    if (!downloadUrlEntry?.url) {
+    if (!sourceUrl) {
       return res.status(400).json({
         success: false,
         message: `Download URL for quality ${quality} not available`
       });
     }
 
-    const sourceUrl = downloadUrlEntry.url;
+    const variant = normalizeTo === null ? '' : `lufs${Math.abs(normalizeTo)}`;
+    const key = TranscodeCache.keyFor(id, quality, format.ext, variant);
+    // Cached files and transcodes already running don't need another FFmpeg slot
+    const needsFfmpeg = !transcodeCache.pending.has(key) && !(await transcodeCache.get(key));
+    if (needsFfmpeg && rejectWhenFfmpegBusy(res)) return;
+    // The queue can fill while tags and cover are fetched, so transcodeSong checks again
+    const filePath = await transcodeCache.getOrCreate(key, tmpPath =>
+      transcodeSong(songData, sourceUrl, { format, quality, normalizeTo, maxQueue: FFMPEG_MAX_QUEUE }, tmpPath)
+    );
 
-    // 2) FFmpeg stream to MP3
-    const safeFilename = `${artists ? artists + ' - ' : ''}${title}${year ? ' (' + year + ')' : ''}`
-      .replace(/[\/\\?%*:|"<>]/g, '_');
+    if (res.destroyed) return;
+    const fileName = `${songFilename(songData)}.${format.ext}`;
+    res.download(filePath, fileName, { headers: { 'Content-Type': format.contentType } }, err => {
+      if (err && !res.headersSent) res.status(500).end('Download failed');
+    });
+  } catch (err) {
+    if (err instanceof SemaphoreFullError && !res.headersSent) return sendFfmpegBusy(res);
+    console.error('Download error:', err.message);
+    const status = err.response?.status || 500;
+    if (!res.headersSent) {
+      res.status(status).json({
+        success: false,
+        message: 'Download failed',
+        error: err.message
+      });
+    } else {
+      res.end();
+    }
+  }
+});
 
-    res.setHeader('Content-Type', 'audio/mpeg');
-    res.setHeader('Content-Disposition', `attachment; filename="${safeFilename}.mp3"`);
+/**
+ * Background download jobs (/api/jobs)
+ * Jobs fill the same transcode cache as /api/download/:id, so their result
+ * is just a link to that route, which then serves the cached file.
+ */
+async function runDownloadJob(job, reportProgress) {
+  const { songId, quality, format: formatName } = job.payload;
+  const format = resolveFormat(formatName);
 
-    const ff = ffmpeg(sourceUrl)
-      .audioCodec('libmp3lame')
-      .format('mp3')
-      .audioBitrate(quality.replace('kbps', '') || '320')
-      .outputOptions([
-        `-metadata`, `title=${title}`,
-        `-metadata`, `artist=${artists}`,
-        `-metadata`, `album=${album}`,
-        `-metadata`, `date=${year}`,
-        `-metadata`, `comment=Downloaded via ZYLAE`
-      ]);
+  const songResp = await cachedGet(`/songs/${songId}`, {}, CACHE_TTL.song);
+  const songData = songResp.data?.data?.[0];
+  if (!songData) throw new Error('Song not found');
 
-    ff.on('start', cmd => console.log('FFmpeg started:', cmd));
-    ff.on('error', err => {
-      console.error('FFmpeg error:', err.message);
-      if (!res.headersSent) {
-        res.status(500).end('Download failed');
-      } else {
-        res.end();
+  const sourceUrl = pickDownloadUrl(songData, quality);
+  if (!sourceUrl) throw new Error(`Download URL for quality ${quality} not available`);
+
+  const key = TranscodeCache.keyFor(songId, quality, format.ext);
+  await transcodeCache.getOrCreate(key, tmpPath =>
+    transcodeSong(songData, sourceUrl, { format, quality, onProgress: reportProgress }, tmpPath)
+  );
+
+  const query = `quality=${encodeURIComponent(quality)}&format=${format.name}`;
+  return {
+    url: `/api/download/${encodeURIComponent(songId)}?${query}`,
+    fileName: `${songFilename(songData)}.${format.ext}`
+  };
+}
+
+const downloadJobs = new JobQueue({
+  worker: runDownloadJob,
+  concurrency: FFMPEG_CONCURRENCY,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3
+});
+
+app.use('/api/jobs', createJobsRouter(downloadJobs, {
+  async describeSong(songId) {
+    const songResp = await cachedGet(`/songs/${songId}`, {}, CACHE_TTL.song);
+    const songData = songResp.data?.data?.[0];
+    if (!songData) return null;
+    const { title, artist } = songTags(songData);
+    return { title, artist, image: bestImageUrl(songData) };
+  }
+}));
+
+/**
+ * Batch download routes (ZIP of tagged tracks + M3U playlist)
+ * GET /api/download/album/:id?quality=320kbps&format=mp3
+ * GET /api/download/playlist/:id?quality=320kbps&format=mp3
+ */
+app.get('/api/download/album/:id', (req, res) => {
+  return downloadCollectionZip(req, res, '/albums', CACHE_TTL.album);
+});
+
+app.get('/api/download/playlist/:id', (req, res) => {
+  return downloadCollectionZip(req, res, '/playlists', CACHE_TTL.playlist);
+});
+
+async function downloadCollectionZip(req, res, apiPath, ttl) {
+  const { id } = req.params;
+  const quality = req.query.quality || '320kbps';
+  const format = downloadFormat(req, res);
+  if (!format) return;
+  if (rejectWhenFfmpegBusy(res)) return;
+  let workDir = null;
+
+  try {
+    const collectionResp = await cachedGet(apiPath, { id }, ttl);
+    const collection = collectionResp.data?.data;
+    const songs = collection?.songs || [];
+
+    if (!songs.length) {
+      return res.status(404).json({ success: false, message: 'No tracks found' });
+    }
+
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'zylae-zip-'));
+    const baseName = safeFilename(collection.name || id);
+    const pad = String(songs.length).length < 2 ? 2 : String(songs.length).length;
+    const isAlbum = apiPath === '/albums';
+    const commands = new Set();
+    let aborted = false;
+
+    // Album tracks share artwork, so download each distinct cover once
+    const covers = new Map();
+    const coverFor = url => {
+      if (!covers.has(url)) covers.set(url, downloadCover(url, workDir));
+      return covers.get(url);
+    };
+
+    // Song details, tags and cover are fetched before a track takes an FFmpeg
+    // slot, one track after another so long playlists don't flood the upstream.
+    // A track only queues for FFmpeg once the one before it has a slot, so
+    // a ZIP holds one place in the queue (like a single download) however
+    // long it is, yet still uses every slot that's free
+    let previousPrepared = Promise.resolve();
+    let previousSlot = null;
+    const tracks = songs.map((song, idx) => {
+      const trackNo = idx + 1;
+      const fileName = `${String(trackNo).padStart(pad, '0')} - ${songFilename(song)}.${format.ext}`;
+      const outPath = path.join(workDir, `${trackNo}.${format.ext}`);
+
+      const prepared = previousPrepared.then(prepareTrack);
+      previousPrepared = prepared.catch(() => {});
+      // The first track is held to FFMPEG_MAX_QUEUE; the rest follow it
+      const slot = Promise.all([prepared, previousSlot])
+        .then(() => ffmpegSlots.acquire(idx === 0 ? { maxQueue: FFMPEG_MAX_QUEUE } : {}));
+      previousSlot = slot.catch(() => {});
+
+      const done = slot.then(async release => {
+        try {
+          return await encodeTrack(await prepared);
+        } finally {
+          release();
+        }
+      });
+
+      async function prepareTrack() {
+        if (aborted) throw new Error('Download aborted');
+
+        // Playlist entries may come without stream URLs; resolve them per song
+        let songData = song;
+        if (!pickDownloadUrl(songData, quality)) {
+          const songResp = await cachedGet(`/songs/${song.id}`, {}, CACHE_TTL.song);
+          songData = songResp.data?.data?.[0] || song;
+        }
+        const sourceUrl = pickDownloadUrl(songData, quality);
+        if (!sourceUrl) throw new Error(`No download URL for ${song.id}`);
+
+        const [tags, coverPath] = await Promise.all([
+          downloadTags(songData, {
+            album: isAlbum ? collection : null,
+            track: `${trackNo}/${songs.length}`,
+            resolveAlbum: false
+          }),
+          coverFor(bestImageUrl(songData))
+        ]);
+        return { sourceUrl, tags, coverPath };
+      }
+
+      async function encodeTrack({ sourceUrl, tags, coverPath }) {
+        if (aborted) throw new Error('Download aborted');
+        const command = await createTranscode(sourceUrl, { format: format.name, quality, tags, coverPath });
+        commands.add(command);
+        try {
+          return await runToFile(command, outPath);
+        } finally {
+          commands.delete(command);
+        }
       }
+      // Failures are reported when the track's turn comes in the archive loop
+      done.catch(() => {});
+
+      return { song, fileName, slot, done };
+    });
+
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      aborted = true;
+      commands.forEach(command => command.kill('SIGKILL'));
     });
-    ff.on('end', () => {
-      console.log('FFmpeg processing finished for', id);
+
+    // The response starts once the first track has a slot, so a queue that
+    // filled up while it was prepared still gets its 429
+    try {
+      await tracks[0].slot;
+    } catch (err) {
+      if (err instanceof SemaphoreFullError) {
+        aborted = true;
+        return sendFfmpegBusy(res);
+      }
+    }
+
+    res.attachment(`${baseName}.zip`);
+    res.setHeader('Content-Type', 'application/zip');
+
+    // Every download format is already compressed, so store tracks as-is
+    const archive = archiver('zip', { store: true });
+    archive.on('warning', err => console.warn('ZIP warning:', err.message));
+    archive.on('error', err => {
+      console.error('ZIP error:', err.message);
+      res.destroy(err);
     });
+    archive.pipe(res);
 
-    ff.pipe(res, { end: true });
+    const m3u = ['#EXTM3U'];
+    for (const track of tracks) {
+      if (aborted) break;
+      try {
+        const filePath = await track.done;
+        archive.file(filePath, { name: track.fileName });
+        const tags = songTags(track.song);
+        m3u.push(`#EXTINF:${track.song.duration || -1},${tags.artist} - ${tags.title}`, track.fileName);
+      } catch (err) {
+        console.error(`Skipping track ${track.song.id} in ZIP:`, err.message);
+      }
+    }
+
+    if (aborted) return;
+
+    archive.append(m3u.join('\n') + '\n', { name: `${baseName}.m3u` });
+    await archive.finalize();
+    console.log(`ZIP finished for ${apiPath} ${id} (${tracks.length} tracks)`);
   } catch (err) {
-    console.error('Download error:', err.message);
+    console.error('Batch download error:', err.message);
     const status = err.response?.status || 500;
     if (!res.headersSent) {
       res.status(status).json({
@@ -198,7 +1034,24 @@ app.get('/api/download/:id', async (req, res) => {
     } else {
       res.end();
     }
+  } finally {
+    if (workDir) {
+      // Wait for the archive to be flushed before removing its source files
+      const cleanup = () => fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+      if (res.writableFinished || res.destroyed) cleanup();
+      else res.on('close', cleanup);
+    }
   }
+}
+
+// JSON errors for API routes
+app.use('/api', (err, req, res, next) => {
+  console.error('API error:', err.message);
+  if (res.headersSent) return next(err);
+  res.status(err.status || 500).json({
+    success: false,
+    message: err.expose ? err.message : 'Internal server error'
+  });
 });
 
 // Fallback to SPA index.html